@@ -0,0 +1,162 @@
+/**
+ * Batch Manager
+ * 批量下载任务：父记录汇总各子任务的状态
+ */
+
+import { saveDownloadRecord, updateDownloadStatus, getDownloadRecord, getDownloadHistory } from './download-manager.js';
+import { isPlaylistURL } from './playlist.js';
+import { isDirectURL, normalizeURL } from '../utils/validators.js';
+import { logger } from '../utils/logger.js';
+
+// 子任务已结束的状态
+const TERMINAL_STATUSES = ['completed', 'already_exists', 'skipped', 'failed', 'cancelled'];
+
+// 视为成功的结束状态
+const SUCCESS_STATUSES = ['completed', 'already_exists', 'skipped'];
+
+/**
+ * 校验并去重一组URL
+ * 返回 accepted: [{ url, position }] 和 rejected: [{ input, position, reason }]，position 从1开始
+ */
+export function prepareBatchEntries(inputs) {
+  const accepted = [];
+  const rejected = [];
+  const seen = new Map();
+
+  inputs.forEach((input, index) => {
+    const position = index + 1;
+    const url = typeof input === 'string' ? input.trim() : '';
+    const normalized = normalizeURL(url);
+
+    let reason = null;
+    if (!normalized) {
+      reason = '无效的URL';
+    } else if (!isDirectURL(url)) {
+      reason = '不支持的网站';
+    } else if (isPlaylistURL(url)) {
+      reason = '播放列表URL，请使用 download_video 展开';
+    } else if (seen.has(normalized)) {
+      reason = `与第 ${seen.get(normalized)} 条重复`;
+    }
+
+    if (reason) {
+      rejected.push({ input: url, position, reason });
+    } else {
+      seen.set(normalized, position);
+      accepted.push({ url, position });
+    }
+  });
+
+  return { accepted, rejected };
+}
+
+/**
+ * 创建批量任务父记录
+ */
+export async function createBatchRecord({ url = null, title, platform = 'mixed', total, details = {}, scheduleId = null, subscriptionId = null }) {
+  const batchId = await saveDownloadRecord({
+    type: 'batch',
+    url,
+    title,
+    platform,
+    status: 'in_progress',
+    ...(scheduleId && { schedule_id: scheduleId }),
+    ...(subscriptionId && { subscription_id: subscriptionId }),
+    progress: `0/${total}`,
+    batch: {
+      total,
+      ...details,
+      summary: summarizeBatch([])
+    }
+  });
+
+  logger.info('📦 Batch created', { id: batchId, title, total });
+  return batchId;
+}
+
+/**
+ * 获取批量任务的子记录，按批次内序号排序
+ */
+export async function getBatchItems(batchId) {
+  const items = await getDownloadHistory({ batch_id: batchId });
+  return items.sort((a, b) => (a.batch_index || 0) - (b.batch_index || 0));
+}
+
+/**
+ * 统计子任务状态
+ */
+export function summarizeBatch(items) {
+  const summary = {
+    pending: 0,
+    in_progress: 0,
+    paused: 0,
+    interrupted: 0,
+    completed: 0,
+    already_exists: 0,
+    skipped: 0,
+    failed: 0,
+    cancelled: 0,
+    finished: 0
+  };
+
+  for (const item of items) {
+    summary[item.status] = (summary[item.status] || 0) + 1;
+    if (TERMINAL_STATUSES.includes(item.status)) {
+      summary.finished++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * 根据子任务统计得出批量任务状态
+ * 全部结束前为 in_progress；结束后全部成功为 completed，全部取消为 cancelled，
+ * 没有成功的为 failed，否则为 partial
+ */
+export function getBatchStatus(summary, total) {
+  if (summary.finished < total) {
+    return 'in_progress';
+  }
+
+  const succeeded = SUCCESS_STATUSES.reduce((count, status) => count + summary[status], 0);
+  if (succeeded === total) {
+    return 'completed';
+  }
+  if (summary.cancelled === total) {
+    return 'cancelled';
+  }
+  return succeeded === 0 ? 'failed' : 'partial';
+}
+
+/**
+ * 重新汇总子任务并更新父记录
+ */
+export async function refreshBatchStatus(batchId) {
+  const batch = await getDownloadRecord(batchId);
+  if (!batch || batch.type !== 'batch') {
+    return null;
+  }
+
+  const items = await getBatchItems(batchId);
+  const summary = summarizeBatch(items);
+  const status = getBatchStatus(summary, batch.batch.total);
+
+  const data = {
+    progress: `${summary.finished}/${batch.batch.total}`,
+    batch: { ...batch.batch, summary }
+  };
+  if (status !== 'in_progress' && batch.status === 'in_progress') {
+    data.completed_at = new Date().toISOString();
+    logger.info('📦 Batch finished', { id: batchId, status, summary });
+  }
+
+  return updateDownloadStatus(batchId, status, data);
+}
+
+/**
+ * 子任务是否已结束
+ */
+export function isTerminalStatus(status) {
+  return TERMINAL_STATUSES.includes(status);
+}
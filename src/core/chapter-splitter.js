@@ -0,0 +1,212 @@
+/**
+ * Chapter Splitter
+ * 按章节把已下载的视频或音频切成多个文件
+ *
+ * 章节文件放在与视频同名的目录中（<文件名>/01 - 章节标题.mp4），
+ * 每个章节文件保存为一条 type 为 chapter 的下载记录，parent_id 指向原下载记录。
+ * 切分使用 ffmpeg 流复制，不重新编码，切点落在关键帧上。
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { sanitizeFilename, ensureDirectoryExists, describeOutputFile } from './file-manager.js';
+import { execCommand } from './video-info.js';
+import { saveDownloadRecord, updateDownloadStatus, getDownloadHistory, deleteDownloadRecord } from './download-manager.js';
+import { logger } from '../utils/logger.js';
+
+// 单个章节的切分超时（流复制，主要受磁盘速度影响）
+const SPLIT_TIMEOUT = 600000;
+const PROBE_TIMEOUT = 30000;
+
+/**
+ * 把下载记录对应的文件按章节切分，返回写入父记录的 chapter_split
+ * 已经切分过的记录需要 force 才会重新切分（删除旧的章节记录和文件）
+ */
+export async function splitChapters(record, { force = false } = {}) {
+  if (!record.file_path || !fs.existsSync(record.file_path)) {
+    throw new Error(`Downloaded file not found: ${record.file_path || record.id}`);
+  }
+  if (record.chapter_split?.chapter_ids?.length && !force) {
+    throw new Error(`Chapters already split into ${record.chapter_split.directory}, use force to split again`);
+  }
+
+  const duration = record.metadata?.duration || null;
+  let chapters = normalizeChapters(record.metadata?.chapters, duration);
+  if (chapters.length === 0) {
+    chapters = normalizeChapters(await probeChapters(record.file_path), duration);
+  }
+  if (chapters.length === 0) {
+    throw new Error('No chapters found in video metadata or file');
+  }
+
+  if (force) {
+    await removeChapterRecords(record.id);
+  }
+
+  const ext = path.extname(record.file_path);
+  const directory = record.file_path.slice(0, record.file_path.length - ext.length);
+  ensureDirectoryExists(directory);
+
+  logger.info('✂️  Splitting chapters', { id: record.id, chapters: chapters.length, directory });
+
+  const chapterIds = [];
+  for (const chapter of chapters) {
+    const filePath = path.join(directory, getChapterFilename(chapter, chapters.length, ext));
+    await runFfmpeg(buildSplitArgs(record.file_path, filePath, chapter));
+
+    const chapterId = await saveDownloadRecord({
+      type: 'chapter',
+      parent_id: record.id,
+      url: record.url,
+      title: chapter.title,
+      platform: record.platform,
+      media_type: record.media_type || 'video',
+      ...(record.audio_format && { audio_format: record.audio_format }),
+      status: 'completed',
+      completed_at: new Date(),
+      ...describeOutputFile(filePath),
+      chapter
+    });
+    chapterIds.push(chapterId);
+  }
+
+  const chapterSplit = {
+    directory,
+    chapter_count: chapterIds.length,
+    chapter_ids: chapterIds,
+    split_at: new Date().toISOString()
+  };
+  await updateDownloadStatus(record.id, record.status, { chapter_split: chapterSplit });
+
+  logger.info('✅ Chapters split', { id: record.id, chapters: chapterIds.length });
+  return chapterSplit;
+}
+
+/**
+ * 整理章节列表：按开始时间排序，去掉无效项，缺少结束时间的取下一章开始时间（最后一章到结尾）
+ * 同时接受视频信息中的章节和 ffprobe 输出的章节（时间是字符串，标题在 tags 中）
+ */
+export function normalizeChapters(chapters, duration = null) {
+  if (!Array.isArray(chapters)) {
+    return [];
+  }
+
+  const sorted = chapters
+    .map(chapter => ({
+      title: chapter.title ?? chapter.tags?.title ?? null,
+      start_time: Number(chapter.start_time),
+      end_time: chapter.end_time === undefined || chapter.end_time === null ? null : Number(chapter.end_time)
+    }))
+    .filter(chapter => Number.isFinite(chapter.start_time) && chapter.start_time >= 0)
+    .sort((a, b) => a.start_time - b.start_time);
+
+  return sorted
+    .map((chapter, index) => {
+      const next = sorted[index + 1];
+      let endTime = Number.isFinite(chapter.end_time) ? chapter.end_time : null;
+      if (next && (endTime === null || endTime > next.start_time)) {
+        endTime = next.start_time;
+      }
+      if (!next && endTime === null && duration) {
+        endTime = duration;
+      }
+      return {
+        index: index + 1,
+        title: chapter.title || `Chapter ${index + 1}`,
+        start_time: chapter.start_time,
+        end_time: endTime
+      };
+    })
+    .filter(chapter => chapter.end_time === null || chapter.end_time > chapter.start_time);
+}
+
+/**
+ * 章节文件名：序号（按章节数补零）+ 标题，例如 "03 - Encore.mp4"
+ */
+export function getChapterFilename(chapter, total, ext) {
+  const index = String(chapter.index).padStart(Math.max(2, String(total).length), '0');
+  return `${index} - ${sanitizeFilename(chapter.title)}${ext}`;
+}
+
+/**
+ * 切分一个章节的 ffmpeg 参数：流复制，去掉数据流和原有章节，写入章节标题
+ */
+function buildSplitArgs(inputPath, outputPath, chapter) {
+  const args = ['-hide_banner', '-loglevel', 'error', '-y', '-ss', String(chapter.start_time), '-i', inputPath];
+  if (chapter.end_time !== null) {
+    args.push('-t', String(chapter.end_time - chapter.start_time));
+  }
+  args.push(
+    '-map', '0',
+    '-dn',
+    '-c', 'copy',
+    '-map_chapters', '-1',
+    '-avoid_negative_ts', 'make_zero',
+    '-metadata', `title=${chapter.title}`,
+    '-metadata', `track=${chapter.index}`,
+    outputPath
+  );
+  return args;
+}
+
+/**
+ * 视频信息中没有章节时（例如只有旧记录），从文件中读取嵌入的章节
+ */
+async function probeChapters(filePath) {
+  // 在使用时读取路径，确保 .env 已经加载
+  const ffprobePath = process.env.FFPROBE_PATH || 'ffprobe';
+  const output = await runTool(ffprobePath, ['-v', 'error', '-print_format', 'json', '-show_chapters', filePath], PROBE_TIMEOUT);
+  try {
+    return JSON.parse(output).chapters || [];
+  } catch (error) {
+    logger.warn('⚠️  Failed to parse ffprobe chapters', { file: filePath, error: error.message });
+    return [];
+  }
+}
+
+function runFfmpeg(args) {
+  return runTool(process.env.FFMPEG_PATH || 'ffmpeg', args, SPLIT_TIMEOUT);
+}
+
+/**
+ * 执行 ffmpeg / ffprobe，找不到可执行文件时给出可以归类为 FFMPEG_MISSING 的错误
+ */
+async function runTool(command, args, timeout) {
+  try {
+    return await execCommand(command, args, timeout);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`ffmpeg not found: ${command} is not installed or not in PATH`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * 删除上一次切分产生的章节记录和文件
+ */
+async function removeChapterRecords(parentId) {
+  const chapters = await getDownloadHistory({ parent_id: parentId });
+  for (const chapter of chapters) {
+    if (chapter.file_path) {
+      fs.rmSync(chapter.file_path, { force: true });
+    }
+    await deleteDownloadRecord(chapter.id);
+  }
+  if (chapters.length > 0) {
+    logger.info('🗑️  Removed previous chapter files', { id: parentId, chapters: chapters.length });
+  }
+}
+
+/**
+ * 描述切分结果，例如 "12 个章节 → /downloads/Live Concert"
+ */
+export function describeChapterSplit(chapterSplit) {
+  if (!chapterSplit) {
+    return '';
+  }
+  if (chapterSplit.error) {
+    return `切分失败: ${chapterSplit.error}`;
+  }
+  return `${chapterSplit.chapter_count} 个章节 → ${chapterSplit.directory}`;
+}
@@ -0,0 +1,148 @@
+/**
+ * Download Archive
+ * 按「提取器 + 视频ID」识别同一个视频，并维护与 yt-dlp --download-archive 兼容的存档文件
+ *
+ * 存档文件每行一个 "<extractor> <id>"（提取器名为小写），可以直接传给 yt-dlp 使用；
+ * 同一视频的不同链接（youtu.be、?t= 时间戳、标题变化）得到相同的键。
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+// 可以直接从链接得到视频ID的平台
+const URL_KEY_PATTERNS = [
+  {
+    extractor: 'youtube',
+    patterns: [
+      /^https?:\/\/(?:www\.|m\.|music\.)?youtube\.com\/watch\?(?:.*&)?v=([\w-]{11})/i,
+      /^https?:\/\/(?:www\.|m\.)?youtube\.com\/(?:shorts|live|embed|v)\/([\w-]{11})/i,
+      /^https?:\/\/youtu\.be\/([\w-]{11})/i
+    ]
+  },
+  {
+    extractor: 'bilibili',
+    patterns: [/^https?:\/\/(?:www\.|m\.)?bilibili\.com\/video\/(BV[\dA-Za-z]{10})/i]
+  }
+];
+
+// 存档中的键，首次访问时加载
+let archiveLoading = null;
+
+/**
+ * 获取视频的去重键
+ * 优先使用 yt-dlp 给出的 extractor_key 和 id，没有时从 YouTube / Bilibili 链接中解析
+ */
+export function extractVideoKey(url, info = {}) {
+  if (info.extractor_key && info.id) {
+    return formatArchiveKey(info.extractor_key, info.id);
+  }
+
+  for (const { extractor, patterns } of URL_KEY_PATTERNS) {
+    for (const pattern of patterns) {
+      const match = String(url || '').trim().match(pattern);
+      if (match) {
+        return formatArchiveKey(extractor, withBilibiliPart(extractor, match[1], url));
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 与 yt-dlp 存档一致的键格式
+ */
+export function formatArchiveKey(extractor, id) {
+  return `${String(extractor).toLowerCase()} ${id}`;
+}
+
+/**
+ * 解析存档文件内容
+ */
+export function parseArchive(content) {
+  return new Set(
+    String(content)
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(Boolean)
+  );
+}
+
+/**
+ * 视频是否已在存档中
+ */
+export async function isArchived(key) {
+  return (await loadArchive()).has(key);
+}
+
+/**
+ * 把下载完成的视频加入存档
+ */
+export async function addToArchive(key) {
+  const keys = await loadArchive();
+  if (!key || keys.has(key)) {
+    return;
+  }
+
+  keys.add(key);
+  const archiveFile = getArchiveFile();
+  try {
+    fs.mkdirSync(path.dirname(archiveFile), { recursive: true });
+    await fs.promises.appendFile(archiveFile, `${key}\n`, 'utf8');
+  } catch (error) {
+    logger.warn('⚠️  Failed to update download archive', { file: archiveFile, error: error.message });
+  }
+}
+
+/**
+ * 读取存档文件，只在第一次访问时读取磁盘
+ * 之后的修改由本进程追加写入，不再重新读取
+ */
+function loadArchive() {
+  if (!archiveLoading) {
+    archiveLoading = readArchiveFile();
+  }
+  return archiveLoading;
+}
+
+/**
+ * 读取存档文件，文件不存在或无法读取时返回空存档
+ */
+async function readArchiveFile() {
+  const archiveFile = getArchiveFile();
+  try {
+    const keys = parseArchive(await fs.promises.readFile(archiveFile, 'utf8'));
+    logger.debug('🗃️  Download archive loaded', { file: archiveFile, entries: keys.size });
+    return keys;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('⚠️  Failed to read download archive', { file: archiveFile, error: error.message });
+    }
+    return new Set();
+  }
+}
+
+/**
+ * 存档文件路径，在使用时读取环境变量（此时 .env 已经加载）
+ */
+function getArchiveFile() {
+  const historyFile = process.env.DOWNLOAD_HISTORY_FILE || path.join(process.cwd(), 'downloads.json');
+  return process.env.DOWNLOAD_ARCHIVE_FILE || path.join(path.dirname(historyFile), 'download-archive.txt');
+}
+
+/**
+ * Bilibili 多P视频：第2P起 yt-dlp 的ID带有 _p<序号> 后缀
+ */
+function withBilibiliPart(extractor, id, url) {
+  if (extractor !== 'bilibili') {
+    return id;
+  }
+
+  try {
+    const part = Number(new URL(url).searchParams.get('p'));
+    return part > 1 ? `${id}_p${part}` : id;
+  } catch {
+    return id;
+  }
+}
@@ -3,12 +3,12 @@
  * 下载记录管理和状态跟踪
  */
 
-import fs from 'fs';
 import path from 'path';
+import { HistoryStore } from './history-store.js';
+import { SqliteHistoryStore } from './history-sqlite.js';
 import { logger } from '../utils/logger.js';
 
-const DOWNLOAD_HISTORY_FILE = process.env.DOWNLOAD_HISTORY_FILE || 
-  path.join(process.cwd(), 'downloads.json');
+let historyStore = null;
 
 /**
  * 保存下载记录
@@ -16,18 +16,13 @@ const DOWNLOAD_HISTORY_FILE = process.env.DOWNLOAD_HISTORY_FILE ||
 export async function saveDownloadRecord(record) {
   try {
     const downloadId = generateDownloadId();
-    const downloadRecord = {
+    await getHistoryStore().insert({
       id: downloadId,
       ...record,
       created_at: new Date().toISOString()
-    };
-    
-    const history = await loadDownloadHistory();
-    history.push(downloadRecord);
-    
-    await saveDownloadHistory(history);
+    });
+
     logger.info('📝 Download record saved', { id: downloadId, title: record.title });
-    
     return downloadId;
   } catch (error) {
     logger.error('❌ Failed to save download record', error);
@@ -37,27 +32,24 @@ export async function saveDownloadRecord(record) {
 
 /**
  * 更新下载状态
+ * throttle 用于频繁的进度更新：内存中立即生效，写入磁盘按记录合并节流
  */
-export async function updateDownloadStatus(downloadId, status, additionalData = {}) {
+export async function updateDownloadStatus(downloadId, status, additionalData = {}, { throttle = false } = {}) {
   try {
-    const history = await loadDownloadHistory();
-    const recordIndex = history.findIndex(record => record.id === downloadId);
-    
-    if (recordIndex === -1) {
-      throw new Error(`Download record not found: ${downloadId}`);
-    }
-    
-    history[recordIndex] = {
-      ...history[recordIndex],
+    const record = await getHistoryStore().update(downloadId, {
       status,
       ...additionalData,
       updated_at: new Date().toISOString()
-    };
-    
-    await saveDownloadHistory(history);
-    logger.info('📝 Download status updated', { id: downloadId, status });
-    
-    return history[recordIndex];
+    }, { throttle });
+
+    if (!record) {
+      throw new Error(`Download record not found: ${downloadId}`);
+    }
+
+    if (!throttle) {
+      logger.info('📝 Download status updated', { id: downloadId, status });
+    }
+    return record;
   } catch (error) {
     logger.error('❌ Failed to update download status', error);
     throw error;
@@ -69,50 +61,32 @@ export async function updateDownloadStatus(downloadId, status, additionalData =
  */
 export async function getDownloadHistory(filters = {}) {
   try {
-    let history = await loadDownloadHistory();
-    
-    // 应用过滤器
-    if (filters.status && filters.status !== 'all') {
-      history = history.filter(record => record.status === filters.status);
-    }
-    
-    if (filters.platform && filters.platform !== 'all') {
-      history = history.filter(record => record.platform === filters.platform);
-    }
-    
-    // 排序
-    if (filters.sort_by) {
-      history.sort((a, b) => {
-        const aVal = a[filters.sort_by] || '';
-        const bVal = b[filters.sort_by] || '';
-        
-        if (filters.sort_order === 'asc') {
-          return aVal > bVal ? 1 : -1;
-        } else {
-          return aVal < bVal ? 1 : -1;
-        }
-      });
-    }
-    
-    // 限制数量  
-    if (filters.limit) {
-      history = history.slice(0, filters.limit);
-    }
-    
-    return history;
+    return await getHistoryStore().query(filters);
   } catch (error) {
     logger.error('❌ Failed to get download history', error);
     return [];
   }
 }
 
+/**
+ * 根据ID获取单条下载记录
+ */
+export async function getDownloadRecord(downloadId) {
+  try {
+    return await getHistoryStore().get(downloadId);
+  } catch (error) {
+    logger.error('❌ Failed to get download record', error);
+    return null;
+  }
+}
+
 /**
  * 获取当前进行中的下载
  */
 export async function getCurrentDownloads() {
   try {
-    const history = await loadDownloadHistory();
-    return history.filter(record => record.status === 'in_progress');
+    const history = await getHistoryStore().query({ status: 'in_progress' });
+    return history.filter(record => record.type !== 'batch');
   } catch (error) {
     logger.error('❌ Failed to get current downloads', error);
     return [];
@@ -124,16 +98,13 @@ export async function getCurrentDownloads() {
  */
 export async function deleteDownloadRecord(downloadId) {
   try {
-    const history = await loadDownloadHistory();
-    const filteredHistory = history.filter(record => record.id !== downloadId);
-    
-    if (filteredHistory.length === history.length) {
+    const deletedCount = await getHistoryStore().remove([downloadId]);
+
+    if (deletedCount === 0) {
       throw new Error(`Download record not found: ${downloadId}`);
     }
-    
-    await saveDownloadHistory(filteredHistory);
+
     logger.info('🗑️  Download record deleted', { id: downloadId });
-    
     return true;
   } catch (error) {
     logger.error('❌ Failed to delete download record', error);
@@ -146,22 +117,16 @@ export async function deleteDownloadRecord(downloadId) {
  */
 export async function cleanupOldRecords(daysToKeep = 30) {
   try {
-    const history = await loadDownloadHistory();
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
-    
-    const filteredHistory = history.filter(record => {
-      const recordDate = new Date(record.created_at);
-      return recordDate > cutoffDate;
-    });
-    
-    const deletedCount = history.length - filteredHistory.length;
-    
+
+    const expired = await getHistoryStore().query({ created_before: cutoffDate.toISOString() });
+    const deletedCount = await getHistoryStore().remove(expired.map(record => record.id));
+
     if (deletedCount > 0) {
-      await saveDownloadHistory(filteredHistory);
       logger.info(`🧹 Cleaned up ${deletedCount} old download records`);
     }
-    
+
     return deletedCount;
   } catch (error) {
     logger.error('❌ Failed to cleanup old records', error);
@@ -170,33 +135,31 @@ export async function cleanupOldRecords(daysToKeep = 30) {
 }
 
 /**
- * 加载下载历史文件
+ * 把延迟的写入落盘，关闭服务前调用
  */
-async function loadDownloadHistory() {
+export async function flushDownloadHistory() {
   try {
-    if (!fs.existsSync(DOWNLOAD_HISTORY_FILE)) {
-      return [];
-    }
-    
-    const data = fs.readFileSync(DOWNLOAD_HISTORY_FILE, 'utf8');
-    return JSON.parse(data);
+    await getHistoryStore().flush();
   } catch (error) {
-    logger.warn('⚠️  Failed to load download history, starting with empty history', error);
-    return [];
+    logger.error('❌ Failed to flush download history', error);
   }
 }
 
 /**
- * 保存下载历史文件
+ * 获取配置的记录存储，首次访问时按环境变量创建（此时 .env 已经加载）
  */
-async function saveDownloadHistory(history) {
-  try {
-    const data = JSON.stringify(history, null, 2);
-    fs.writeFileSync(DOWNLOAD_HISTORY_FILE, data, 'utf8');
-  } catch (error) {
-    logger.error('❌ Failed to save download history', error);
-    throw error;
+function getHistoryStore() {
+  if (!historyStore) {
+    const historyFile = process.env.DOWNLOAD_HISTORY_FILE ||
+      path.join(process.cwd(), 'downloads.json');
+    // json（默认）或 sqlite
+    const backend = (process.env.HISTORY_BACKEND || 'json').toLowerCase();
+
+    historyStore = backend === 'sqlite'
+      ? new SqliteHistoryStore(process.env.HISTORY_DB_FILE || path.join(path.dirname(historyFile), 'downloads.db'), { legacyFile: historyFile })
+      : new HistoryStore(historyFile);
   }
+  return historyStore;
 }
 
 /**
@@ -0,0 +1,79 @@
+/**
+ * yt-dlp Download Report
+ * 通过 --print-to-file 让 yt-dlp 把实际选择的格式等信息写入报告文件
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+// 报告条目：名称 -> yt-dlp 输出时机和模板
+const REPORT_TEMPLATES = {
+  // 格式选择完成后
+  video: {
+    when: 'video',
+    template: '%(.{format_id,format,format_note,ext,resolution,width,height,fps,vcodec,acodec,dynamic_range,filesize,filesize_approx,tbr})j'
+  },
+  // 后处理（字幕转换等）完成、文件移动到最终位置后
+  subtitles: {
+    when: 'after_move',
+    template: '%(requested_subtitles)j'
+  },
+  // 合并、转封装和音频提取之后的最终文件
+  file: {
+    when: 'after_move',
+    template: '%(.{filepath,ext})j'
+  }
+};
+
+/**
+ * 创建报告文件路径和对应的 yt-dlp 参数
+ */
+export function createDownloadReport(downloadId = null) {
+  const name = `dewa-${downloadId || Date.now()}-${Math.random().toString(36).substr(2, 6)}.report`;
+  const reportPath = path.join(os.tmpdir(), name);
+
+  const args = [];
+  for (const [name, { when, template }] of Object.entries(REPORT_TEMPLATES)) {
+    args.push('--print-to-file', `${when}:${name} ${template}`, reportPath);
+  }
+
+  return { path: reportPath, args };
+}
+
+/**
+ * 读取并删除报告文件，同一条目多次输出时保留最后一次
+ */
+export function readDownloadReport(reportPath) {
+  const report = {};
+
+  try {
+    if (!fs.existsSync(reportPath)) {
+      return report;
+    }
+
+    const lines = fs.readFileSync(reportPath, 'utf8').split('\n');
+    for (const line of lines) {
+      const separator = line.indexOf(' ');
+      if (separator === -1) continue;
+
+      const name = line.slice(0, separator);
+      try {
+        report[name] = JSON.parse(line.slice(separator + 1));
+      } catch (e) {
+        // 忽略无法解析的行
+      }
+    }
+  } catch (error) {
+    logger.warn('⚠️  Failed to read download report', { reportPath, error: error.message });
+  } finally {
+    try {
+      fs.unlinkSync(reportPath);
+    } catch (e) {
+      // 文件可能不存在
+    }
+  }
+
+  return report;
+}
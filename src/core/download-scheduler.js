@@ -0,0 +1,214 @@
+/**
+ * Download Scheduler
+ * 下载任务调度器：全局/平台并发限制、优先级和队列调整
+ */
+
+import { logger } from '../utils/logger.js';
+
+/**
+ * 解析平台并发限制，格式: "youtube=2,bilibili=1"
+ */
+export function parsePlatformLimits(value) {
+  const limits = {};
+
+  if (!value || typeof value !== 'string') {
+    return limits;
+  }
+
+  value.split(',').forEach(pair => {
+    const [platform, limit] = pair.split('=').map(part => part && part.trim());
+    const parsed = parseInt(limit, 10);
+    if (platform && !isNaN(parsed) && parsed > 0) {
+      limits[platform.toLowerCase()] = parsed;
+    }
+  });
+
+  return limits;
+}
+
+class DownloadScheduler {
+  constructor(config = {}) {
+    this.queue = [];
+    this.running = new Map();
+    this.sequence = 0;
+    this.configure(config);
+  }
+
+  /**
+   * 更新并发限制，调高限制后立即启动排队任务
+   */
+  configure({ maxConcurrent = 3, platformLimits = {} } = {}) {
+    this.maxConcurrent = maxConcurrent > 0 ? maxConcurrent : 3;
+    this.platformLimits = platformLimits || {};
+    this.pump();
+  }
+
+  /**
+   * 加入队列，返回在任务执行结束时 resolve 的 Promise
+   */
+  enqueue({ id, url = null, platform = 'unknown', priority = 0, task }) {
+    if (this.getJob(id)) {
+      return Promise.reject(new Error(`Job already scheduled: ${id}`));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        id,
+        url,
+        platform,
+        priority,
+        task,
+        resolve,
+        reject,
+        seq: this.sequence++,
+        enqueued_at: new Date().toISOString()
+      });
+      this.sortQueue();
+
+      logger.info('📋 Download job queued', { id, platform, priority, queued: this.queue.length });
+      this.pump();
+    });
+  }
+
+  /**
+   * 启动满足并发限制的排队任务
+   */
+  pump() {
+    while (this.running.size < this.maxConcurrent) {
+      const index = this.queue.findIndex(job => this.hasPlatformCapacity(job.platform));
+      if (index === -1) {
+        return;
+      }
+
+      const [job] = this.queue.splice(index, 1);
+      this.start(job);
+    }
+  }
+
+  start(job) {
+    job.started_at = new Date().toISOString();
+    this.running.set(job.id, job);
+
+    logger.info('▶️  Download job started', { id: job.id, platform: job.platform, running: this.running.size });
+
+    Promise.resolve()
+      .then(() => job.task())
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        this.running.delete(job.id);
+        this.pump();
+      });
+  }
+
+  hasPlatformCapacity(platform) {
+    const limit = this.platformLimits[platform];
+    if (!limit) {
+      return true;
+    }
+
+    let active = 0;
+    for (const job of this.running.values()) {
+      if (job.platform === platform) active++;
+    }
+    return active < limit;
+  }
+
+  // 优先级高的在前，同优先级按入队顺序
+  sortQueue() {
+    this.queue.sort((a, b) => (b.priority - a.priority) || (a.seq - b.seq));
+  }
+
+  /**
+   * 修改排队任务的优先级
+   */
+  setPriority(id, priority) {
+    const job = this.queue.find(item => item.id === id);
+    if (!job) {
+      return null;
+    }
+
+    job.priority = priority;
+    this.sortQueue();
+    return this.describe(job);
+  }
+
+  /**
+   * 把排队任务移动到队首或队尾
+   */
+  move(id, position) {
+    const job = this.queue.find(item => item.id === id);
+    if (!job) {
+      return null;
+    }
+
+    const others = this.queue.filter(item => item !== job);
+    if (others.length > 0) {
+      if (position === 'front') {
+        job.priority = Math.max(job.priority, ...others.map(item => item.priority));
+        job.seq = Math.min(...others.map(item => item.seq)) - 1;
+      } else {
+        job.priority = Math.min(job.priority, ...others.map(item => item.priority));
+        job.seq = Math.max(...others.map(item => item.seq)) + 1;
+      }
+    }
+
+    this.sortQueue();
+    return this.describe(job);
+  }
+
+  /**
+   * 从队列中移除尚未开始的任务，result 作为该任务的结果返回给等待方
+   */
+  remove(id, result = null) {
+    const index = this.queue.findIndex(job => job.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    const [job] = this.queue.splice(index, 1);
+    job.resolve(result);
+    logger.info('🗑️  Download job removed from queue', { id });
+    return true;
+  }
+
+  getJob(id) {
+    const running = this.running.get(id);
+    if (running) {
+      return this.describe(running);
+    }
+
+    const queued = this.queue.find(job => job.id === id);
+    return queued ? this.describe(queued) : null;
+  }
+
+  /**
+   * 获取队列快照
+   */
+  getQueue() {
+    return {
+      max_concurrent: this.maxConcurrent,
+      platform_limits: { ...this.platformLimits },
+      running: [...this.running.values()].map(job => this.describe(job)),
+      queued: this.queue.map(job => this.describe(job))
+    };
+  }
+
+  describe(job) {
+    const isRunning = this.running.has(job.id);
+    return {
+      id: job.id,
+      url: job.url,
+      platform: job.platform,
+      priority: job.priority,
+      state: isRunning ? 'running' : 'queued',
+      position: isRunning ? 0 : this.queue.indexOf(job) + 1,
+      enqueued_at: job.enqueued_at,
+      started_at: job.started_at || null
+    };
+  }
+}
+
+// 全局调度器实例，启动时由 configure() 按配置设置并发限制
+export const downloadScheduler = new DownloadScheduler();
+
+export { DownloadScheduler };
@@ -7,9 +7,25 @@ import { spawn } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import { detectPlatform } from './platforms.js';
-import { generateFilename, ensureDirectoryExists } from './file-manager.js';
-import { getVideoInfo } from './video-info.js';
-import { saveDownloadRecord, updateDownloadStatus } from './download-manager.js';
+import { ensureDirectoryExists, sanitizeFilename, findPartialFiles, findOutputFile, generateUniqueFilename, describeOutputFile } from './file-manager.js';
+import { getOutputTemplate, hasConfiguredTemplate, templateUsesField, buildTemplateFields, renderTemplate } from './filename-template.js';
+import { getVideoInfo, fallbackVideoInfo, toRecordMetadata } from './video-info.js';
+import { saveDownloadRecord, updateDownloadStatus, getDownloadRecord, getDownloadHistory } from './download-manager.js';
+import { downloadScheduler } from './download-scheduler.js';
+import { PROGRESS_TEMPLATE, parseProgressLine, mergeProgress } from './progress-parser.js';
+import { buildFormatSelection, formatSelectionArgs, getOutputExtension } from './format-selector.js';
+import { createDownloadReport, readDownloadReport } from './download-report.js';
+import { buildSubtitleArgs, collectSubtitleFiles } from './subtitles.js';
+import { buildSidecarArgs, collectSidecarFiles, removeSidecarFiles } from './sidecars.js';
+import { splitChapters } from './chapter-splitter.js';
+import { resumeRecording } from './live-recorder.js';
+import { buildSectionArgs, getTimeRangeKey, withTimeRangeLabel } from './time-range.js';
+import { extractPlaylist, toEntryMetadata } from './playlist.js';
+import { createBatchRecord, refreshBatchStatus, getBatchItems, isTerminalStatus } from './batch-manager.js';
+import { classifyError, extractErrorMessage, getRetryDelay } from './error-classifier.js';
+import { extractVideoKey, isArchived, addToArchive } from './download-archive.js';
+import { getFilterMismatch, needsFilterInfo } from './video-filters.js';
+import { formatProgressDetail } from '../utils/formatters.js';
 import { logger } from '../utils/logger.js';
 
 // 默认配置
@@ -22,6 +38,277 @@ const DEFAULT_CONFIG = {
   throttledRate: '100K'
 };
 
+// 需要写入下载记录、用于恢复下载的请求参数
+const REQUEST_OPTION_KEYS = [
+  'quality',
+  'formatId',
+  'customDirectory',
+  'customFilename',
+  'outputTemplate',
+  'maxHeight',
+  'videoCodec',
+  'audioCodec',
+  'container',
+  'fps',
+  'hdr',
+  'maxFilesize',
+  'mediaType',
+  'audioFormat',
+  'audioBitrate',
+  'subtitleLanguages',
+  'subtitleSource',
+  'subtitleFormat',
+  'embedSubtitles',
+  'writeThumbnail',
+  'writeInfoJson',
+  'writeDescription',
+  'embedMetadata',
+  'splitChapters',
+  'timeRange',
+  'preciseCuts',
+  'dateAfter',
+  'filters',
+  'filenamePrefix',
+  'playlistTitle',
+  'playlistIndex',
+  'force'
+];
+
+// 正在执行的下载：downloadId -> { child, stopReason, wake }
+const activeDownloads = new Map();
+
+// 停止进程后等待退出的时间，超时则强制结束
+const STOP_TIMEOUT = 10000;
+
+// 保留的 yt-dlp 错误输出长度，用于归类失败原因
+const STDERR_TAIL_LENGTH = 8192;
+
+// 可以恢复的状态：手动暂停，或服务停止时被中断
+const RESUMABLE_STATUSES = ['paused', 'interrupted'];
+
+/**
+ * 创建下载任务并交给调度器排队
+ * 返回下载ID和在下载结束时 resolve 的 completion
+ */
+export async function enqueueDownload(options) {
+  const downloadId = await createDownloadJob(options);
+  const completion = scheduleDownload(downloadId, options);
+
+  return { downloadId, completion };
+}
+
+/**
+ * 创建 pending 状态的下载记录
+ */
+async function createDownloadJob(options) {
+  const {
+    url,
+    quality = 'best',
+    customDirectory = null,
+    customFilename = null,
+    priority = 0,
+    mediaType = 'video',
+    audioFormat = null,
+    metadata = {},
+    batchId = null
+  } = options;
+
+  const platform = detectPlatform(url);
+  // 能确定视频时预先写入去重键，订阅检查新视频时可以识别排队中的任务
+  const videoKey = extractVideoKey(url, metadata);
+
+  const downloadId = await saveDownloadRecord({
+    url,
+    title: metadata.title || url,
+    platform: platform.name,
+    status: 'pending',
+    quality,
+    priority,
+    media_type: mediaType,
+    ...(mediaType === 'audio' && { audio_format: audioFormat || 'mp3' }),
+    ...(options.timeRange && { time_range: options.timeRange }),
+    ...(options.scheduleId && { schedule_id: options.scheduleId }),
+    ...(options.subscriptionId && { subscription_id: options.subscriptionId }),
+    ...(videoKey && { video_key: videoKey }),
+    ...(batchId && {
+      batch_id: batchId,
+      batch_index: options.batchIndex,
+      playlist_index: options.playlistIndex ?? null
+    }),
+    request: toRequestRecord({ ...options, quality })
+  });
+
+  logger.info('🗂️  Download job created', { id: downloadId, url, priority });
+
+  return downloadId;
+}
+
+/**
+ * 把已有记录的下载任务交给调度器
+ */
+function scheduleDownload(downloadId, options) {
+  const platform = detectPlatform(options.url);
+
+  const completion = downloadScheduler.enqueue({
+    id: downloadId,
+    url: options.url,
+    platform: platform.name,
+    priority: options.priority || 0,
+    task: () => downloadVideo({ ...options, downloadId })
+  });
+
+  // 子任务结束后更新批量任务的汇总
+  if (options.batchId) {
+    const refresh = () => refreshBatchStatus(options.batchId)
+      .catch(error => logger.warn('⚠️  Failed to refresh batch status', { id: options.batchId, error: error.message }));
+    completion.then(refresh, refresh);
+  }
+
+  return completion;
+}
+
+/**
+ * 创建批量任务：父记录 + 每个条目一个子任务
+ * entries: [{ url, options }]，条目的 options 覆盖公共 options
+ */
+export async function enqueueBatch({ url = null, title, platform = 'mixed', entries, options = {}, details = {} }) {
+  const batchId = await createBatchRecord({
+    url,
+    title,
+    platform,
+    total: entries.length,
+    details,
+    scheduleId: options.scheduleId,
+    subscriptionId: options.subscriptionId
+  });
+
+  // 先创建全部子记录再开始调度，批量任务的条目在第一个下载开始前就已完整
+  const jobs = [];
+  for (const [index, entry] of entries.entries()) {
+    const jobOptions = {
+      ...options,
+      ...entry.options,
+      url: entry.url,
+      batchId,
+      batchIndex: index + 1
+    };
+    jobs.push({ downloadId: await createDownloadJob(jobOptions), options: jobOptions });
+  }
+
+  const items = jobs.map(({ downloadId, options: jobOptions }) => ({
+    downloadId,
+    completion: scheduleDownload(downloadId, jobOptions),
+    url: jobOptions.url
+  }));
+
+  return { batchId, items };
+}
+
+/**
+ * 展开播放列表/频道/合集并创建批量任务
+ * 默认保存到 平台目录/播放列表标题，indexPrefix 时文件名加上播放列表序号
+ */
+export async function startPlaylistDownload(options) {
+  const {
+    url,
+    items = null,
+    dateAfter = null,
+    maxItems = null,
+    indexPrefix = false,
+    customDirectory = null
+  } = options;
+
+  const playlist = await extractPlaylist(url, { items, dateAfter, maxItems });
+  if (playlist.entries.length === 0) {
+    throw new Error('No playlist entries matched the given filters');
+  }
+
+  // 未指定目录时由文件名模板决定位置（默认为 平台目录/播放列表标题），自定义模板下各条目的目录可能不同
+  const platform = detectPlatform(url);
+  const directory = customDirectory || (hasConfiguredTemplate(platform)
+    ? null
+    : path.join(DEFAULT_CONFIG.downloadPath, platform.directory, sanitizeFilename(playlist.title)));
+  const indexWidth = Math.max(2, String(Math.max(...playlist.entries.map(entry => entry.playlist_index))).length);
+
+  const entries = playlist.entries.map(entry => ({
+    url: entry.url,
+    options: {
+      playlistIndex: entry.playlist_index,
+      filenamePrefix: indexPrefix ? `${String(entry.playlist_index).padStart(indexWidth, '0')} - ` : undefined,
+      metadata: toEntryMetadata(entry)
+    }
+  }));
+
+  const { batchId, items: children } = await enqueueBatch({
+    url,
+    title: playlist.title,
+    platform: platform.name,
+    entries,
+    options: {
+      ...options,
+      playlistTitle: playlist.title,
+      customFilename: null
+    },
+    details: {
+      source: 'playlist',
+      playlist_id: playlist.id,
+      uploader: playlist.uploader,
+      directory,
+      filters: { items, date_after: dateAfter, max_items: maxItems, index_prefix: indexPrefix }
+    }
+  });
+
+  logger.info('📜 Playlist download queued', { id: batchId, title: playlist.title, entries: children.length });
+  return { batchId, playlist, items: children };
+}
+
+/**
+ * 下载同一视频的多个时间段：每段一个子任务，各自的文件名带上时间段
+ * 先获取一次视频信息，子任务直接使用，不再重复获取
+ */
+export async function startSectionsDownload(options) {
+  const { timeRanges, ...common } = options;
+  const { url, metadata = {} } = common;
+
+  const videoInfo = metadata.title ? metadata : await getVideoInfo(url)
+    .then(toRecordMetadata)
+    .catch(error => {
+      logger.warn('⚠️  Failed to extract video info for sections', { url, error: extractErrorMessage(error.message) });
+      return fallbackVideoInfo(url, metadata);
+    });
+
+  const platform = detectPlatform(url);
+  const { batchId, items } = await enqueueBatch({
+    url,
+    title: videoInfo.title,
+    platform: platform.name,
+    entries: timeRanges.map(timeRange => ({ url, options: { timeRange } })),
+    options: {
+      ...common,
+      metadata: videoInfo
+    },
+    details: {
+      source: 'sections',
+      time_ranges: timeRanges
+    }
+  });
+
+  logger.info('✂️  Section downloads queued', { id: batchId, url, sections: items.length });
+  return { batchId, videoInfo, items };
+}
+
+/**
+ * 创建异步下载任务，立即返回下载ID，下载在后台执行
+ */
+export async function startDownload(options) {
+  const { downloadId, completion } = await enqueueDownload(options);
+
+  // downloadVideo 内部会把失败写回下载记录
+  completion.catch(error => logger.error('💥 Background download crashed', { id: downloadId, error: error.message }));
+
+  return downloadId;
+}
+
 /**
  * 主要的视频下载函数
  */
@@ -30,122 +317,680 @@ export async function downloadVideo(options) {
   const {
     url,
     quality = 'best',
-    customDirectory = null,
-    customFilename = null,
-    metadata = {}
+    metadata = {},
+    onProgress = null,
+    mediaType = 'video',
+    audioFormat = 'mp3',
+    force = false
   } = options;
 
-  let downloadId = null;
+  // 异步任务会预先创建记录并传入ID
+  let downloadId = options.downloadId || null;
+
+  // 进程控制句柄，供取消/暂停使用
+  const control = { child: null, stopReason: null };
+  if (downloadId) {
+    activeDownloads.set(downloadId, control);
+  }
 
   try {
-    logger.info('🎬 Starting video download', { url, quality });
+    logger.info('🎬 Starting video download', { url, quality, mediaType });
 
     // 1. 检测平台
     const platform = detectPlatform(url);
     logger.info(`🏷️  Platform detected: ${platform.name}`);
 
-    // 2. 获取视频信息
+    // 2. 检查是否下载过同一视频（按提取器 + 视频ID，片段还要求时间段相同），能从链接得到ID时无需先获取视频信息
+    const timeRange = options.timeRange || null;
+    const findDuplicate = key => (key && !force ? findDuplicateDownload(key, downloadId, timeRange) : null);
+    let videoKey = extractVideoKey(url, metadata);
+    let duplicate = await findDuplicate(videoKey);
+
+    // 3. 获取视频信息
     let videoInfo = metadata;
-    if (!videoInfo.title || !videoInfo.uploader) {
-      videoInfo = await getVideoInfo(url);
+    const missingInfo = !videoKey || !videoInfo.title || !videoInfo.uploader ||
+      (options.dateAfter && !videoInfo.upload_date) ||
+      (options.splitChapters && !videoInfo.chapters) ||
+      // 扁平提取的条目没有上传日期，模板用到时需要获取
+      (!videoInfo.upload_date && templateUsesField(getTemplate(options, platform), 'upload_date')) ||
+      needsFilterInfo(videoInfo, options.filters);
+    if (!duplicate && missingInfo) {
+      videoInfo = await getVideoInfo(url)
+        .then(toRecordMetadata)
+        .catch(error => {
+          logger.warn('⚠️  Failed to extract video info, using defaults', {
+            url,
+            code: classifyError(error.message).code,
+            error: extractErrorMessage(error.message)
+          });
+          return fallbackVideoInfo(url, metadata);
+        });
+      if (!videoKey) {
+        videoKey = extractVideoKey(url, videoInfo);
+        duplicate = await findDuplicate(videoKey);
+      }
+    }
+
+    if (duplicate) {
+      return await finalizeDuplicateDownload(downloadId, duplicate, videoInfo, platform, startTime);
+    }
+    logger.info('📺 Video info obtained', { title: videoInfo.title, video_key: videoKey });
+
+    // 直播会让 yt-dlp 一直下载到直播结束，交给 record_live 录制
+    if (['is_live', 'is_upcoming'].includes(videoInfo.live_status)) {
+      throw new Error(`Live stream in progress or scheduled (live_status: ${videoInfo.live_status}), use record_live to record it`);
+    }
+
+    // 扁平提取时没有日期的条目在这里按上传日期过滤
+    if (options.dateAfter && videoInfo.upload_date && videoInfo.upload_date < options.dateAfter) {
+      logger.info('⏭️  Skipping video uploaded before date filter', { upload_date: videoInfo.upload_date, date_after: options.dateAfter });
+      return await finalizeSkippedDownload(downloadId, videoInfo, platform, startTime,
+        `Uploaded ${videoInfo.upload_date}, before ${options.dateAfter}`);
     }
-    logger.info('📺 Video info obtained', { title: videoInfo.title });
 
-    // 3. 生成文件名和路径
-    const filename = customFilename || generateFilename(videoInfo, platform);
-    const directory = customDirectory || path.join(DEFAULT_CONFIG.downloadPath, platform.directory);
-    ensureDirectoryExists(directory);
+    // 订阅的标题、时长和 Shorts 过滤，扁平提取时信息不全的条目在这里检查
+    const filterMismatch = getFilterMismatch(videoInfo, options.filters);
+    if (filterMismatch) {
+      logger.info('⏭️  Skipping video not matching filters', { title: videoInfo.title, reason: filterMismatch });
+      return await finalizeSkippedDownload(downloadId, videoInfo, platform, startTime, filterMismatch);
+    }
+
+    if (timeRange && videoInfo.duration && timeRange.start_time >= videoInfo.duration) {
+      throw new Error(`Time range starts at ${timeRange.start_time}s, after the end of the video (${videoInfo.duration}s)`);
+    }
+
+    // 4. 按文件名模板生成路径：恢复的下载沿用原来的路径，强制重新下载时不覆盖已有文件
+    const ext = getOutputExtension(options);
+    let targetPath = options.resumePath;
+    if (!targetPath) {
+      targetPath = resolveTargetPath({ options, videoInfo, platform, ext, videoKey });
+      targetPath = force ? generateUniqueFilename(targetPath, candidate => Boolean(findOutputFile(candidate))) : targetPath;
+    }
+    ensureDirectoryExists(path.dirname(targetPath));
     
-    const outputPath = path.join(directory, filename);
+    const { outputPath, outputTemplate } = resolveOutputPaths(targetPath, ext);
     logger.info('📁 Output path determined', { outputPath });
 
-    // 4. 检查文件是否已存在
-    if (fs.existsSync(outputPath)) {
-      logger.info('⚠️  File already exists, skipping download');
+    // 检查文件是否已存在（扩展名可能与预期不同）
+    const existingFile = findOutputFile(outputPath);
+    if (existingFile) {
+      logger.info('⚠️  File already exists, skipping download', { file: existingFile });
+      const fileInfo = describeOutputFile(existingFile);
+
+      if (downloadId) {
+        await updateDownloadStatus(downloadId, 'already_exists', {
+          title: videoInfo.title,
+          ...fileInfo,
+          video_key: videoKey,
+          metadata: videoInfo
+        });
+      }
+
       return {
         success: true,
         data: {
           title: videoInfo.title,
-          file_path: outputPath,
+          ...fileInfo,
           platform: platform.name,
-          file_size: getFileSize(outputPath),
           download_time: startTime.toISOString(),
           metadata: videoInfo,
+          video_key: videoKey,
           status: 'already_exists'
         }
       };
     }
 
-    // 5. 保存下载记录
-    downloadId = await saveDownloadRecord({
-      url,
-      title: videoInfo.title,
-      platform: platform.name,
-      output_path: outputPath,
-      status: 'in_progress',
-      started_at: startTime,
-      metadata: videoInfo
-    });
+    // 5. 保存下载记录（异步任务则更新已有记录）
+    if (downloadId) {
+      await updateDownloadStatus(downloadId, 'in_progress', {
+        title: videoInfo.title,
+        output_path: outputPath,
+        started_at: startTime,
+        video_key: videoKey,
+        metadata: videoInfo
+      });
+    } else {
+      downloadId = await saveDownloadRecord({
+        url,
+        title: videoInfo.title,
+        platform: platform.name,
+        output_path: outputPath,
+        media_type: mediaType,
+        ...(mediaType === 'audio' && { audio_format: audioFormat }),
+        ...(timeRange && { time_range: timeRange }),
+        status: 'in_progress',
+        started_at: startTime,
+        video_key: videoKey,
+        metadata: videoInfo
+      });
+      activeDownloads.set(downloadId, control);
+    }
 
-    // 6. 执行下载
-    const downloadResult = await executeDownload({
-      url,
-      outputPath,
-      quality,
-      videoInfo,
-      downloadId
-    });
+    // 6. 确定格式选择
+    const formatSelection = buildFormatSelection({ ...options, quality }, platform.name);
+    logger.info('🎞️  Format selection', { format: formatSelection.format, sort: formatSelection.sort, reason: formatSelection.reason });
+
+    // 7. 执行下载，临时性错误按退避时间自动重试
+    let downloadResult;
+    let retries = 0;
+    for (;;) {
+      downloadResult = await executeDownload({
+        url,
+        outputPath,
+        outputTemplate,
+        formatSelection,
+        subtitleArgs: buildSubtitleArgs({ ...options, mediaType }),
+        sidecarArgs: buildSidecarArgs({ ...options, mediaType }),
+        sectionArgs: buildSectionArgs(timeRange, options),
+        videoInfo,
+        downloadId,
+        control,
+        onProgress
+      });
+      if (downloadResult.success || downloadResult.stopped) {
+        break;
+      }
+
+      const delay = getRetryDelay(downloadResult.error.code, retries + 1);
+      if (delay === null) {
+        break;
+      }
+
+      retries++;
+      logger.warn(`🔁 Retrying download in ${delay / 1000}s`, { id: downloadId, code: downloadResult.error.code, attempt: retries });
+      await updateDownloadStatus(downloadId, 'in_progress', {
+        retry: {
+          attempt: retries,
+          error_code: downloadResult.error.code,
+          error_message: downloadResult.error.message,
+          next_attempt_at: new Date(Date.now() + delay).toISOString()
+        }
+      });
+      await waitBeforeRetry(delay, control);
+    }
+
+    if (downloadResult.stopped) {
+      return await finalizeStoppedDownload(downloadId, downloadResult.stopped, outputPath);
+    }
 
     if (downloadResult.success) {
+      const chosenFormat = downloadResult.report.video || null;
+      const subtitleFiles = collectSubtitleFiles(downloadResult.report.subtitles, {
+        embedded: Boolean(options.embedSubtitles)
+      });
+
+      // 记录 yt-dlp 实际写出的文件
+      const fileInfo = describeOutputFile(downloadResult.filePath);
+      const sidecarFiles = collectSidecarFiles(downloadResult.filePath, subtitleFiles);
+      logger.info('💾 Output file resolved', { file: fileInfo.file_path, bytes: fileInfo.file_size_bytes, sidecars: sidecarFiles.length });
+
       // 更新下载状态
       await updateDownloadStatus(downloadId, 'completed', {
         completed_at: new Date(),
-        file_path: outputPath,
-        file_size: getFileSize(outputPath)
+        ...fileInfo,
+        format_selection: {
+          selector: formatSelection.format,
+          sort: formatSelection.sort,
+          reason: formatSelection.reason,
+          chosen: chosenFormat
+        },
+        subtitle_files: subtitleFiles,
+        sidecar_files: sidecarFiles
       });
+      // 存档只记录完整下载的视频
+      if (!timeRange) {
+        await addToArchive(videoKey);
+      }
+
+      // 按章节切分，失败不影响下载本身
+      let chapterSplit = null;
+      if (options.splitChapters) {
+        chapterSplit = await splitChapters(await getDownloadRecord(downloadId))
+          .catch(async error => {
+            logger.warn('⚠️  Failed to split chapters', { id: downloadId, error: error.message });
+            const failed = { error: extractErrorMessage(error.message) || error.message };
+            await updateDownloadStatus(downloadId, 'completed', { chapter_split: failed });
+            return failed;
+          });
+      }
 
       return {
         success: true,
         data: {
           title: videoInfo.title,
-          file_path: outputPath,
+          ...fileInfo,
           platform: platform.name,
-          file_size: getFileSize(outputPath),
           download_time: startTime.toISOString(),
-          metadata: videoInfo
+          metadata: videoInfo,
+          download_id: downloadId,
+          video_key: videoKey,
+          time_range: timeRange,
+          media_type: mediaType,
+          format: chosenFormat,
+          format_reason: formatSelection.reason,
+          subtitle_files: subtitleFiles,
+          sidecar_files: sidecarFiles,
+          chapter_split: chapterSplit
         }
       };
     } else {
-      throw new Error(downloadResult.error);
+      return await finalizeFailedDownload(downloadId, url, { ...downloadResult.error, retries });
     }
 
   } catch (error) {
-    logger.error('💥 Download failed', { url, error: error.message });
+    return await finalizeFailedDownload(downloadId, url, { ...describeFailure(error.message), retries: 0 });
+  } finally {
+    if (downloadId && activeDownloads.get(downloadId) === control) {
+      activeDownloads.delete(downloadId);
+    }
+  }
+}
 
-    // 更新失败状态
-    if (downloadId) {
-      await updateDownloadStatus(downloadId, 'failed', {
-        failed_at: new Date(),
-        error_message: error.message
-      });
+/**
+ * 更新失败的下载记录
+ */
+async function finalizeFailedDownload(downloadId, url, { code, message, retries }) {
+  logger.error('💥 Download failed', { url, code, error: message, retries });
+
+  if (downloadId) {
+    await updateDownloadStatus(downloadId, 'failed', {
+      failed_at: new Date(),
+      error_code: code,
+      error_message: message,
+      retries
+    });
+  }
+
+  return {
+    success: false,
+    error: {
+      code,
+      message,
+      retries,
+      url: url,
+      download_id: downloadId
     }
+  };
+}
 
-    return {
-      success: false,
-      error: {
-        code: 'DOWNLOAD_FAILED',
-        message: error.message,
-        url: url
-      }
-    };
+/**
+ * 归类失败原因：error_code 来自 yt-dlp 的错误输出，message 取最后一条 ERROR 信息
+ */
+function describeFailure(output, fallbackMessage = null) {
+  return {
+    code: classifyError(output).code,
+    message: extractErrorMessage(output) || fallbackMessage || 'Unknown error'
+  };
+}
+
+/**
+ * 重试前等待，期间被取消/暂停时立即返回
+ */
+function waitBeforeRetry(delay, control) {
+  return new Promise(resolve => {
+    const timer = setTimeout(done, delay);
+    function done() {
+      clearTimeout(timer);
+      control.wake = null;
+      resolve();
+    }
+    control.wake = done;
+  });
+}
+
+/**
+ * 查找同一视频（同一时间段）已完成的下载：优先返回下载记录，只在存档中出现时 original 为 null
+ * 存档不区分时间段，只用于完整下载
+ */
+async function findDuplicateDownload(videoKey, downloadId, timeRange = null) {
+  const rangeKey = getTimeRangeKey(timeRange);
+  const completed = await getDownloadHistory({
+    video_key: videoKey,
+    status: 'completed',
+    sort_by: 'date',
+    sort_order: 'desc'
+  });
+  // 直播录制只包含录制期间的内容，不算下载过完整视频
+  const original = completed.find(record => record.type !== 'recording' && getTimeRangeKey(record.time_range) === rangeKey);
+  if (original && original.id !== downloadId) {
+    return { videoKey, original };
+  }
+
+  if (!timeRange && await isArchived(videoKey)) {
+    return { videoKey, original: null };
+  }
+
+  return null;
+}
+
+/**
+ * 已经下载过的视频：记录指向原来的下载
+ */
+async function finalizeDuplicateDownload(downloadId, { videoKey, original }, videoInfo, platform, startTime) {
+  logger.info('⚠️  Video already downloaded, skipping', { video_key: videoKey, original_id: original?.id || null });
+
+  const result = {
+    title: original?.title || videoInfo.title || null,
+    file_path: original?.file_path || null,
+    file_size: original?.file_size || null,
+    metadata: original?.metadata || videoInfo,
+    video_key: videoKey,
+    original_download_id: original?.id || null
+  };
+
+  if (downloadId) {
+    await updateDownloadStatus(downloadId, 'already_exists', result);
+  }
+
+  return {
+    success: true,
+    data: {
+      ...result,
+      platform: platform.name,
+      download_time: startTime.toISOString(),
+      download_id: downloadId,
+      original,
+      status: 'already_exists'
+    }
+  };
+}
+
+/**
+ * 不满足过滤条件而跳过的下载
+ */
+async function finalizeSkippedDownload(downloadId, videoInfo, platform, startTime, reason) {
+  if (downloadId) {
+    await updateDownloadStatus(downloadId, 'skipped', {
+      title: videoInfo.title,
+      skip_reason: reason,
+      metadata: videoInfo
+    });
+  }
+
+  return {
+    success: true,
+    data: {
+      title: videoInfo.title,
+      platform: platform.name,
+      download_time: startTime.toISOString(),
+      metadata: videoInfo,
+      download_id: downloadId,
+      status: 'skipped',
+      skip_reason: reason
+    }
+  };
+}
+
+/**
+ * 使用的文件名模板：请求指定的模板（如订阅的模板）优先于环境变量配置
+ */
+function getTemplate(options, platform) {
+  return options.outputTemplate || getOutputTemplate(platform, { playlist: Boolean(options.playlistTitle) });
+}
+
+/**
+ * 按文件名模板生成目标路径
+ * custom_directory 替换模板中的目录部分，custom_filename 替换文件名部分；只下载一段时文件名带上时间段
+ */
+function resolveTargetPath({ options, videoInfo, platform, ext, videoKey }) {
+  const relativePath = renderTemplate(getTemplate(options, platform), buildTemplateFields({
+    videoInfo,
+    platform,
+    ext,
+    url: options.url,
+    videoKey,
+    playlist: options.playlistTitle,
+    playlistIndex: options.playlistIndex
+  }));
+
+  const directory = options.customDirectory || path.join(DEFAULT_CONFIG.downloadPath, path.dirname(relativePath));
+  const filename = withTimeRangeLabel(options.customFilename || `${options.filenamePrefix || ''}${path.basename(relativePath)}`,
+    options.timeRange, ext);
+  return path.join(directory, filename);
+}
+
+/**
+ * 确定预期的文件路径和传给 yt-dlp 的输出模板
+ * 合并格式、转封装和音频提取都可能改变扩展名，模板使用 %(ext)s，实际文件在下载完成后确定；
+ * 路径中的 % 会被 yt-dlp 当作模板字段，需要转义
+ */
+function resolveOutputPaths(filePath, ext) {
+  const basePath = filePath.endsWith(`.${ext}`) ? filePath.slice(0, -(ext.length + 1)) : filePath;
+  return {
+    outputPath: `${basePath}.${ext}`,
+    outputTemplate: `${basePath.replace(/%/g, '%%')}.%(ext)s`
+  };
+}
+
+/**
+ * 取消下载：停止进程、清理碎片并标记为 cancelled
+ */
+export async function cancelDownload(downloadId) {
+  const record = await getDownloadRecord(downloadId);
+  if (!record) {
+    throw new Error(`Download record not found: ${downloadId}`);
+  }
+
+  if (record.type === 'recording') {
+    throw new Error('Live recording cannot be cancelled, use stop_recording to end it');
+  }
+
+  if (record.type === 'batch') {
+    return applyToBatch(record, 'cancelled', cancelDownload, item => !isTerminalStatus(item.status));
+  }
+
+  if (isTerminalStatus(record.status)) {
+    throw new Error(`Download cannot be cancelled in status: ${record.status}`);
+  }
+
+  // 正在执行：停止进程，由 downloadVideo 完成清理和状态更新
+  const control = activeDownloads.get(downloadId);
+  if (control) {
+    requestStop(control, 'cancelled');
+    return { id: downloadId, status: 'cancelling' };
+  }
+
+  // 还在排队或已暂停：直接清理
+  downloadScheduler.remove(downloadId, stoppedResult(downloadId, 'cancelled', record.url));
+  await finalizeStoppedDownload(downloadId, 'cancelled', record.output_path);
+  if (record.batch_id) {
+    await refreshBatchStatus(record.batch_id);
+  }
+  return { id: downloadId, status: 'cancelled' };
+}
+
+/**
+ * 暂停下载：停止进程但保留已下载的部分文件
+ */
+export async function pauseDownload(downloadId) {
+  const record = await getDownloadRecord(downloadId);
+  if (!record) {
+    throw new Error(`Download record not found: ${downloadId}`);
+  }
+
+  if (record.type === 'recording') {
+    throw new Error('Live recording cannot be paused, use stop_recording to end it');
+  }
+
+  if (record.type === 'batch') {
+    return applyToBatch(record, 'paused', pauseDownload, item => ['pending', 'in_progress'].includes(item.status));
+  }
+
+  if (!['pending', 'in_progress'].includes(record.status)) {
+    throw new Error(`Download cannot be paused in status: ${record.status}`);
+  }
+
+  const control = activeDownloads.get(downloadId);
+  if (control) {
+    requestStop(control, 'paused');
+    return { id: downloadId, status: 'pausing' };
+  }
+
+  downloadScheduler.remove(downloadId, stoppedResult(downloadId, 'paused', record.url));
+  await updateDownloadStatus(downloadId, 'paused', { paused_at: new Date() });
+  return { id: downloadId, status: 'paused' };
+}
+
+/**
+ * 恢复已暂停或被中断的下载，yt-dlp 通过 --continue 续传
+ */
+export async function resumeDownload(downloadId) {
+  const record = await getDownloadRecord(downloadId);
+  if (!record) {
+    throw new Error(`Download record not found: ${downloadId}`);
   }
+
+  if (record.type === 'recording') {
+    return resumeRecording(downloadId);
+  }
+
+  if (record.type === 'batch') {
+    return applyToBatch(record, 'pending', resumeDownload, item => RESUMABLE_STATUSES.includes(item.status));
+  }
+
+  if (!RESUMABLE_STATUSES.includes(record.status)) {
+    throw new Error(`Only paused or interrupted downloads can be resumed, current status: ${record.status}`);
+  }
+
+  const options = {
+    url: record.url,
+    priority: record.priority || 0,
+    ...fromRequestRecord(record.request),
+    // 沿用中断前的视频信息和目标路径，保证文件名不变，yt-dlp 才能续传
+    metadata: record.metadata || {},
+    resumePath: record.output_path || null,
+    ...(record.batch_id && { batchId: record.batch_id })
+  };
+
+  await updateDownloadStatus(downloadId, 'pending', { resumed_at: new Date() });
+
+  scheduleDownload(downloadId, options)
+    .catch(error => logger.error('💥 Resumed download crashed', { id: downloadId, error: error.message }));
+
+  logger.info('▶️  Download resumed', { id: downloadId });
+  return { id: downloadId, status: 'pending' };
+}
+
+/**
+ * 对批量任务中符合条件的子任务执行取消/暂停/恢复
+ */
+async function applyToBatch(batch, status, operation, shouldApply) {
+  const items = (await getBatchItems(batch.id)).filter(shouldApply);
+  if (items.length === 0) {
+    throw new Error(`No items in batch can be changed to ${status}`);
+  }
+
+  let affected = 0;
+  for (const item of items) {
+    try {
+      await operation(item.id);
+      affected++;
+    } catch (error) {
+      logger.warn('⚠️  Batch item control failed', { id: item.id, error: error.message });
+    }
+  }
+
+  logger.info('📦 Batch control applied', { id: batch.id, status, affected });
+  return { id: batch.id, status, affected };
+}
+
+/**
+ * 请求停止正在执行的下载
+ */
+function requestStop(control, reason) {
+  control.stopReason = reason;
+  control.wake?.();
+
+  const child = control.child;
+  if (!child || child.exitCode !== null) {
+    return;
+  }
+
+  // SIGINT 让 yt-dlp 自行收尾（包括结束 ffmpeg 子进程），超时再强制结束
+  child.kill('SIGINT');
+  const timer = setTimeout(() => {
+    if (child.exitCode === null) {
+      child.kill('SIGKILL');
+    }
+  }, STOP_TIMEOUT);
+  child.once('close', () => clearTimeout(timer));
+}
+
+/**
+ * 更新被取消/暂停的下载记录
+ */
+async function finalizeStoppedDownload(downloadId, reason, outputPath) {
+  if (reason === 'cancelled') {
+    if (outputPath) {
+      cleanupFragments(outputPath);
+      removeSidecarFiles(outputPath);
+    }
+    await updateDownloadStatus(downloadId, 'cancelled', { cancelled_at: new Date() });
+    logger.info('🛑 Download cancelled', { id: downloadId });
+  } else {
+    await updateDownloadStatus(downloadId, 'paused', { paused_at: new Date() });
+    logger.info('⏸️  Download paused', { id: downloadId });
+  }
+
+  return stoppedResult(downloadId, reason);
+}
+
+/**
+ * 被取消/暂停的下载返回值
+ */
+function stoppedResult(downloadId, reason, url = null) {
+  return {
+    success: false,
+    error: {
+      code: reason === 'cancelled' ? 'DOWNLOAD_CANCELLED' : 'DOWNLOAD_PAUSED',
+      message: reason === 'cancelled' ? 'Download was cancelled' : 'Download was paused',
+      url,
+      download_id: downloadId
+    }
+  };
+}
+
+/**
+ * 请求参数 -> 下载记录（snake_case）
+ */
+function toRequestRecord(options) {
+  const request = {};
+  REQUEST_OPTION_KEYS.forEach(key => {
+    if (options[key] !== undefined) {
+      request[key.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`)] = options[key];
+    }
+  });
+  return request;
+}
+
+/**
+ * 下载记录 -> 请求参数（camelCase）
+ */
+function fromRequestRecord(request = {}) {
+  const options = {};
+  Object.entries(request).forEach(([key, value]) => {
+    const optionKey = key.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+    if (REQUEST_OPTION_KEYS.includes(optionKey) && value !== null) {
+      options[optionKey] = value;
+    }
+  });
+  return options;
 }
 
 /**
  * 执行实际的下载过程
  */
-async function executeDownload({ url, outputPath, quality, videoInfo, downloadId }) {
+async function executeDownload({ url, outputPath, outputTemplate = outputPath, formatSelection, subtitleArgs = [], sidecarArgs = [], sectionArgs = [], videoInfo, downloadId, control, onProgress }) {
   return new Promise((resolve, reject) => {
+    // 在启动进程前已被取消/暂停
+    if (control?.stopReason) {
+      resolve({ success: false, stopped: control.stopReason });
+      return;
+    }
+
+    // yt-dlp 把实际选择的格式写入报告文件
+    const report = createDownloadReport(downloadId);
+
     const args = [
       '--continue',                    // 断点续传
       '--keep-fragments',              // 保持碎片文件防止数据丢失
@@ -155,8 +1000,14 @@ async function executeDownload({ url, outputPath, quality, videoInfo, downloadId
       '--retries', DEFAULT_CONFIG.maxRetries.toString(),
       '--fragment-retries', DEFAULT_CONFIG.fragmentRetries.toString(),
       '--throttled-rate', DEFAULT_CONFIG.throttledRate,
-      '--format', quality,
-      '--output', outputPath,
+      '--no-playlist',                 // 带 list= 参数的视频链接只下载该视频
+      '--progress-template', PROGRESS_TEMPLATE,
+      ...formatSelectionArgs(formatSelection),
+      ...subtitleArgs,
+      ...sidecarArgs,
+      ...sectionArgs,
+      ...report.args,
+      '--output', outputTemplate,
       url
     ];
 
@@ -165,50 +1016,93 @@ async function executeDownload({ url, outputPath, quality, videoInfo, downloadId
     const child = spawn(DEFAULT_CONFIG.ytDlpPath, args, {
       stdio: ['ignore', 'pipe', 'pipe']
     });
+    if (control) {
+      control.child = child;
+    }
 
-    let lastProgress = '';
+    let progress = null;
+    let lastPersisted = '';
+    let stdoutBuffer = '';
 
-    // 处理标准输出（进度信息）
-    child.stdout.on('data', (data) => {
-      const output = data.toString();
-      
-      // 提取进度信息
-      const progressMatch = output.match(/\[download\]\s+(\d+\.?\d*)%/);
-      if (progressMatch) {
-        const progress = progressMatch[1];
-        if (progress !== lastProgress) {
-          lastProgress = progress;
-          logger.info(`📥 Download progress: ${progress}%`);
-          
-          // 更新下载进度（可选）
-          if (downloadId) {
-            updateDownloadStatus(downloadId, 'in_progress', { progress: `${progress}%` })
-              .catch(err => logger.warn('Failed to update progress:', err));
-          }
+    // 处理一行输出中的进度信息
+    const handleLine = (line) => {
+      const update = parseProgressLine(line);
+      if (!update) {
+        return;
+      }
+
+      progress = mergeProgress(progress, update);
+
+      // 进度回调（如MCP进度通知）自行节流
+      if (onProgress && !control?.stopReason) {
+        onProgress(progress);
+      }
+
+      // 百分比或阶段变化时才写入记录
+      const percent = typeof progress.percent === 'number' ? progress.percent.toFixed(1) : null;
+      const key = `${progress.phase}:${percent}`;
+      if (key === lastPersisted) {
+        return;
+      }
+      lastPersisted = key;
+
+      logger.info(`📥 Download progress: ${formatProgressDetail(progress)}`);
+
+      // 更新下载进度（可选），停止过程中不再覆盖状态
+      if (downloadId && !control?.stopReason) {
+        const progressData = {
+          progress_detail: { ...progress, updated_at: new Date().toISOString() }
+        };
+        if (percent !== null) {
+          progressData.progress = `${percent}%`;
         }
+
+        updateDownloadStatus(downloadId, 'in_progress', progressData, { throttle: true })
+          .catch(err => logger.warn('Failed to update progress:', err));
       }
+    };
+
+    // 处理标准输出（进度信息），按行切分
+    child.stdout.on('data', (data) => {
+      stdoutBuffer += data.toString();
+      const lines = stdoutBuffer.split(/\r?\n|\r/);
+      stdoutBuffer = lines.pop();
+      lines.forEach(handleLine);
     });
 
-    // 处理错误输出
+    // 处理错误输出，保留末尾部分用于归类失败原因
+    let stderrTail = '';
     child.stderr.on('data', (data) => {
       const error = data.toString();
       logger.warn('⚠️  yt-dlp stderr:', error);
+      stderrTail = (stderrTail + error).slice(-STDERR_TAIL_LENGTH);
     });
 
     // 处理进程结束
     child.on('close', (code) => {
-      if (code === 0) {
-        logger.info('✅ Download completed successfully');
+      if (stdoutBuffer) {
+        handleLine(stdoutBuffer);
+        stdoutBuffer = '';
+      }
+
+      const reportData = readDownloadReport(report.path);
+
+      if (control?.stopReason) {
+        logger.info(`🛑 yt-dlp stopped: ${control.stopReason}`);
+        resolve({ success: false, stopped: control.stopReason });
+      } else if (code === 0) {
+        const filePath = resolveDownloadedFile(reportData, outputPath);
+        logger.info('✅ Download completed successfully', { file: filePath });
         
         // 清理碎片文件
-        cleanupFragments(outputPath);
+        cleanupFragments(filePath);
         
-        resolve({ success: true });
+        resolve({ success: true, report: reportData, filePath });
       } else {
         logger.error(`❌ Download failed with exit code: ${code}`);
         resolve({ 
           success: false, 
-          error: `Download process failed with exit code: ${code}` 
+          error: describeFailure(stderrTail, `Download process failed with exit code: ${code}`)
         });
       }
     });
@@ -216,9 +1110,10 @@ async function executeDownload({ url, outputPath, quality, videoInfo, downloadId
     // 处理进程错误
     child.on('error', (error) => {
       logger.error('💥 Process error:', error);
+      readDownloadReport(report.path);
       resolve({ 
         success: false, 
-        error: `Process error: ${error.message}` 
+        error: describeFailure(`Process error: ${error.message}`)
       });
     });
   });
@@ -229,25 +1124,14 @@ async function executeDownload({ url, outputPath, quality, videoInfo, downloadId
  */
 function cleanupFragments(outputPath) {
   try {
-    const directory = path.dirname(outputPath);
-    const baseName = path.basename(outputPath, '.mp4');
-    const files = fs.readdirSync(directory);
-    
-    const fragments = files.filter(f => 
-      f.startsWith(`${baseName}.mp4.part-Frag`) ||
-      f === `${baseName}.mp4.ytdl` ||
-      f === `${baseName}.mp4.part` ||
-      f.startsWith(`${baseName}.f`) ||
-      (f.includes(baseName) && f.includes('.part-'))
-    );
-    
+    const fragments = findPartialFiles(outputPath);
+
     let totalSize = 0;
     fragments.forEach(frag => {
       try {
-        const fragPath = path.join(directory, frag);
-        const stats = fs.statSync(fragPath);
+        const stats = fs.statSync(frag);
         totalSize += stats.size;
-        fs.unlinkSync(fragPath);
+        fs.unlinkSync(frag);
       } catch (e) {
         // 忽略删除失败
       }
@@ -262,17 +1146,12 @@ function cleanupFragments(outputPath) {
 }
 
 /**
- * 获取文件大小
+ * yt-dlp 报告的最终文件，报告缺失时按文件名主体查找
  */
-function getFileSize(filePath) {
-  try {
-    if (fs.existsSync(filePath)) {
-      const stats = fs.statSync(filePath);
-      const sizeMB = (stats.size / 1024 / 1024).toFixed(2);
-      return `${sizeMB} MB`;
-    }
-  } catch (e) {
-    // 忽略错误
+function resolveDownloadedFile(report, outputPath) {
+  const reported = report.file?.filepath;
+  if (reported && fs.existsSync(reported)) {
+    return reported;
   }
-  return 'Unknown';
-}
\ No newline at end of file
+  return findOutputFile(outputPath) || outputPath;
+}
@@ -0,0 +1,238 @@
+/**
+ * Error Classifier
+ * 把 yt-dlp 的错误输出归类为错误代码，并给出重试策略和处理建议
+ */
+
+// 错误代码定义，按顺序匹配，排在前面的优先
+// retry: 临时性错误的自动重试次数和首次等待时间（毫秒），之后每次翻倍
+const ERROR_TYPES = [
+  {
+    code: 'YTDLP_MISSING',
+    label: '找不到 yt-dlp',
+    patterns: [/spawn \S+ ENOENT/i],
+    guidance: [
+      '确认已安装 yt-dlp，或通过 YT_DLP_PATH 指定正确的路径',
+      '重启服务后系统会尝试自动安装 yt-dlp'
+    ]
+  },
+  {
+    code: 'DISK_FULL',
+    label: '磁盘空间不足',
+    patterns: [/No space left on device/i, /ENOSPC/, /Disk quota exceeded/i],
+    guidance: [
+      '清理下载目录或更换 DOWNLOAD_PATH 到空间更大的磁盘',
+      '可以用 max_filesize 限制单个文件大小，或选择更低的画质'
+    ]
+  },
+  {
+    code: 'FFMPEG_MISSING',
+    label: '缺少 ffmpeg',
+    patterns: [/ffmpeg (is )?not (found|installed)/i, /ffprobe and ffmpeg not found/i, /ffmpeg-location/i],
+    guidance: [
+      '安装 ffmpeg 并确保它在 PATH 中（合并音视频、提取音频和嵌入字幕都需要它）',
+      '或者改用 quality: "worst" 等不需要合并的格式'
+    ]
+  },
+  {
+    code: 'UNSUPPORTED_URL',
+    label: '不支持的链接',
+    patterns: [/Unsupported URL/i, /is not a valid URL/i, /no suitable InfoExtractor/i],
+    guidance: [
+      '确认链接指向单个视频页面，而不是搜索结果或首页',
+      '目前支持 YouTube、Bilibili 和 MagentaMusik 的视频链接'
+    ]
+  },
+  {
+    code: 'AGE_RESTRICTED',
+    label: '年龄限制',
+    patterns: [/confirm your age/i, /age[- ]restricted/i, /inappropriate for some users/i, /age verification/i],
+    guidance: [
+      '该视频需要登录已验证年龄的账号才能观看',
+      '导出浏览器 cookies 并通过 yt-dlp 的 --cookies 配置后重试'
+    ]
+  },
+  {
+    code: 'LOGIN_REQUIRED',
+    label: '需要登录',
+    patterns: [
+      /Sign in to confirm(?! you.?re not a bot)/i,
+      /login required/i,
+      /requires? (authentication|login|sign[- ]in)/i,
+      /members[- ]only/i,
+      /Join this channel/i,
+      /only available (for|to) (registered users|members|premium)/i,
+      /available to this channel.s members/i,
+      /需要登录|大会员|充电专属/
+    ],
+    guidance: [
+      '该视频需要登录、会员或付费才能观看',
+      '导出有权限的账号的浏览器 cookies 并通过 yt-dlp 的 --cookies 配置后重试'
+    ]
+  },
+  {
+    code: 'GEO_BLOCKED',
+    label: '地区限制',
+    patterns: [
+      /available in your (country|region)/i,
+      /not available from your location/i,
+      /blocked it in your country/i,
+      /geo[- ]?restrict/i,
+      /(不可用|不支持).*(地区|區域)|(地区|區域).*(限制|不可用|不可观看|無法觀看)/
+    ],
+    guidance: [
+      '该视频在当前网络所在地区不可用',
+      '可以通过代理或在允许的地区的网络下重试'
+    ]
+  },
+  {
+    code: 'LIVE_STREAM',
+    label: '直播未开始或正在直播',
+    patterns: [
+      /live event will begin/i,
+      /Premieres? (in|will begin)/i,
+      /has not started yet/i,
+      /not currently live/i,
+      /Live stream in progress/i,
+      /Not a live stream/i
+    ],
+    guidance: [
+      '正在进行或即将开始的直播和首播请使用 record_live 录制，它可以等待开播',
+      '已经结束的直播回放可以用 download_video 下载'
+    ]
+  },
+  {
+    code: 'VIDEO_UNAVAILABLE',
+    label: '视频不存在或不可见',
+    patterns: [
+      /Private video/i,
+      /video is private/i,
+      /Video unavailable/i,
+      /has been removed/i,
+      /account .*(terminated|closed)/i,
+      /(video|playlist|channel|user|page|content) does not exist/i,
+      /HTTP Error 404/i,
+      /稿件不可见|视频不存在|已失效/
+    ],
+    guidance: [
+      '视频可能已被删除、设为私享，或链接有误',
+      '在浏览器中打开链接确认视频仍可观看'
+    ]
+  },
+  {
+    code: 'FORMAT_UNAVAILABLE',
+    label: '没有符合要求的格式',
+    patterns: [/Requested format is not available/i],
+    guidance: [
+      '放宽画质、编码或文件大小等限制后重试',
+      '使用 quality: "best" 让系统自动选择可用格式'
+    ]
+  },
+  {
+    code: 'RATE_LIMITED',
+    label: '请求过于频繁',
+    patterns: [/HTTP Error 429/i, /Too Many Requests/i, /rate[- ]?limit/i, /HTTP Error 412/i, /confirm you.?re not a bot/i],
+    retry: { attempts: 3, delay: 30000 },
+    guidance: [
+      '平台暂时限制了请求频率，已自动等待后重试',
+      '减少同时进行的下载（MAX_CONCURRENT_DOWNLOADS / PLATFORM_CONCURRENCY），稍后再试'
+    ]
+  },
+  {
+    code: 'NETWORK_ERROR',
+    label: '网络错误',
+    patterns: [
+      /timed? ?out/i,
+      /Connection (reset|refused|aborted)/i,
+      /Temporary failure in name resolution/i,
+      /Name or service not known/i,
+      /Network is unreachable/i,
+      /getaddrinfo/i,
+      /Unable to download (webpage|video data)/i,
+      /IncompleteRead/i,
+      /ECONNRESET|ETIMEDOUT/,
+      /HTTP Error 5\d\d/i,
+      /SSL: |SSLError|CERTIFICATE_VERIFY_FAILED/
+    ],
+    retry: { attempts: 3, delay: 5000 },
+    guidance: [
+      '网络连接不稳定，已自动重试',
+      '检查网络或代理设置后使用相同参数重新下载，已下载的部分会续传'
+    ]
+  }
+];
+
+// 无法归类的错误
+const UNKNOWN_ERROR = {
+  code: 'DOWNLOAD_FAILED',
+  label: '下载失败',
+  patterns: [],
+  guidance: [
+    '检查网络连接和视频URL是否有效',
+    '查看服务日志中 yt-dlp 的完整错误输出'
+  ]
+};
+
+// 重试等待时间上限
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+export const ERROR_CODES = [...ERROR_TYPES, UNKNOWN_ERROR].map(type => type.code);
+
+/**
+ * 归类错误输出
+ * 优先匹配 yt-dlp 的 "ERROR:" 行，避免被之前的警告误导
+ */
+export function classifyError(output = '') {
+  const text = String(output);
+  const errorLines = text.split(/\r?\n/).filter(line => /^ERROR:/.test(line.trim()));
+  const candidates = errorLines.length > 0 ? [errorLines.join('\n'), text] : [text];
+
+  for (const candidate of candidates) {
+    const type = ERROR_TYPES.find(entry => entry.patterns.some(pattern => pattern.test(candidate)));
+    if (type) {
+      return describeType(type);
+    }
+  }
+
+  return describeType(UNKNOWN_ERROR);
+}
+
+/**
+ * 获取错误代码的说明
+ */
+export function getErrorInfo(code) {
+  const type = ERROR_TYPES.find(entry => entry.code === code) || UNKNOWN_ERROR;
+  return describeType(type);
+}
+
+/**
+ * 第 attempt 次重试（从1开始）前的等待时间，不应重试时返回 null
+ */
+export function getRetryDelay(code, attempt) {
+  const type = ERROR_TYPES.find(entry => entry.code === code);
+  if (!type?.retry || attempt > type.retry.attempts) {
+    return null;
+  }
+
+  return Math.min(type.retry.delay * 2 ** (attempt - 1), MAX_RETRY_DELAY);
+}
+
+/**
+ * 从 yt-dlp 错误输出中提取最后一条错误信息
+ */
+export function extractErrorMessage(output = '') {
+  const lines = String(output).split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const errorLine = [...lines].reverse().find(line => line.startsWith('ERROR:'));
+  return errorLine ? errorLine.replace(/^ERROR:\s*/, '') : lines[lines.length - 1] || null;
+}
+
+/**
+ * 错误类型 -> 对外的说明
+ */
+function describeType(type) {
+  return {
+    code: type.code,
+    label: type.label,
+    retryable: Boolean(type.retry),
+    guidance: type.guidance
+  };
+}
@@ -7,39 +7,8 @@ import fs from 'fs';
 import path from 'path';
 import { logger } from '../utils/logger.js';
 
-/**
- * 生成安全的文件名
- */
-export function generateFilename(videoInfo, platform) {
-  const { title, uploader } = videoInfo;
-  const sanitizedTitle = sanitizeFilename(title || 'Unknown Video');
-  const sanitizedUploader = sanitizeFilename(uploader || 'Unknown');
-  
-  let filename;
-  
-  switch (platform.name) {
-    case 'youtube':
-      filename = `${sanitizedTitle} - ${sanitizedUploader}.mp4`;
-      break;
-    case 'bilibili':
-      filename = `${platform.prefix}${sanitizedTitle} - ${sanitizedUploader}.mp4`;
-      break;
-    case 'magentamusik':
-      filename = `${sanitizedTitle}.mp4`;
-      break;
-    default:
-      filename = `${platform.prefix}${sanitizedTitle}.mp4`;
-  }
-  
-  // 确保文件名不会太长
-  if (filename.length > 255) {
-    const maxTitleLength = 200 - platform.prefix.length;
-    const truncatedTitle = sanitizedTitle.substring(0, maxTitleLength);
-    filename = `${platform.prefix}${truncatedTitle}.mp4`;
-  }
-  
-  return filename;
-}
+// 视为媒体文件（非临时文件）的扩展名
+const MEDIA_EXTENSIONS = ['.mp4', '.mkv', '.webm', '.mov', '.flv', '.mp3', '.m4a', '.aac', '.opus', '.ogg', '.flac', '.wav'];
 
 /**
  * 清理文件名中的不安全字符
@@ -81,6 +50,29 @@ export function ensureDirectoryExists(dirPath) {
   }
 }
 
+/**
+ * 原子写入文件：先写临时文件并落盘，再重命名覆盖目标文件
+ * 进程中途退出时目标文件要么是旧内容，要么是完整的新内容
+ */
+export async function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.tmp-${process.pid}`;
+
+  try {
+    const handle = await fs.promises.open(tempPath, 'w');
+    try {
+      await handle.writeFile(data, 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
 /**
  * 检查文件是否存在且完整
  */
@@ -110,6 +102,68 @@ export function isFileComplete(filePath) {
   }
 }
 
+/**
+ * 查找某个输出文件对应的 yt-dlp 临时文件（.part、.ytdl、分片和未合并的格式文件）
+ * 音频提取时源文件扩展名与最终扩展名不同，按文件名前缀匹配
+ */
+export function findPartialFiles(outputPath) {
+  const directory = path.dirname(outputPath);
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+
+  const baseName = path.basename(outputPath, path.extname(outputPath));
+  const tempPattern = /^(f\d+\.)?[^.]+\.(part(-Frag\d+)?|ytdl)$|^f\d+\.[^.]+$/;
+
+  return fs.readdirSync(directory)
+    .filter(f =>
+      (f.startsWith(`${baseName}.`) && tempPattern.test(f.slice(baseName.length + 1))) ||
+      (f.includes(baseName) && f.includes('.part-'))
+    )
+    .map(f => path.join(directory, f));
+}
+
+/**
+ * 查找下载得到的媒体文件
+ * yt-dlp 合并格式、转封装或提取音频后扩展名可能与预期不同，按文件名主体匹配任意媒体扩展名
+ */
+export function findOutputFile(expectedPath) {
+  if (fs.existsSync(expectedPath)) {
+    return expectedPath;
+  }
+
+  const directory = path.dirname(expectedPath);
+  if (!fs.existsSync(directory)) {
+    return null;
+  }
+
+  const baseName = path.basename(expectedPath, path.extname(expectedPath));
+  const match = fs.readdirSync(directory).find(f => {
+    const ext = path.extname(f);
+    return path.basename(f, ext) === baseName && MEDIA_EXTENSIONS.includes(ext.toLowerCase());
+  });
+  return match ? path.join(directory, match) : null;
+}
+
+/**
+ * 文件路径、大小和容器格式，写入下载记录
+ */
+export function describeOutputFile(filePath) {
+  let bytes = null;
+  try {
+    bytes = fs.statSync(filePath).size;
+  } catch (e) {
+    // 文件不存在时大小未知
+  }
+
+  return {
+    file_path: filePath,
+    file_size: bytes === null ? 'Unknown' : `${(bytes / 1024 / 1024).toFixed(2)} MB`,
+    file_size_bytes: bytes,
+    container: path.extname(filePath).slice(1).toLowerCase() || null
+  };
+}
+
 /**
  * 获取文件信息
  */
@@ -151,16 +205,17 @@ export function formatFileSize(bytes) {
 
 /**
  * 生成唯一文件名（如果文件已存在）
+ * exists 用于自定义“已存在”的判断，例如忽略扩展名
  */
-export function generateUniqueFilename(baseFilePath) {
+export function generateUniqueFilename(baseFilePath, exists = fs.existsSync) {
   const dir = path.dirname(baseFilePath);
-  const name = path.basename(baseFilePath, '.mp4');
-  const ext = '.mp4';
+  const ext = path.extname(baseFilePath);
+  const name = path.basename(baseFilePath, ext);
   
   let counter = 1;
   let uniquePath = baseFilePath;
   
-  while (fs.existsSync(uniquePath)) {
+  while (exists(uniquePath)) {
     uniquePath = path.join(dir, `${name} (${counter})${ext}`);
     counter++;
     
@@ -250,7 +305,7 @@ export function getDirectoryStats(directory) {
           totalSize += stats.size;
           fileCount++;
           
-          if (file.endsWith('.mp4') || file.endsWith('.mkv') || file.endsWith('.webm')) {
+          if (MEDIA_EXTENSIONS.some(ext => file.endsWith(ext))) {
             videoCount++;
           }
         }
@@ -0,0 +1,258 @@
+/**
+ * Filename Templates
+ * 用模板生成下载文件的相对路径，例如 "{uploader}/{upload_date:%Y-%m}/{title}.{ext}"
+ *
+ * 模板相对于下载目录，"/" 分隔子目录；字段的值会清理不安全字符，不会产生额外的目录层级。
+ * OUTPUT_TEMPLATE 对所有平台生效，OUTPUT_TEMPLATE_<平台>（如 OUTPUT_TEMPLATE_YOUTUBE）覆盖单个平台；
+ * 都没有配置时使用与原来一致的默认布局：<平台目录>/<前缀><标题> - <作者>.<扩展名>
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { sanitizeFilename } from './file-manager.js';
+import { UNKNOWN_TITLE, UNKNOWN_UPLOADER } from './video-info.js';
+
+// 可用字段，值为是否接受格式说明（{field:format}）
+export const TEMPLATE_FIELDS = {
+  title: false,
+  uploader: false,
+  id: false,
+  platform: false,
+  upload_date: true,   // strftime 格式，如 {upload_date:%Y-%m}
+  playlist: false,
+  playlist_index: true, // 补零宽度，如 {playlist_index:03}
+  ext: false
+};
+
+// 未指定宽度时播放列表序号补零到两位
+const DEFAULT_INDEX_WIDTH = 2;
+
+// 单个文件名的最大字节数：文件系统上限 255，留出 yt-dlp 临时文件后缀（.part-Frag123）的空间
+const MAX_FILENAME_BYTES = 240;
+
+// 默认文件名中包含作者的平台
+const UPLOADER_IN_FILENAME = ['youtube', 'bilibili'];
+
+// 环境变量中的模板，首次使用时读取，确保 .env 已经加载
+let configuredOverrides = null;
+
+/**
+ * 从环境变量读取模板：{ default, <平台名>: 模板 }
+ */
+export function getTemplateOverrides(env = process.env) {
+  const overrides = {};
+  Object.entries(env).forEach(([key, value]) => {
+    if (!value || !value.trim()) {
+      return;
+    }
+    if (key === 'OUTPUT_TEMPLATE') {
+      overrides.default = value.trim();
+    } else if (key.startsWith('OUTPUT_TEMPLATE_')) {
+      overrides[key.slice('OUTPUT_TEMPLATE_'.length).toLowerCase()] = value.trim();
+    }
+  });
+  return overrides;
+}
+
+function getConfiguredOverrides() {
+  if (!configuredOverrides) {
+    configuredOverrides = getTemplateOverrides(process.env);
+  }
+  return configuredOverrides;
+}
+
+/**
+ * 获取平台使用的模板，播放列表条目默认放在以播放列表标题命名的子目录中
+ */
+export function getOutputTemplate(platform, { playlist = false, overrides = getConfiguredOverrides() } = {}) {
+  const configured = overrides[platform.name] || overrides.default;
+  if (configured) {
+    return configured;
+  }
+
+  const name = UPLOADER_IN_FILENAME.includes(platform.name) ? '{title} - {uploader}' : '{title}';
+  return `${platform.directory}/${playlist ? '{playlist}/' : ''}${platform.prefix}${name}.{ext}`;
+}
+
+/**
+ * 是否为平台配置了自定义模板
+ */
+export function hasConfiguredTemplate(platform, overrides = getConfiguredOverrides()) {
+  return Boolean(overrides[platform.name] || overrides.default);
+}
+
+/**
+ * 把模板解析为文本片段和字段，模板无效时抛出异常
+ */
+export function parseTemplate(template) {
+  const tokens = [];
+  const pattern = /\{([^{}]*)\}|([{}])|([^{}]+)/g;
+  let match;
+
+  while ((match = pattern.exec(template)) !== null) {
+    const [, placeholder, brace, literal] = match;
+    if (brace) {
+      throw new Error(`Unbalanced "${brace}" in output template: ${template}`);
+    }
+    if (literal !== undefined) {
+      tokens.push({ literal });
+      continue;
+    }
+
+    const separator = placeholder.indexOf(':');
+    const field = (separator === -1 ? placeholder : placeholder.slice(0, separator)).trim();
+    const format = separator === -1 ? null : placeholder.slice(separator + 1);
+
+    if (!(field in TEMPLATE_FIELDS)) {
+      throw new Error(`Unknown output template field "{${field}}", available: ${Object.keys(TEMPLATE_FIELDS).join(', ')}`);
+    }
+    if (format !== null && !TEMPLATE_FIELDS[field]) {
+      throw new Error(`Output template field "{${field}}" does not accept a format`);
+    }
+    if (field === 'playlist_index' && format !== null && !/^0?\d+$/.test(format)) {
+      throw new Error(`Invalid playlist_index width "${format}", use e.g. {playlist_index:03}`);
+    }
+
+    tokens.push({ field, format });
+  }
+
+  return tokens;
+}
+
+/**
+ * 模板中是否用到某个字段
+ */
+export function templateUsesField(template, field) {
+  return parseTemplate(template).some(token => token.field === field);
+}
+
+/**
+ * 检查模板，返回错误信息，有效时返回 null
+ */
+export function validateTemplate(template) {
+  try {
+    parseTemplate(template);
+  } catch (error) {
+    return error.message;
+  }
+
+  if (path.isAbsolute(template) || /^[a-z]:/i.test(template)) {
+    return `Output template must be relative to the download path: ${template}`;
+  }
+  if (template.split(/[\\/]/).some(segment => segment.trim() === '..')) {
+    return `Output template must not contain "..": ${template}`;
+  }
+  return null;
+}
+
+/**
+ * 下载任务 -> 模板字段，缺失的字段使用安全的替代值
+ * 没有标题时用视频ID，避免不同视频得到相同的文件名互相覆盖
+ */
+export function buildTemplateFields({ videoInfo = {}, platform, ext, url = null, videoKey = null, playlist = null, playlistIndex = null }) {
+  const id = presentValue(videoInfo.id) ||
+    (videoKey ? videoKey.slice(videoKey.indexOf(' ') + 1) : null) ||
+    `video-${crypto.createHash('sha1').update(String(url)).digest('hex').slice(0, 10)}`;
+
+  return {
+    title: presentValue(videoInfo.title, [UNKNOWN_TITLE]) || id,
+    uploader: presentValue(videoInfo.uploader, [UNKNOWN_UPLOADER]) || 'Unknown',
+    id,
+    platform: platform.name,
+    upload_date: presentValue(videoInfo.upload_date),
+    playlist: presentValue(playlist),
+    playlist_index: playlistIndex ?? null,
+    ext
+  };
+}
+
+/**
+ * 渲染模板，返回相对路径
+ * 模板不以 .{ext} 结尾时自动加上扩展名；文件名过长时截断
+ */
+export function renderTemplate(template, fields) {
+  const source = /\.\{ext\}$/.test(template) ? template : `${template}.{ext}`;
+
+  const rendered = parseTemplate(source)
+    .map(token => (token.literal !== undefined ? token.literal : formatField(token.field, token.format, fields)))
+    .join('');
+
+  const segments = rendered.split(/[\\/]/)
+    .map(segment => segment.trim())
+    .filter(segment => segment && segment !== '.' && segment !== '..');
+
+  if (segments.length === 0) {
+    segments.push(`${fields.id}.${fields.ext}`);
+  }
+  segments[segments.length - 1] = truncateFilename(segments[segments.length - 1], fields.ext);
+
+  return segments.join(path.sep);
+}
+
+/**
+ * 字段值 -> 文件名中的文本
+ */
+function formatField(field, format, fields) {
+  const value = fields[field];
+
+  switch (field) {
+    case 'upload_date':
+      return value ? formatUploadDate(value, format) : 'NA';
+    case 'playlist_index': {
+      if (value === null || value === undefined) {
+        return 'NA';
+      }
+      const width = format ? parseInt(format, 10) : DEFAULT_INDEX_WIDTH;
+      return String(value).padStart(width, '0');
+    }
+    case 'ext':
+      return value;
+    default:
+      return value ? sanitizeFilename(String(value)) : 'NA';
+  }
+}
+
+/**
+ * 按 strftime 格式输出 YYYYMMDD 日期，支持 %Y %y %m %d %%
+ */
+function formatUploadDate(date, format) {
+  const match = String(date).match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+  if (!match) {
+    return sanitizeFilename(String(date));
+  }
+
+  const [, year, month, day] = match;
+  if (!format) {
+    return `${year}${month}${day}`;
+  }
+
+  const parts = { Y: year, y: year.slice(2), m: month, d: day, '%': '%' };
+  return format.replace(/%([Yymd%])/g, (_, code) => parts[code]);
+}
+
+/**
+ * 文件名超过字节上限时截断主体部分，保留扩展名（中文标题每个字占3字节）
+ */
+function truncateFilename(filename, ext) {
+  if (Buffer.byteLength(filename) <= MAX_FILENAME_BYTES) {
+    return filename;
+  }
+
+  const suffix = filename.endsWith(`.${ext}`) ? `.${ext}` : '';
+  const chars = Array.from(filename.slice(0, filename.length - suffix.length));
+  while (chars.length > 0 && Buffer.byteLength(chars.join('') + suffix) > MAX_FILENAME_BYTES) {
+    chars.pop();
+  }
+  return `${chars.join('').trim()}${suffix}`;
+}
+
+/**
+ * 有效的字段值，空值、yt-dlp 的 "NA" 和指定的占位值视为缺失
+ */
+function presentValue(value, placeholders = []) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const text = String(value).trim();
+  return text && text !== 'NA' && !placeholders.includes(text) ? text : null;
+}
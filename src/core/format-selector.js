@@ -0,0 +1,278 @@
+/**
+ * Format Selection Engine
+ * 把用户的画质/编码/容器/大小需求转换为 yt-dlp 的格式选择参数
+ */
+
+import { getPlatformQuality } from './platforms.js';
+
+// 编码名称 -> yt-dlp 排序字段值
+const VIDEO_CODECS = {
+  h264: 'h264',
+  h265: 'h265',
+  vp9: 'vp9',
+  av1: 'av01'
+};
+
+const AUDIO_CODECS = {
+  aac: 'aac',
+  opus: 'opus',
+  mp3: 'mp3'
+};
+
+// 容器 -> 优先选择的视频/音频扩展名
+const CONTAINER_EXTENSIONS = {
+  mp4: 'mp4:m4a',
+  webm: 'webm:webm',
+  mkv: null
+};
+
+// 音频提取格式 -> 优先选择的源音频（尽量避免转码）
+const AUDIO_FORMATS = {
+  mp3: null,
+  m4a: 'acodec:aac,ext:m4a',
+  opus: 'acodec:opus',
+  flac: null
+};
+
+// 具体的格式ID（如 137、hls-1080p），以及 yt-dlp 的通用选择器（b、bv*、ba、best 等）
+const FORMAT_ID_PATTERN = /^[\w.=-]+$/;
+const GENERIC_SELECTOR_PATTERN = /^(b|w|best|worst)(v|a|video|audio)?\*?$|^(all|mergeall)$/;
+
+export const SUPPORTED_VIDEO_CODECS = Object.keys(VIDEO_CODECS);
+export const SUPPORTED_AUDIO_CODECS = Object.keys(AUDIO_CODECS);
+export const SUPPORTED_CONTAINERS = Object.keys(CONTAINER_EXTENSIONS);
+export const SUPPORTED_AUDIO_FORMATS = Object.keys(AUDIO_FORMATS);
+
+/**
+ * 下载后文件的扩展名
+ */
+export function getOutputExtension({ mediaType = 'video', audioFormat = 'mp3', container = null } = {}) {
+  if (mediaType === 'audio') {
+    return audioFormat;
+  }
+  return container || 'mp4';
+}
+
+/**
+ * 解析文件大小限制，支持数字（MB）或 "500M" / "2G" 格式
+ */
+export function parseFileSize(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  if (typeof value === 'number') {
+    return value > 0 ? `${value}M` : null;
+  }
+
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([KMG])i?B?$/i);
+  return match ? `${match[1]}${match[2].toUpperCase()}` : null;
+}
+
+/**
+ * 格式选择中视频没有提供的格式ID
+ * 支持 "137+140"（合并）和 "22/18"（依次回退）：任一备选的格式ID都存在即可，否则返回缺少的ID；
+ * b、bv*、ba 等通用选择器和带过滤条件的部分交给 yt-dlp 处理
+ */
+export function getMissingFormatIds(selector, availableIds) {
+  const alternatives = selector.split('/').map(alternative => alternative.split('+')
+    .map(part => part.trim())
+    .filter(part => FORMAT_ID_PATTERN.test(part) && !GENERIC_SELECTOR_PATTERN.test(part)));
+
+  const missing = alternatives.map(ids => ids.filter(id => !availableIds.includes(id)));
+  return missing.some(ids => ids.length === 0) ? [] : [...new Set(missing.flat())];
+}
+
+/**
+ * 构建格式选择
+ *
+ * 硬性限制（分辨率上限、文件大小上限）写入格式过滤器，永不放宽（未知值的格式视为满足）；
+ * 编码、帧率、HDR、容器属于偏好，通过 -S 排序表达，缺失时自动退而求其次。
+ * 回退顺序：
+ *   1. 满足限制的最佳视频流 + 最佳音频流（按偏好排序）
+ *   2. 满足限制的最佳音视频合一格式
+ * 指定 formatId 时直接使用该格式，画质、编码等偏好不再生效
+ */
+export function buildFormatSelection(intent = {}, platformName = 'unknown') {
+  const {
+    formatId = null,
+    quality = 'best',
+    maxHeight = null,
+    videoCodec = null,
+    audioCodec = null,
+    container = null,
+    fps = null,
+    hdr = 'any',
+    maxFilesize = null,
+    mediaType = 'video'
+  } = intent;
+
+  if (mediaType === 'audio') {
+    return buildAudioSelection(intent);
+  }
+
+  // 纯视频格式与最佳音频合并；yt-dlp 合并时会丢弃多余的音轨，所以含音频的格式同样适用
+  // 已用 + 指定合并的备选原样使用
+  if (formatId) {
+    return {
+      format: formatId.split('/')
+        .map(alternative => alternative.includes('+') ? alternative : `${alternative}+ba/${alternative}`)
+        .join('/'),
+      sort: [],
+      mergeOutputFormat: container,
+      remuxVideo: getRemuxTarget(container),
+      maxFilesize: parseFileSize(maxFilesize),
+      reason: `format ${formatId} requested; merged with best audio if video-only`
+    };
+  }
+
+  const platformQuality = getPlatformQuality(platformName, quality);
+  const reasons = [];
+
+  // 最低画质是单独的选择方式
+  if (platformQuality.worst && !maxHeight) {
+    return {
+      format: 'wv*+wa/w',
+      sort: [],
+      mergeOutputFormat: container,
+      remuxVideo: getRemuxTarget(container),
+      maxFilesize: parseFileSize(maxFilesize),
+      reason: 'lowest quality requested; fallback: worst combined format'
+    };
+  }
+
+  const height = maxHeight || platformQuality.maxHeight;
+  const filesize = parseFileSize(maxFilesize);
+
+  // 硬性限制
+  const filters = [];
+  if (height) {
+    filters.push(`[height<=?${height}]`);
+    reasons.push(maxHeight ? `max height ${height}p` : `${quality} → max height ${height}p`);
+  }
+  if (filesize) {
+    filters.push(`[filesize<=?${filesize}]`);
+    reasons.push(`max size ${filesize}`);
+  }
+  const filter = filters.join('');
+
+  // 偏好排序，放在前面的字段优先级更高
+  const sort = [];
+  if (height) {
+    sort.push(`res:${height}`);
+  }
+  if (fps) {
+    sort.push(`fps:${fps}`);
+    reasons.push(`prefer ≤${fps}fps`);
+  }
+  if (hdr === 'sdr') {
+    sort.push('hdr:sdr');
+    reasons.push('prefer SDR');
+  } else if (hdr === 'hdr') {
+    sort.push('hdr');
+    reasons.push('prefer HDR');
+  }
+  if (videoCodec && VIDEO_CODECS[videoCodec]) {
+    sort.push(`vcodec:${VIDEO_CODECS[videoCodec]}`);
+    reasons.push(`prefer ${videoCodec} video`);
+  }
+  if (audioCodec && AUDIO_CODECS[audioCodec]) {
+    sort.push(`acodec:${AUDIO_CODECS[audioCodec]}`);
+    reasons.push(`prefer ${audioCodec} audio`);
+  }
+  if (container && CONTAINER_EXTENSIONS[container]) {
+    sort.push(`ext:${CONTAINER_EXTENSIONS[container]}`);
+  }
+  if (container) {
+    reasons.push(`${container} container`);
+  }
+
+  const format = `bv*${filter}+ba/b${filter}`;
+  reasons.push('fallback: best combined format within limits');
+
+  return {
+    format,
+    sort,
+    mergeOutputFormat: container,
+    remuxVideo: getRemuxTarget(container),
+    maxFilesize: filesize,
+    reason: reasons.join(', ')
+  };
+}
+
+/**
+ * 构建音频提取的格式选择
+ * 回退顺序：最佳纯音频流 → 最佳音视频合一格式（由 ffmpeg 提取音轨）；指定 formatId 时从该格式提取
+ */
+function buildAudioSelection({ formatId = null, audioFormat = 'mp3', audioBitrate = '0', maxFilesize = null }) {
+  const filesize = parseFileSize(maxFilesize);
+  const filter = filesize ? `[filesize<=?${filesize}]` : '';
+  const preferred = formatId ? null : AUDIO_FORMATS[audioFormat];
+
+  const reasons = [`extract ${audioFormat} audio`];
+  if (formatId) {
+    reasons.push(`from format ${formatId}`);
+  }
+  if (audioFormat !== 'flac') {
+    reasons.push(/^\d+$/.test(String(audioBitrate)) ? `VBR quality ${audioBitrate}` : `bitrate ${audioBitrate}`);
+  }
+  if (filesize) {
+    reasons.push(`max size ${filesize}`);
+  }
+  if (preferred) {
+    reasons.push(`prefer ${audioFormat} source to avoid re-encoding`);
+  }
+  if (!formatId) {
+    reasons.push('fallback: best combined format, audio extracted');
+  }
+
+  return {
+    format: formatId || `ba${filter}/b${filter}`,
+    sort: preferred ? preferred.split(',') : [],
+    mergeOutputFormat: null,
+    remuxVideo: null,
+    maxFilesize: filesize,
+    extractAudio: {
+      format: audioFormat,
+      quality: String(audioBitrate)
+    },
+    reason: reasons.join(', ')
+  };
+}
+
+/**
+ * 未经合并的单一格式也需要放进指定容器
+ * webm 只能容纳 VP8/VP9/AV1 + Opus/Vorbis，无法保证，因此不做强制转封装
+ */
+function getRemuxTarget(container) {
+  return container && container !== 'webm' ? container : null;
+}
+
+/**
+ * 转换为 yt-dlp 命令行参数
+ */
+export function formatSelectionArgs(selection) {
+  const args = ['--format', selection.format];
+
+  if (selection.sort.length > 0) {
+    args.push('--format-sort', selection.sort.join(','));
+  }
+  if (selection.mergeOutputFormat) {
+    args.push('--merge-output-format', selection.mergeOutputFormat);
+  }
+  if (selection.remuxVideo) {
+    args.push('--remux-video', selection.remuxVideo);
+  }
+  if (selection.maxFilesize) {
+    args.push('--max-filesize', selection.maxFilesize);
+  }
+  if (selection.extractAudio) {
+    args.push(
+      '--extract-audio',
+      '--audio-format', selection.extractAudio.format,
+      '--audio-quality', selection.extractAudio.quality
+    );
+  }
+
+  return args;
+}
@@ -0,0 +1,426 @@
+/**
+ * SQLite History Store
+ * 使用 Node 内置的 node:sqlite 保存下载记录，过滤、排序和分页在数据库中完成
+ *
+ * 完整记录以 JSON 保存在 data 列，查询用到的字段另存为带索引的列；
+ * 首次打开空数据库时导入已有的 downloads.json（只执行一次，原文件保留不再更新）。
+ * 接口与 HistoryStore 相同。
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { HistoryStore, SORT_FIELDS, PROGRESS_PERSIST_INTERVAL, getIndexedFields, toStoredValue } from './history-store.js';
+import { logger } from '../utils/logger.js';
+
+const SCHEMA_VERSION = 3;
+
+// 旧版本数据库中没有、升级时补上的列
+const ADDED_COLUMNS = ['video_key', 'parent_id'];
+
+const SCHEMA = `
+  PRAGMA journal_mode = WAL;
+  PRAGMA synchronous = NORMAL;
+
+  CREATE TABLE IF NOT EXISTS downloads (
+    id TEXT PRIMARY KEY,
+    type TEXT,
+    status TEXT,
+    platform TEXT,
+    media_type TEXT NOT NULL DEFAULT 'video',
+    batch_id TEXT,
+    parent_id TEXT,
+    video_key TEXT,
+    uploader TEXT,
+    title TEXT,
+    size_mb REAL,
+    created_at TEXT,
+    updated_at TEXT,
+    completed_at TEXT,
+    data TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_downloads_status ON downloads (status);
+  CREATE INDEX IF NOT EXISTS idx_downloads_platform ON downloads (platform);
+  CREATE INDEX IF NOT EXISTS idx_downloads_created_at ON downloads (created_at);
+  CREATE INDEX IF NOT EXISTS idx_downloads_completed_at ON downloads (completed_at);
+  CREATE INDEX IF NOT EXISTS idx_downloads_uploader ON downloads (uploader COLLATE NOCASE);
+  CREATE INDEX IF NOT EXISTS idx_downloads_batch_id ON downloads (batch_id);
+
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+`;
+
+// 索引列，顺序与写入语句的参数一致
+const COLUMNS = [
+  'id', 'type', 'status', 'platform', 'media_type', 'batch_id', 'parent_id', 'video_key', 'uploader',
+  'title', 'size_mb', 'created_at', 'updated_at', 'completed_at', 'data'
+];
+
+export class SqliteHistoryStore {
+  constructor(dbPath, { legacyFile = null, progressInterval = PROGRESS_PERSIST_INTERVAL } = {}) {
+    this.dbPath = dbPath;
+    this.legacyFile = legacyFile;
+    this.progressInterval = progressInterval;
+
+    this.db = null;
+    this.statements = null;
+    this.loading = null;
+    this.pendingProgress = new Map();
+  }
+
+  /**
+   * 打开数据库，只在第一次访问时执行
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.open();
+    }
+    return this.loading;
+  }
+
+  /**
+   * 获取全部记录（按创建顺序）
+   */
+  async getAll() {
+    return this.query();
+  }
+
+  /**
+   * 根据ID获取记录
+   */
+  async get(id) {
+    await this.load();
+    return this.readRecord(id);
+  }
+
+  /**
+   * 按条件查询记录，过滤条件与 HistoryStore.query 相同
+   */
+  async query(filters = {}) {
+    await this.load();
+
+    const conditions = [];
+    const params = [];
+    for (const key of ['status', 'platform', 'media_type']) {
+      if (filters[key] && filters[key] !== 'all') {
+        conditions.push(`${key} = ?`);
+        params.push(filters[key]);
+      }
+    }
+    if (filters.batch_id) {
+      conditions.push('batch_id = ?');
+      params.push(filters.batch_id);
+    }
+    if (filters.parent_id) {
+      conditions.push('parent_id = ?');
+      params.push(filters.parent_id);
+    }
+    if (filters.top_level) {
+      conditions.push('batch_id IS NULL AND parent_id IS NULL');
+    }
+    if (filters.video_key) {
+      conditions.push('video_key = ?');
+      params.push(filters.video_key);
+    }
+    if (filters.uploader) {
+      conditions.push('uploader = ? COLLATE NOCASE');
+      params.push(filters.uploader);
+    }
+    if (filters.created_after) {
+      conditions.push('created_at >= ?');
+      params.push(filters.created_after);
+    }
+    if (filters.created_before) {
+      conditions.push('created_at < ?');
+      params.push(filters.created_before);
+    }
+
+    let sql = 'SELECT data FROM downloads';
+    if (conditions.length > 0) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+
+    if (filters.sort_by) {
+      const column = SORT_FIELDS[filters.sort_by] || 'created_at';
+      const direction = filters.sort_order === 'asc' ? 'ASC' : 'DESC';
+      sql += ` ORDER BY ${column} ${direction}, rowid ${direction}`;
+    } else {
+      sql += ' ORDER BY rowid';
+    }
+
+    if (filters.limit) {
+      sql += ' LIMIT ?';
+      params.push(filters.limit);
+    }
+
+    return this.db.prepare(sql).all(...params).map(row => this.withPendingProgress(JSON.parse(row.data)));
+  }
+
+  /**
+   * 新增记录
+   */
+  async insert(record) {
+    await this.load();
+    const stored = toStoredValue(record);
+    this.writeRecord(stored);
+    return { ...stored };
+  }
+
+  /**
+   * 合并更新记录，记录不存在时返回 null
+   * throttle 为 true 时只在内存中合并，间隔到期后一次写入数据库（用于下载进度）
+   */
+  async update(id, data, { throttle = false } = {}) {
+    await this.load();
+    const current = this.readRecord(id);
+    if (!current) {
+      return null;
+    }
+
+    const changes = toStoredValue(data);
+    const updated = { ...current, ...changes };
+
+    if (throttle) {
+      this.deferProgress(id, changes);
+    } else {
+      // current 已包含尚未写入的进度
+      this.takePendingProgress(id);
+      this.writeRecord(updated);
+    }
+
+    return { ...updated };
+  }
+
+  /**
+   * 按ID删除记录，返回删除数量
+   */
+  async remove(ids) {
+    await this.load();
+
+    return this.transaction(() => {
+      let deleted = 0;
+      for (const id of ids) {
+        this.takePendingProgress(id);
+        deleted += Number(this.statements.delete.run(id).changes);
+      }
+      return deleted;
+    });
+  }
+
+  /**
+   * 写入所有延迟的进度，关闭服务前调用
+   */
+  async flush() {
+    if (!this.loading) {
+      return;
+    }
+    await this.load();
+
+    for (const id of [...this.pendingProgress.keys()]) {
+      this.persistProgress(id);
+    }
+  }
+
+  /**
+   * 打开数据库、建表并执行一次性导入
+   */
+  async open() {
+    let DatabaseSync;
+    try {
+      ({ DatabaseSync } = await import('node:sqlite'));
+    } catch (error) {
+      throw new Error(`HISTORY_BACKEND=sqlite requires node:sqlite: Node.js 22.13 or later, or 22.5 or later started with --experimental-sqlite (${error.message})`);
+    }
+
+    fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    this.db = new DatabaseSync(this.dbPath);
+    this.db.exec(SCHEMA);
+    this.migrate();
+
+    this.statements = {
+      select: this.db.prepare('SELECT data FROM downloads WHERE id = ?'),
+      // 更新时保留 rowid，按创建顺序读取依赖它
+      upsert: this.db.prepare(
+        `INSERT INTO downloads (${COLUMNS.join(', ')}) VALUES (${COLUMNS.map(() => '?').join(', ')})
+         ON CONFLICT (id) DO UPDATE SET ${COLUMNS.slice(1).map(column => `${column} = excluded.${column}`).join(', ')}`
+      ),
+      import: this.db.prepare(
+        `INSERT OR IGNORE INTO downloads (${COLUMNS.join(', ')}) VALUES (${COLUMNS.map(() => '?').join(', ')})`
+      ),
+      delete: this.db.prepare('DELETE FROM downloads WHERE id = ?'),
+      getMeta: this.db.prepare('SELECT value FROM meta WHERE key = ?'),
+      setMeta: this.db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)')
+    };
+
+    await this.importLegacyFile();
+    logger.info('🗄️  SQLite download history opened', { file: this.dbPath });
+  }
+
+  /**
+   * 升级旧版本的数据库结构
+   * v2: 新增 video_key 列（去重键）
+   * v3: 新增 parent_id 列（章节文件所属的下载）
+   * 在准备语句之前执行，语句用到的列必须已经存在
+   */
+  migrate() {
+    const row = this.db.prepare('SELECT value FROM meta WHERE key = ?').get('schema_version');
+    const version = Number(row?.value) || 0;
+
+    if (version > 0 && version < SCHEMA_VERSION) {
+      const columns = this.db.prepare('PRAGMA table_info(downloads)').all().map(column => column.name);
+      ADDED_COLUMNS
+        .filter(column => !columns.includes(column))
+        .forEach(column => this.db.exec(`ALTER TABLE downloads ADD COLUMN ${column} TEXT`));
+    }
+    this.db.exec('CREATE INDEX IF NOT EXISTS idx_downloads_video_key ON downloads (video_key)');
+    this.db.exec('CREATE INDEX IF NOT EXISTS idx_downloads_parent_id ON downloads (parent_id)');
+
+    if (version !== SCHEMA_VERSION) {
+      this.db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run('schema_version', String(SCHEMA_VERSION));
+    }
+  }
+
+  /**
+   * 导入 JSON 格式的下载记录（包括尚未压缩的日志），已存在的ID不会被覆盖
+   */
+  async importLegacyFile() {
+    if (!this.legacyFile || this.getMeta('json_imported_at')) {
+      return;
+    }
+
+    const records = await new HistoryStore(this.legacyFile).getAll();
+
+    this.transaction(() => {
+      records.forEach(record => this.statements.import.run(...toRow(record)));
+      this.setMeta('json_imported_at', new Date().toISOString());
+      this.setMeta('json_imported_from', this.legacyFile);
+    });
+
+    if (records.length > 0) {
+      logger.info(`📥 Imported ${records.length} download records into SQLite`, { from: this.legacyFile });
+    }
+  }
+
+  /**
+   * 读取记录并合并尚未写入的进度
+   */
+  readRecord(id) {
+    const row = this.statements.select.get(id);
+    return row ? this.withPendingProgress(JSON.parse(row.data)) : null;
+  }
+
+  /**
+   * 写入完整记录
+   */
+  writeRecord(record) {
+    this.statements.upsert.run(...toRow(record));
+  }
+
+  /**
+   * 在事务中执行，出错时回滚
+   */
+  transaction(operation) {
+    this.db.exec('BEGIN');
+    try {
+      const result = operation();
+      this.db.exec('COMMIT');
+      return result;
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  /**
+   * 读取元数据
+   */
+  getMeta(key) {
+    return this.statements.getMeta.get(key)?.value || null;
+  }
+
+  /**
+   * 写入元数据
+   */
+  setMeta(key, value) {
+    this.statements.setMeta.run(key, value);
+  }
+
+  /**
+   * 合并同一条记录的进度更新，间隔到期后写入一次
+   */
+  deferProgress(id, changes) {
+    const pending = this.pendingProgress.get(id);
+    if (pending) {
+      Object.assign(pending.data, changes);
+      return;
+    }
+
+    const timer = setTimeout(() => this.persistProgress(id), this.progressInterval);
+    timer.unref();
+
+    this.pendingProgress.set(id, { data: { ...changes }, timer });
+  }
+
+  /**
+   * 把延迟的进度写入数据库
+   */
+  persistProgress(id) {
+    try {
+      const record = this.readRecord(id);
+      this.takePendingProgress(id);
+      if (record) {
+        this.writeRecord(record);
+      }
+    } catch (error) {
+      logger.warn('⚠️  Failed to persist progress', { id, error: error.message });
+    }
+  }
+
+  /**
+   * 取出尚未写入的进度
+   */
+  takePendingProgress(id) {
+    const pending = this.pendingProgress.get(id);
+    if (!pending) {
+      return {};
+    }
+
+    clearTimeout(pending.timer);
+    this.pendingProgress.delete(id);
+    return pending.data;
+  }
+
+  /**
+   * 读取结果带上尚未写入的进度
+   */
+  withPendingProgress(record) {
+    const pending = this.pendingProgress.get(record.id);
+    return pending ? { ...record, ...pending.data } : record;
+  }
+}
+
+/**
+ * 记录 -> 写入语句参数
+ */
+function toRow(record) {
+  const fields = getIndexedFields(record);
+  return [
+    record.id,
+    fields.type,
+    fields.status,
+    fields.platform,
+    fields.media_type,
+    fields.batch_id,
+    fields.parent_id,
+    fields.video_key,
+    fields.uploader,
+    fields.title,
+    fields.size_mb,
+    fields.created_at,
+    fields.updated_at,
+    fields.completed_at,
+    JSON.stringify(record)
+  ];
+}
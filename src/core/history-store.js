@@ -0,0 +1,452 @@
+/**
+ * History Store
+ * 下载记录的持久化：内存中的记录 + 追加写入的操作日志 + 定期压缩的快照文件
+ *
+ * 每次修改先追加一行到日志（<file>.journal），累计一定数量后把全部记录原子写入主文件并清空日志；
+ * 覆盖主文件前把旧文件保留为 <file>.bak，主文件无法解析时从备份恢复。
+ * 所有磁盘写入经同一个队列串行执行，下载进度按记录节流后再落盘。
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { writeFileAtomic } from './file-manager.js';
+import { logger } from '../utils/logger.js';
+
+// 日志累计多少条操作后压缩为快照
+const COMPACT_THRESHOLD = 200;
+
+// 同一条记录的进度更新最多每隔多久落盘一次（毫秒）
+export const PROGRESS_PERSIST_INTERVAL = 2000;
+
+// list_downloads 的排序方式 -> 记录字段
+export const SORT_FIELDS = {
+  date: 'created_at',
+  name: 'title',
+  size: 'size_mb',
+  platform: 'platform'
+};
+
+export class HistoryStore {
+  constructor(filePath, { compactThreshold = COMPACT_THRESHOLD, progressInterval = PROGRESS_PERSIST_INTERVAL } = {}) {
+    this.filePath = filePath;
+    this.journalPath = `${filePath}.journal`;
+    this.backupPath = `${filePath}.bak`;
+    this.compactThreshold = compactThreshold;
+    this.progressInterval = progressInterval;
+
+    this.records = new Map();
+    this.journalSize = 0;
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+    this.pendingProgress = new Map();
+  }
+
+  /**
+   * 加载记录，只在第一次访问时读取磁盘
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.loadFromDisk();
+    }
+    return this.loading;
+  }
+
+  /**
+   * 获取全部记录（按创建顺序）
+   */
+  async getAll() {
+    await this.load();
+    return [...this.records.values()].map(record => ({ ...record }));
+  }
+
+  /**
+   * 根据ID获取记录
+   */
+  async get(id) {
+    await this.load();
+    const record = this.records.get(id);
+    return record ? { ...record } : null;
+  }
+
+  /**
+   * 按条件查询记录，过滤条件见 matchesFilters，sort_by 见 SORT_FIELDS
+   * 未指定排序时按创建顺序返回
+   */
+  async query(filters = {}) {
+    await this.load();
+    let records = [...this.records.values()]
+      .map((record, position) => ({ record, position, fields: getIndexedFields(record) }))
+      .filter(entry => matchesFilters(entry.fields, filters));
+
+    if (filters.sort_by) {
+      const field = SORT_FIELDS[filters.sort_by] || 'created_at';
+      const direction = filters.sort_order === 'asc' ? 1 : -1;
+      records.sort((a, b) => direction * (compareValues(a.fields[field], b.fields[field]) || a.position - b.position));
+    }
+
+    if (filters.limit) {
+      records = records.slice(0, filters.limit);
+    }
+
+    return records.map(entry => ({ ...entry.record }));
+  }
+
+  /**
+   * 新增记录
+   */
+  async insert(record) {
+    await this.load();
+    const stored = toStoredValue(record);
+    this.records.set(stored.id, stored);
+
+    await this.persist({ op: 'insert', record: stored });
+    return { ...stored };
+  }
+
+  /**
+   * 合并更新记录，记录不存在时返回 null
+   * throttle 为 true 时只更新内存，磁盘写入合并后延迟执行（用于下载进度）
+   */
+  async update(id, data, { throttle = false } = {}) {
+    await this.load();
+    const current = this.records.get(id);
+    if (!current) {
+      return null;
+    }
+
+    const changes = toStoredValue(data);
+    const updated = { ...current, ...changes };
+    this.records.set(id, updated);
+
+    if (throttle) {
+      this.deferProgress(id, changes);
+    } else {
+      // 尚未落盘的进度随本次更新一起写入
+      const pending = this.takePendingProgress(id);
+      await this.persist({ op: 'update', id, data: { ...pending, ...changes } });
+    }
+
+    return { ...updated };
+  }
+
+  /**
+   * 按ID删除记录，返回删除数量
+   */
+  async remove(ids) {
+    await this.load();
+    const existing = ids.filter(id => this.records.has(id));
+    if (existing.length === 0) {
+      return 0;
+    }
+
+    existing.forEach(id => {
+      this.takePendingProgress(id);
+      this.records.delete(id);
+    });
+
+    await this.persist({ op: 'delete', ids: existing });
+    return existing.length;
+  }
+
+  /**
+   * 写入所有延迟的进度并压缩为快照，关闭服务前调用
+   */
+  async flush() {
+    if (!this.loading) {
+      return;
+    }
+    await this.load();
+
+    for (const id of [...this.pendingProgress.keys()]) {
+      const data = this.takePendingProgress(id);
+      this.persist({ op: 'update', id, data })
+        .catch(error => logger.warn('⚠️  Failed to persist progress', { id, error: error.message }));
+    }
+
+    await this.enqueue(() => this.compact());
+  }
+
+  /**
+   * 读取快照并重放日志
+   */
+  async loadFromDisk() {
+    const { records, restored } = await this.readSnapshot();
+    records.forEach(record => this.records.set(record.id, record));
+
+    const replayed = await this.replayJournal();
+    if (replayed > 0 || restored) {
+      logger.info('📚 Download history recovered', { records: this.records.size, replayed, restored });
+      await this.enqueue(() => this.compact());
+    }
+  }
+
+  /**
+   * 读取主文件，无法解析时保留损坏的文件并从备份恢复
+   */
+  async readSnapshot() {
+    try {
+      return { records: (await readRecordsFile(this.filePath)) || [], restored: false };
+    } catch (error) {
+      const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+      await fs.promises.rename(this.filePath, corruptPath);
+      logger.error(`❌ Download history file is corrupted, kept as ${corruptPath}`, { error: error.message });
+    }
+
+    try {
+      const backup = await readRecordsFile(this.backupPath);
+      if (backup) {
+        logger.warn(`⚠️  Restored ${backup.length} download records from backup`, { file: this.backupPath });
+        return { records: backup, restored: true };
+      }
+      logger.error('❌ No download history backup available, continuing with journal entries only');
+    } catch (error) {
+      logger.error('❌ Download history backup is unreadable', { file: this.backupPath, error: error.message });
+    }
+
+    return { records: [], restored: true };
+  }
+
+  /**
+   * 重放上次压缩之后的操作日志
+   * 压缩和追加的顺序保证了重放可以重复执行；写到一半的最后一行会被跳过
+   */
+  async replayJournal() {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.journalPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+
+    let replayed = 0;
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        applyEntry(this.records, JSON.parse(line));
+        replayed++;
+      } catch (error) {
+        logger.warn('⚠️  Skipping unreadable download history journal entry', { error: error.message });
+      }
+    }
+
+    this.journalSize = replayed;
+    return replayed;
+  }
+
+  /**
+   * 追加一条操作日志，达到阈值后压缩
+   */
+  persist(entry) {
+    return this.enqueue(async () => {
+      await fs.promises.appendFile(this.journalPath, JSON.stringify(entry) + '\n', 'utf8');
+      this.journalSize++;
+
+      if (this.journalSize >= this.compactThreshold) {
+        await this.compact();
+      }
+    });
+  }
+
+  /**
+   * 把当前全部记录写成新的快照并清空日志
+   */
+  async compact() {
+    const data = JSON.stringify([...this.records.values()], null, 2);
+
+    if (fs.existsSync(this.filePath)) {
+      await fs.promises.copyFile(this.filePath, this.backupPath);
+    } else {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    }
+    await writeFileAtomic(this.filePath, data);
+    await fs.promises.rm(this.journalPath, { force: true });
+
+    this.journalSize = 0;
+    logger.debug('🗜️  Download history compacted', { records: this.records.size });
+  }
+
+  /**
+   * 串行执行磁盘写入
+   */
+  enqueue(task) {
+    const result = this.writeQueue.then(task);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * 合并同一条记录的进度更新，间隔到期后写入一次
+   */
+  deferProgress(id, changes) {
+    const pending = this.pendingProgress.get(id);
+    if (pending) {
+      Object.assign(pending.data, changes);
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      const data = this.takePendingProgress(id);
+      this.persist({ op: 'update', id, data })
+        .catch(error => logger.warn('⚠️  Failed to persist progress', { id, error: error.message }));
+    }, this.progressInterval);
+    timer.unref();
+
+    this.pendingProgress.set(id, { data: { ...changes }, timer });
+  }
+
+  /**
+   * 取出尚未写入的进度
+   */
+  takePendingProgress(id) {
+    const pending = this.pendingProgress.get(id);
+    if (!pending) {
+      return {};
+    }
+
+    clearTimeout(pending.timer);
+    this.pendingProgress.delete(id);
+    return pending.data;
+  }
+}
+
+/**
+ * 查询和排序用到的字段，SQLite 后端以同样的字段建立索引列
+ */
+export function getIndexedFields(record) {
+  return {
+    type: record.type || null,
+    status: record.status || null,
+    platform: record.platform || null,
+    // 旧记录没有 media_type，均为视频
+    media_type: record.media_type || 'video',
+    batch_id: record.batch_id || null,
+    parent_id: record.parent_id || null,
+    video_key: record.video_key || null,
+    uploader: record.metadata?.uploader || record.batch?.uploader || null,
+    title: record.title || null,
+    size_mb: record.file_size_bytes ? record.file_size_bytes / 1024 / 1024 : parseFloat(record.file_size) || null,
+    created_at: record.created_at || null,
+    updated_at: record.updated_at || null,
+    completed_at: toISOString(record.completed_at)
+  };
+}
+
+/**
+ * 转换为与磁盘一致的形式（Date 转为字符串、去掉 undefined），同时断开与调用方对象的引用
+ */
+export function toStoredValue(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * 读取记录文件，文件不存在时返回 null，内容无效时抛出异常
+ */
+async function readRecordsFile(filePath) {
+  let content;
+  try {
+    content = await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+
+  const records = JSON.parse(content);
+  if (!Array.isArray(records)) {
+    throw new Error('Download history must be an array of records');
+  }
+  return records;
+}
+
+/**
+ * 把一条日志应用到记录上
+ */
+function applyEntry(records, entry) {
+  switch (entry.op) {
+    case 'insert':
+      records.set(entry.record.id, entry.record);
+      break;
+    case 'update': {
+      const record = records.get(entry.id);
+      if (record) {
+        records.set(entry.id, { ...record, ...entry.data });
+      }
+      break;
+    }
+    case 'delete':
+      entry.ids.forEach(id => records.delete(id));
+      break;
+    default:
+      throw new Error(`Unknown journal operation: ${entry.op}`);
+  }
+}
+
+/**
+ * 判断记录是否满足过滤条件
+ * status / platform / media_type 为 "all" 时不过滤；top_level 只保留不属于批量任务、也不是章节文件的记录；
+ * parent_id 查询某条记录拆分出的章节文件；video_key 精确匹配；
+ * uploader 不区分大小写精确匹配；created_after（含）和 created_before（不含）与 ISO 时间按字符串比较
+ */
+function matchesFilters(fields, filters) {
+  for (const key of ['status', 'platform', 'media_type']) {
+    if (filters[key] && filters[key] !== 'all' && fields[key] !== filters[key]) {
+      return false;
+    }
+  }
+
+  if (filters.batch_id && fields.batch_id !== filters.batch_id) {
+    return false;
+  }
+  if (filters.parent_id && fields.parent_id !== filters.parent_id) {
+    return false;
+  }
+  if (filters.top_level && (fields.batch_id || fields.parent_id)) {
+    return false;
+  }
+  if (filters.video_key && fields.video_key !== filters.video_key) {
+    return false;
+  }
+  if (filters.uploader && fields.uploader?.toLowerCase() !== filters.uploader.toLowerCase()) {
+    return false;
+  }
+  if (filters.created_after && !(fields.created_at >= filters.created_after)) {
+    return false;
+  }
+  if (filters.created_before && !(fields.created_at < filters.created_before)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * 比较排序值，空值排在最小
+ */
+function compareValues(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  if (a === null || a === undefined) {
+    return -1;
+  }
+  if (b === null || b === undefined) {
+    return 1;
+  }
+  return a > b ? 1 : -1;
+}
+
+/**
+ * 日期统一为 ISO 字符串
+ */
+function toISOString(value) {
+  if (!value) {
+    return null;
+  }
+  return value instanceof Date ? value.toISOString() : String(value);
+}
@@ -0,0 +1,73 @@
+/**
+ * JSON Store
+ * 整体保存在一个 JSON 文件中、按 id 索引的对象集合（定时任务、订阅）
+ *
+ * 首次访问时读取文件，文件损坏时保留副本并从空集合开始；写入经同一个队列串行执行并原子替换文件。
+ * 文件路径在使用时获取，确保 .env 已经加载。
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { writeFileAtomic } from './file-manager.js';
+import { logger } from '../utils/logger.js';
+
+export class JsonStore {
+  /**
+   * key: 文件中保存数组的字段，如 "schedules"；name: 日志中的名称，如 "schedule"
+   */
+  constructor({ key, name, getFilePath }) {
+    this.key = key;
+    this.name = name;
+    this.getFilePath = getFilePath;
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * 加载全部对象（id -> 对象），只在第一次访问时读取磁盘
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.readFile();
+    }
+    return this.loading;
+  }
+
+  /**
+   * 把全部对象写入文件
+   */
+  save() {
+    const write = this.writeQueue.then(async () => {
+      const items = [...(await this.load()).values()];
+      const filePath = this.getFilePath();
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      await writeFileAtomic(filePath, JSON.stringify({ [this.key]: items }, null, 2));
+    });
+    // 一次写入失败不影响之后的写入
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  async readFile() {
+    const filePath = this.getFilePath();
+    let content;
+    try {
+      content = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`⚠️  Failed to read ${this.name} file`, { file: filePath, error: error.message });
+      }
+      return new Map();
+    }
+
+    try {
+      const items = JSON.parse(content)[this.key] || [];
+      return new Map(items.map(item => [item.id, item]));
+    } catch (error) {
+      const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+      await fs.promises.rename(filePath, corruptPath);
+      logger.error(`❌ ${this.name[0].toUpperCase()}${this.name.slice(1)} file is corrupted, kept as ${corruptPath}`, { error: error.message });
+      return new Map();
+    }
+  }
+}
@@ -0,0 +1,597 @@
+/**
+ * Live Recorder
+ * 直播录制：在后台用 yt-dlp 录制正在进行（或即将开始）的直播
+ *
+ * 录制不经过下载调度队列，直播可能持续数小时，不应占用下载并发。
+ * 使用 ffmpeg 下载器和 MPEG-TS 容器：停止时 yt-dlp 让 ffmpeg 正常收尾，已录制的部分可以直接播放；
+ * 进程被强制结束时把留下的 .part 文件改名为正常文件，同样可以播放。
+ * 分段录制在达到分段时长时结束当前的 yt-dlp 进程并立即开始下一段，段与段之间可能有几秒的间隙。
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { detectPlatform } from './platforms.js';
+import { ensureDirectoryExists, findPartialFiles, findOutputFile, generateUniqueFilename, describeOutputFile } from './file-manager.js';
+import { getOutputTemplate, buildTemplateFields, renderTemplate } from './filename-template.js';
+import { getVideoInfo, fallbackVideoInfo, toRecordMetadata } from './video-info.js';
+import { saveDownloadRecord, updateDownloadStatus, getDownloadRecord } from './download-manager.js';
+import { createDownloadReport, readDownloadReport } from './download-report.js';
+import { parseFileSize } from './format-selector.js';
+import { classifyError, extractErrorMessage } from './error-classifier.js';
+import { extractVideoKey } from './download-archive.js';
+import { logger } from '../utils/logger.js';
+
+// 只有 YouTube 支持从直播开头录制（--live-from-start）
+const LIVE_FROM_START_PLATFORMS = ['youtube'];
+
+// 等待直播开始时的重试间隔（秒）；知道开播时间时 yt-dlp 会直接等到开播
+const WAIT_RETRY_INTERVAL = '30-300';
+
+// 检查时长、大小和分段的间隔
+const MONITOR_INTERVAL = 1000;
+
+// 停止后等待 ffmpeg 收尾的时间，超时则强制结束
+const STOP_TIMEOUT = 30000;
+
+// 保留的 yt-dlp 错误输出长度
+const STDERR_TAIL_LENGTH = 8192;
+
+// 画质 -> 高度上限
+const QUALITY_HEIGHTS = { '1080p': 1080, '720p': 720, '480p': 480, '360p': 360 };
+
+// 停止原因
+export const STOP_REASONS = {
+  stopped: '手动停止',
+  max_duration: '达到最长录制时长',
+  max_filesize: '达到大小上限',
+  stream_ended: '直播结束',
+  shutdown: '服务关闭',
+  error: '录制出错'
+};
+
+// 正在进行的录制：recordingId -> session
+const activeRecordings = new Map();
+
+/**
+ * 开始录制直播，返回录制ID；录制在后台进行，用 stopRecording 结束
+ * 直播尚未开始时，waitForStream 为 true 则等待开播，否则报错
+ */
+export async function startRecording(options) {
+  const {
+    url,
+    quality = 'best',
+    fromStart = false,
+    waitForStream = true,
+    maxDuration = null,
+    maxFilesize = null,
+    segmentLength = null,
+    customDirectory = null,
+    customFilename = null
+  } = options;
+
+  const platform = detectPlatform(url);
+  const { videoInfo, waiting } = await probeLiveStream(url, { waitForStream });
+  const liveFromStart = fromStart && LIVE_FROM_START_PLATFORMS.includes(platform.name);
+
+  const basePath = resolveRecordingPath({ url, videoInfo, platform, customDirectory, customFilename });
+  ensureDirectoryExists(path.dirname(basePath));
+
+  const recording = {
+    phase: 'waiting',
+    from_start: liveFromStart,
+    wait_for_stream: waitForStream,
+    max_duration: maxDuration,
+    max_filesize: maxFilesize,
+    segment_length: segmentLength,
+    started_at: null,
+    total_bytes: 0,
+    segments: []
+  };
+
+  const recordingId = await saveDownloadRecord({
+    type: 'recording',
+    url,
+    title: videoInfo.title,
+    platform: platform.name,
+    media_type: 'video',
+    status: 'in_progress',
+    quality,
+    output_path: basePath,
+    video_key: extractVideoKey(url, videoInfo),
+    metadata: videoInfo,
+    recording
+  });
+
+  launchRecording({
+    id: recordingId,
+    url,
+    basePath,
+    format: getLiveFormat({ quality, fromStart: liveFromStart }),
+    recording,
+    maxBytes: toBytes(maxFilesize),
+    firstIndex: 1
+  });
+
+  logger.info('🔴 Live recording started', { id: recordingId, url, waiting, from_start: liveFromStart });
+  return {
+    recordingId,
+    title: videoInfo.title,
+    basePath,
+    waiting,
+    fromStart: liveFromStart,
+    fromStartSupported: LIVE_FROM_START_PLATFORMS.includes(platform.name)
+  };
+}
+
+/**
+ * 继续录制中断的直播：沿用原来的录制路径和已录制的各段，从下一段开始录制
+ * 不重新生成路径，已有的录制文件不会被当作重名文件
+ */
+export async function resumeRecording(recordingId) {
+  const record = await getDownloadRecord(recordingId);
+  if (!record || record.type !== 'recording') {
+    throw new Error(`Recording not found: ${recordingId}`);
+  }
+  if (activeRecordings.has(recordingId)) {
+    throw new Error('Recording is already running');
+  }
+  if (record.status !== 'interrupted') {
+    throw new Error(`Only interrupted recordings can be resumed, current status: ${record.status}`);
+  }
+
+  const previous = record.recording || {};
+  await probeLiveStream(record.url, { waitForStream: Boolean(previous.wait_for_stream) });
+
+  const segments = previous.segments || [];
+  const recording = { ...previous, phase: 'waiting', stop_reason: null, stopped_at: null, segments };
+  await updateDownloadStatus(recordingId, 'in_progress', { resumed_at: new Date(), recording });
+
+  launchRecording({
+    id: recordingId,
+    url: record.url,
+    basePath: record.output_path,
+    format: getLiveFormat({ quality: record.quality }),
+    recording,
+    maxBytes: toBytes(previous.max_filesize),
+    firstIndex: segments.length + 1
+  });
+
+  logger.info('🔴 Live recording resumed', { id: recordingId, segment: segments.length + 1 });
+  return { id: recordingId, status: 'in_progress' };
+}
+
+/**
+ * 整理服务停止时中断的录制文件：把当前段的 .part 文件改名为可播放的文件并记入录制的各段
+ * 返回更新后的 recording 字段
+ */
+export function recoverRecordingFiles(record) {
+  const recording = record.recording || {};
+  const segments = [...(recording.segments || [])];
+  const index = segments.length + 1;
+  const segmentBase = getSegmentBasePath(record.output_path, index, Boolean(recording.segment_length) || index > 1);
+
+  const segment = finalizeSegment(segmentBase);
+  if (segment) {
+    // 中断段的开始时间未保存，取上一段的结束时间
+    const startedAt = segments.length > 0 ? segments[segments.length - 1].ended_at : recording.started_at || null;
+    segments.push({ index, ...segment, started_at: startedAt, ended_at: new Date().toISOString(), partial: true });
+  }
+  return { ...recording, phase: 'finished', total_bytes: sumBytes(segments), segments };
+}
+
+/**
+ * 停止录制：结束 yt-dlp 进程，等待最后一段文件整理完成
+ */
+export async function stopRecording(recordingId, reason = 'stopped') {
+  const session = activeRecordings.get(recordingId);
+  if (!session) {
+    const record = await getDownloadRecord(recordingId);
+    if (!record || record.type !== 'recording') {
+      throw new Error(`Recording not found: ${recordingId}`);
+    }
+    throw new Error(`Recording is not running, current status: ${record.status}`);
+  }
+
+  requestStop(session, reason);
+  await session.done;
+  return getDownloadRecord(recordingId);
+}
+
+/**
+ * 服务关闭时停止所有录制，保证已录制的文件可以播放
+ */
+export async function stopAllRecordings() {
+  const sessions = [...activeRecordings.values()];
+  sessions.forEach(session => requestStop(session, 'shutdown'));
+  await Promise.all(sessions.map(session => session.done));
+}
+
+/**
+ * 是否正在录制（包括等待开播）
+ */
+export function isRecording(recordingId) {
+  return activeRecordings.has(recordingId);
+}
+
+/**
+ * 直播的格式选择：正常录制使用音视频合一的 HLS 格式；从头录制时 YouTube 只提供分离的 DASH 流
+ */
+export function getLiveFormat({ quality = 'best', fromStart = false } = {}) {
+  if (quality === 'worst') {
+    return fromStart ? 'wv*+wa/w' : 'w';
+  }
+
+  const height = QUALITY_HEIGHTS[quality];
+  if (!height) {
+    return fromStart ? 'bv*+ba/b' : 'b';
+  }
+  const filter = `[height<=${height}]`;
+  return fromStart ? `bv*${filter}+ba/b${filter}/b` : `b${filter}/b`;
+}
+
+/**
+ * 一段录制的 yt-dlp 参数
+ * 只有第一段会等待开播和从头录制，之后的分段接着录制当前直播
+ */
+export function buildRecordingArgs({ url, outputTemplate, format, fromStart = false, waitForStream = false, reportArgs = [] }) {
+  return [
+    '--no-playlist',
+    '--newline',
+    '--no-warnings',
+    '--format', format,
+    ...(fromStart ? ['--live-from-start'] : ['--downloader', 'ffmpeg', '--hls-use-mpegts']),
+    ...(waitForStream ? ['--wait-for-video', WAIT_RETRY_INTERVAL] : ['--no-wait-for-video']),
+    ...reportArgs,
+    '--output', outputTemplate,
+    url
+  ];
+}
+
+/**
+ * 分段文件的路径主体：不分段时就是录制路径，分段时加上 " - part 001"
+ */
+export function getSegmentBasePath(basePath, index, segmented) {
+  return segmented ? `${basePath} - part ${String(index).padStart(3, '0')}` : basePath;
+}
+
+/**
+ * 确认链接是直播：获取信息失败但错误表明直播尚未开始时，按 waitForStream 决定是否等待
+ */
+async function probeLiveStream(url, { waitForStream }) {
+  let videoInfo;
+  try {
+    videoInfo = toRecordMetadata(await getVideoInfo(url));
+  } catch (error) {
+    if (waitForStream && classifyError(error.message).code === 'LIVE_STREAM') {
+      logger.info('⏰ Stream has not started yet, waiting for it', { url, error: extractErrorMessage(error.message) });
+      return { videoInfo: fallbackVideoInfo(url), waiting: true };
+    }
+    throw error;
+  }
+
+  if (videoInfo.live_status === 'is_upcoming') {
+    if (!waitForStream) {
+      throw new Error('This live event has not started yet (is_upcoming)');
+    }
+    return { videoInfo, waiting: true };
+  }
+  if (videoInfo.live_status !== 'is_live' && !videoInfo.is_live) {
+    throw new Error(`Not a live stream in progress (live_status: ${videoInfo.live_status || 'unknown'}), use download_video instead`);
+  }
+  return { videoInfo, waiting: false };
+}
+
+/**
+ * 录制路径（不含扩展名）：按文件名模板生成，已有同名录制时加上序号
+ */
+function resolveRecordingPath({ url, videoInfo, platform, customDirectory, customFilename }) {
+  const relativePath = renderTemplate(getOutputTemplate(platform), buildTemplateFields({ videoInfo, platform, ext: 'mp4', url }));
+  const directory = customDirectory || path.join(getDownloadPath(), path.dirname(relativePath));
+  const filename = customFilename || path.basename(relativePath);
+  const target = path.join(directory, filename.endsWith('.mp4') ? filename : `${filename}.mp4`);
+
+  const unique = generateUniqueFilename(target, candidate => {
+    const base = candidate.slice(0, -'.mp4'.length);
+    return Boolean(findOutputFile(candidate) || findOutputFile(`${getSegmentBasePath(base, 1, true)}.mp4`));
+  });
+  return unique.slice(0, -'.mp4'.length);
+}
+
+/**
+ * 在后台开始录制，意外异常时仍然写入最终状态，避免记录一直停留在 in_progress
+ */
+function launchRecording(options) {
+  const session = {
+    ...options,
+    child: null,
+    stopReason: null,
+    segmentStartedAt: null,
+    lastError: null
+  };
+  activeRecordings.set(session.id, session);
+
+  session.done = runRecording(session)
+    .catch(error => {
+      logger.error('💥 Live recording crashed', { id: session.id, error: error.message });
+      session.stopReason = 'error';
+      session.lastError = error.message;
+      return finishRecording(session)
+        .catch(finishError => logger.error('❌ Failed to save crashed recording', { id: session.id, error: finishError.message }));
+    })
+    .finally(() => activeRecordings.delete(session.id));
+}
+
+/**
+ * 依次录制各段，直到停止、达到上限或直播结束
+ * 继续中断的录制时从 firstIndex 开始，并按分段命名，避免与已有的文件重名
+ */
+async function runRecording(session) {
+  const { recording } = session;
+  const segmented = Boolean(recording.segment_length) || session.firstIndex > 1;
+
+  for (let index = session.firstIndex; ; index++) {
+    const segmentBase = getSegmentBasePath(session.basePath, index, segmented);
+    const result = await recordSegment(session, segmentBase, {
+      fromStart: index === 1 && recording.from_start,
+      waitForStream: index === 1 && recording.wait_for_stream
+    });
+
+    const segment = finalizeSegment(segmentBase, result.filePath);
+    if (segment) {
+      // 直播很快结束时监控可能还没发现文件，以进程启动时间作为开始时间
+      const startedAt = session.segmentStartedAt || result.spawnedAt;
+      recording.started_at = recording.started_at || startedAt;
+      recording.segments.push({ index, ...segment, started_at: startedAt, ended_at: new Date().toISOString() });
+      recording.total_bytes = sumBytes(recording.segments);
+      logger.info('💾 Recording segment saved', { id: session.id, segment: index, file: segment.file_path });
+    }
+
+    // 分段到时：继续录制下一段
+    if (session.stopReason === 'segment') {
+      session.stopReason = null;
+      await persist(session);
+      continue;
+    }
+
+    if (!session.stopReason) {
+      if (result.code === 0 || (index > 1 && result.errorCode === 'LIVE_STREAM')) {
+        session.stopReason = 'stream_ended';
+      } else {
+        session.stopReason = 'error';
+        session.lastError = result.error;
+      }
+    }
+    break;
+  }
+
+  await finishRecording(session);
+}
+
+/**
+ * 录制一段：启动 yt-dlp 并监控时长和大小，进程结束时返回退出码
+ */
+function recordSegment(session, segmentBase, { fromStart, waitForStream }) {
+  return new Promise(resolve => {
+    if (session.stopReason) {
+      resolve({ code: 0 });
+      return;
+    }
+
+    const report = createDownloadReport(session.id);
+    const outputPath = `${segmentBase}.mp4`;
+    const args = buildRecordingArgs({
+      url: session.url,
+      outputTemplate: `${segmentBase.replace(/%/g, '%%')}.%(ext)s`,
+      format: session.format,
+      fromStart,
+      waitForStream,
+      reportArgs: report.args
+    });
+
+    const ytDlpPath = getYtDlpPath();
+    logger.info('🚀 Executing yt-dlp for live recording', { command: ytDlpPath, args });
+    const spawnedAt = new Date().toISOString();
+    const child = spawn(ytDlpPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    session.child = child;
+    session.segmentStartedAt = null;
+
+    let stderrTail = '';
+    child.stdout.on('data', data => logger.debug(`📡 yt-dlp: ${data.toString().trim()}`));
+    child.stderr.on('data', data => {
+      stderrTail = (stderrTail + data.toString()).slice(-STDERR_TAIL_LENGTH);
+    });
+
+    const monitor = setInterval(() => {
+      // 定时器中的异常会结束整个服务，检查失败时只记录，下次再试
+      try {
+        checkSegment(session, outputPath);
+      } catch (error) {
+        logger.warn('⚠️  Failed to check recording progress', { id: session.id, error: error.message });
+      }
+    }, MONITOR_INTERVAL);
+
+    const finish = (code, error = null) => {
+      clearInterval(monitor);
+      session.child = null;
+      const reportData = readDownloadReport(report.path);
+
+      const message = error || (code === 0 ? null : extractErrorMessage(stderrTail) || `yt-dlp exited with code ${code}`);
+      resolve({ code, spawnedAt, filePath: reportData.file?.filepath || null, error: message, errorCode: message ? classifyError(stderrTail || message).code : null });
+    };
+    child.on('close', code => finish(code));
+    child.on('error', error => finish(-1, `Process error: ${error.message}`));
+  });
+}
+
+/**
+ * 定期检查：文件出现时进入录制阶段，然后按时长、大小和分段长度决定是否结束当前进程
+ */
+function checkSegment(session, outputPath) {
+  const { recording } = session;
+  const currentBytes = sumFileBytes([...findPartialFiles(outputPath), findOutputFile(outputPath)].filter(Boolean));
+
+  if (!session.segmentStartedAt) {
+    if (currentBytes === 0) {
+      return;
+    }
+    session.segmentStartedAt = new Date().toISOString();
+    if (!recording.started_at) {
+      recording.started_at = session.segmentStartedAt;
+    }
+    recording.phase = 'recording';
+    logger.info('🔴 Stream is live, recording', { id: session.id });
+  }
+
+  recording.total_bytes = sumBytes(recording.segments) + currentBytes;
+  recording.elapsed_seconds = Math.round((Date.now() - Date.parse(recording.started_at)) / 1000);
+  const segmentSeconds = (Date.now() - Date.parse(session.segmentStartedAt)) / 1000;
+
+  if (recording.max_duration && recording.elapsed_seconds >= recording.max_duration) {
+    requestStop(session, 'max_duration');
+  } else if (session.maxBytes && recording.total_bytes >= session.maxBytes) {
+    requestStop(session, 'max_filesize');
+  } else if (recording.segment_length && segmentSeconds >= recording.segment_length) {
+    requestStop(session, 'segment');
+  }
+
+  persist(session, { throttle: true })
+    .catch(error => logger.warn('Failed to update recording progress:', error));
+}
+
+/**
+ * 结束当前 yt-dlp 进程；SIGINT 让 yt-dlp 通知 ffmpeg 收尾，超时再强制结束
+ */
+function requestStop(session, reason) {
+  if (session.stopReason && session.stopReason !== 'segment') {
+    return;
+  }
+  session.stopReason = reason;
+  if (reason !== 'segment') {
+    session.recording.phase = 'stopping';
+  }
+
+  // 已经发送过信号时不再重复发送，第二次 SIGINT 会打断 ffmpeg 收尾
+  const child = session.child;
+  if (!child || child.exitCode !== null || child.killed) {
+    return;
+  }
+
+  child.kill('SIGINT');
+  const timer = setTimeout(() => {
+    if (child.exitCode === null) {
+      child.kill('SIGKILL');
+    }
+  }, STOP_TIMEOUT);
+  child.once('close', () => clearTimeout(timer));
+}
+
+/**
+ * 整理一段录制的文件：优先使用 yt-dlp 收尾后的文件，否则把 .part 文件改名为可播放的文件
+ */
+function finalizeSegment(segmentBase, reportedPath = null) {
+  let filePath = reportedPath && fs.existsSync(reportedPath) ? reportedPath : findOutputFile(`${segmentBase}.mp4`);
+
+  if (!filePath) {
+    const partFiles = findPartialFiles(`${segmentBase}.mp4`).filter(file => file.endsWith('.part'));
+    for (const partFile of partFiles) {
+      const target = partFile.slice(0, -'.part'.length);
+      try {
+        fs.renameSync(partFile, target);
+        filePath = filePath || target;
+      } catch (error) {
+        // 改名失败时保留 .part 文件，记录中仍然指向它
+        logger.warn('⚠️  Failed to rename partial recording file', { file: partFile, error: error.message });
+        filePath = filePath || partFile;
+      }
+    }
+  }
+
+  if (!filePath) {
+    return null;
+  }
+  const { file_path, file_size_bytes, container } = describeOutputFile(filePath);
+  return { file_path, file_size_bytes, container };
+}
+
+/**
+ * 写入录制的最终状态：有录制文件时为 completed，否则为 cancelled（等待中停止）或 failed
+ */
+async function finishRecording(session) {
+  const { recording } = session;
+  const reason = session.stopReason;
+  recording.phase = 'finished';
+  recording.stop_reason = reason;
+  recording.stopped_at = new Date().toISOString();
+  if (recording.started_at) {
+    recording.elapsed_seconds = Math.round((Date.parse(recording.stopped_at) - Date.parse(recording.started_at)) / 1000);
+  }
+
+  const segments = recording.segments;
+  if (segments.length === 0) {
+    const status = reason === 'error' ? 'failed' : 'cancelled';
+    await updateDownloadStatus(session.id, status, {
+      recording,
+      ...(reason === 'error' && {
+        error_code: classifyError(session.lastError || '').code,
+        error_message: session.lastError
+      })
+    });
+    logger.info('🛑 Live recording ended without output', { id: session.id, reason });
+    return;
+  }
+
+  const totalBytes = sumBytes(segments);
+  await updateDownloadStatus(session.id, 'completed', {
+    completed_at: new Date(),
+    file_path: segments[0].file_path,
+    file_size: `${(totalBytes / 1024 / 1024).toFixed(2)} MB`,
+    file_size_bytes: totalBytes,
+    container: segments[0].container,
+    recording,
+    ...(reason === 'error' && { error_message: session.lastError })
+  });
+  logger.info('✅ Live recording finished', { id: session.id, reason, segments: segments.length, bytes: totalBytes });
+}
+
+/**
+ * 写入录制进度
+ */
+function persist(session, options = {}) {
+  return updateDownloadStatus(session.id, 'in_progress', { recording: session.recording }, options);
+}
+
+// 下载目录和 yt-dlp 路径在使用时读取，此时 .env 已经加载
+function getDownloadPath() {
+  return process.env.DOWNLOAD_PATH || '/tmp/downloads';
+}
+
+function getYtDlpPath() {
+  return process.env.YT_DLP_PATH || 'yt-dlp';
+}
+
+/**
+ * "500M" / "2G" / 数字（MB） -> 字节数
+ */
+function toBytes(value) {
+  const size = parseFileSize(value);
+  if (!size) {
+    return null;
+  }
+  const units = { K: 1024, M: 1024 ** 2, G: 1024 ** 3 };
+  return Math.round(parseFloat(size) * units[size.slice(-1)]);
+}
+
+function sumBytes(segments) {
+  return segments.reduce((total, segment) => total + (segment.file_size_bytes || 0), 0);
+}
+
+function sumFileBytes(files) {
+  return files.reduce((total, file) => {
+    try {
+      return total + fs.statSync(file).size;
+    } catch (error) {
+      return total;
+    }
+  }, 0);
+}
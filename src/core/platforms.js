@@ -92,33 +92,26 @@ export function detectPlatform(url) {
 
 /**
  * 获取平台特定的质量偏好
+ * 返回分辨率上限（maxHeight）或最低画质标记（worst），供格式选择引擎使用
  */
 export function getPlatformQuality(platformName, requestedQuality = 'best') {
   const qualityMappings = {
     youtube: {
-      'best': 'best[height<=1080]',
-      '1080p': 'best[height<=1080]',
-      '720p': 'best[height<=720]',
-      '480p': 'best[height<=480]',
-      '360p': 'best[height<=360]',
-      'worst': 'worst'
-    },
-    bilibili: {
-      'best': 'best',
-      '1080p': 'best[height<=1080]',
-      '720p': 'best[height<=720]',
-      '480p': 'best[height<=480]',
-      '360p': 'best[height<=360]',
-      'worst': 'worst'
+      'best': { maxHeight: 1080 },
+      '1080p': { maxHeight: 1080 },
+      '720p': { maxHeight: 720 },
+      '480p': { maxHeight: 480 },
+      '360p': { maxHeight: 360 },
+      'worst': { worst: true }
     },
     // 其他平台使用通用映射
     default: {
-      'best': 'best',
-      '1080p': 'best[height<=1080]',
-      '720p': 'best[height<=720]',
-      '480p': 'best[height<=480]',
-      '360p': 'best[height<=360]',
-      'worst': 'worst'
+      'best': { maxHeight: null },
+      '1080p': { maxHeight: 1080 },
+      '720p': { maxHeight: 720 },
+      '480p': { maxHeight: 480 },
+      '360p': { maxHeight: 360 },
+      'worst': { worst: true }
     }
   };
   
@@ -0,0 +1,138 @@
+/**
+ * Playlist Expansion
+ * 识别播放列表/频道/合集URL，并通过 yt-dlp 的扁平提取展开为条目列表
+ */
+
+import { execCommand } from './video-info.js';
+import { logger } from '../utils/logger.js';
+
+const YT_DLP_PATH = process.env.YT_DLP_PATH || 'yt-dlp';
+
+// 扁平提取大频道时可能较慢
+const EXTRACT_TIMEOUT = 120000;
+
+// 播放列表类URL
+const PLAYLIST_PATTERNS = [
+  // YouTube 播放列表和频道
+  /^https?:\/\/([\w-]+\.)?youtube\.com\/playlist\?/i,
+  /^https?:\/\/([\w-]+\.)?youtube\.com\/(@[^/?#]+|channel\/[^/?#]+|c\/[^/?#]+|user\/[^/?#]+)(\/(videos|streams|shorts|playlists))?\/?([?#].*)?$/i,
+  // B站 UP主空间、合集、收藏夹、稍后再看列表
+  /^https?:\/\/space\.bilibili\.com\/\d+/i,
+  /^https?:\/\/([\w-]+\.)?bilibili\.com\/(list|medialist|favlist)\//i
+];
+
+// YouTube 频道首页（未指定标签页）
+const YOUTUBE_CHANNEL_ROOT = /^(https?:\/\/([\w-]+\.)?youtube\.com\/(@[^/?#]+|channel\/[^/?#]+|c\/[^/?#]+|user\/[^/?#]+))\/?$/i;
+
+/**
+ * 判断URL是否为播放列表、频道或合集
+ * 带 v= 的单个视频链接（即使带有 list= 参数）按单个视频处理
+ */
+export function isPlaylistURL(url) {
+  if (!url || typeof url !== 'string') {
+    return false;
+  }
+
+  return PLAYLIST_PATTERNS.some(pattern => pattern.test(url.trim()));
+}
+
+/**
+ * 频道首页在扁平提取时返回的是标签页而不是视频，改为提取"视频"标签页
+ */
+export function normalizePlaylistURL(url) {
+  const match = url.trim().match(YOUTUBE_CHANNEL_ROOT);
+  return match ? `${match[1]}/videos` : url.trim();
+}
+
+/**
+ * 把 YYYY-MM-DD 或 YYYYMMDD 转换为 yt-dlp 使用的 YYYYMMDD
+ */
+export function normalizeDate(value) {
+  if (!value) {
+    return null;
+  }
+
+  const match = String(value).trim().match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+  return match ? `${match[1]}${match[2]}${match[3]}` : null;
+}
+
+/**
+ * 展开播放列表
+ *
+ * items 使用 yt-dlp 的 --playlist-items 语法（如 "1-10,15"）；
+ * dateAfter 只能过滤扁平结果中带日期的条目，没有日期的条目在下载前再检查；
+ * maxItems 在其余过滤之后截取
+ */
+export async function extractPlaylist(url, { items = null, dateAfter = null, maxItems = null } = {}) {
+  const playlistUrl = normalizePlaylistURL(url);
+  logger.info('📜 Expanding playlist', { url: playlistUrl, items, dateAfter, maxItems });
+
+  const args = ['--flat-playlist', '--dump-single-json', '--no-warnings'];
+  if (items) {
+    args.push('--playlist-items', items);
+  }
+  if (dateAfter) {
+    args.push('--dateafter', normalizeDate(dateAfter));
+  }
+  args.push(playlistUrl);
+
+  const output = await execCommand(YT_DLP_PATH, args, EXTRACT_TIMEOUT);
+  const playlist = parsePlaylistJSON(output);
+
+  if (maxItems) {
+    playlist.entries = playlist.entries.slice(0, maxItems);
+  }
+
+  logger.info('📜 Playlist expanded', { title: playlist.title, entries: playlist.entries.length });
+  return playlist;
+}
+
+/**
+ * 条目中已知的视频信息，作为子任务的 metadata，下载时不足的部分再获取
+ */
+export function toEntryMetadata(entry) {
+  return {
+    title: entry.title,
+    uploader: entry.uploader,
+    upload_date: entry.upload_date,
+    duration: entry.duration,
+    id: entry.id,
+    extractor_key: entry.extractor_key
+  };
+}
+
+/**
+ * 解析 --flat-playlist --dump-single-json 的输出
+ */
+export function parsePlaylistJSON(output) {
+  const data = JSON.parse(output);
+
+  if (!data || data._type !== 'playlist') {
+    throw new Error('URL is not a playlist');
+  }
+
+  // 指定了 --playlist-items 或日期过滤时 requested_entries 记录原始序号
+  const indices = data.requested_entries || null;
+
+  const entries = (data.entries || [])
+    .map((entry, position) => ({
+      url: entry?.url || entry?.webpage_url || null,
+      id: entry?.id || null,
+      extractor_key: entry?.ie_key || null,
+      title: entry?.title || null,
+      uploader: entry?.uploader || entry?.channel || data.uploader || data.channel || null,
+      duration: entry?.duration ?? null,
+      upload_date: entry?.upload_date || null,
+      live_status: entry?.live_status || null,
+      playlist_index: indices ? indices[position] : position + 1
+    }))
+    .filter(entry => entry.url);
+
+  return {
+    id: data.id || null,
+    title: data.title || data.id || 'Playlist',
+    uploader: data.uploader || data.channel || null,
+    url: data.webpage_url || data.original_url || null,
+    entries
+  };
+}
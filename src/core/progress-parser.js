@@ -0,0 +1,172 @@
+/**
+ * yt-dlp Progress Parser
+ * 把 yt-dlp 的进度输出解析为结构化数据
+ */
+
+// 进度输出前缀，用于从普通输出中识别模板行
+const PROGRESS_PREFIX = '[dewa-progress]';
+
+// 传给 --progress-template 的模板，缺失字段由 yt-dlp 输出为 NA
+export const PROGRESS_TEMPLATE = 'download:' + PROGRESS_PREFIX + ' ' + [
+  '%(progress.status)s',
+  '%(progress.downloaded_bytes)s',
+  '%(progress.total_bytes)s',
+  '%(progress.total_bytes_estimate)s',
+  '%(progress.speed)s',
+  '%(progress.eta)s',
+  '%(progress.fragment_index)s',
+  '%(progress.fragment_count)s',
+  '%(info.format_id)s',
+  '%(info.ext)s'
+].join('|');
+
+// 字幕等附属文件的下载进度不计入视频进度
+const SIDECAR_EXTENSIONS = new Set(['vtt', 'srt', 'ass', 'ssa', 'ttml', 'srv1', 'srv2', 'srv3', 'json3', 'lrc', 'xml']);
+
+// 后处理器输出前缀 -> 阶段
+const PHASE_MARKERS = [
+  { pattern: /^\[Merger\]/, phase: 'merging' },
+  { pattern: /^\[(ExtractAudio|EmbedSubtitle|EmbedThumbnail|Metadata|Fixup\w*|VideoConvertor|VideoRemuxer|SubtitlesConvertor|ThumbnailsConvertor|SplitChapters|ModifyChapters|SponsorBlock|FFmpeg\w*|MoveFiles)\]/, phase: 'post_processing' }
+];
+
+const SIZE_UNITS = {
+  B: 1,
+  KIB: 1024,
+  MIB: 1024 ** 2,
+  GIB: 1024 ** 3,
+  TIB: 1024 ** 4,
+  KB: 1000,
+  MB: 1000 ** 2,
+  GB: 1000 ** 3,
+  TB: 1000 ** 4
+};
+
+/**
+ * 解析一行 yt-dlp 输出，返回进度更新或 null
+ */
+export function parseProgressLine(line) {
+  if (!line || typeof line !== 'string') {
+    return null;
+  }
+
+  const text = line.trim();
+
+  if (text.startsWith(PROGRESS_PREFIX)) {
+    return parseTemplateLine(text.slice(PROGRESS_PREFIX.length).trim());
+  }
+
+  for (const { pattern, phase } of PHASE_MARKERS) {
+    if (pattern.test(text)) {
+      return { phase };
+    }
+  }
+
+  if (text.startsWith('[download]')) {
+    return parseDefaultLine(text);
+  }
+
+  return null;
+}
+
+/**
+ * 合并进度更新，百分比由字节数推算
+ */
+export function mergeProgress(previous, update) {
+  const merged = { ...(previous || {}), ...update };
+
+  if (update.downloaded_bytes !== undefined || update.total_bytes !== undefined) {
+    const total = merged.total_bytes;
+    if (merged.downloaded_bytes !== null && merged.downloaded_bytes !== undefined && total) {
+      merged.percent = Math.min(100, Math.round(merged.downloaded_bytes / total * 1000) / 10);
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * 解析 --progress-template 输出的字段
+ */
+function parseTemplateLine(text) {
+  const [
+    status,
+    downloaded,
+    total,
+    totalEstimate,
+    speed,
+    eta,
+    fragmentIndex,
+    fragmentCount,
+    formatId,
+    ext
+  ] = text.split('|');
+
+  if (SIDECAR_EXTENSIONS.has(ext)) {
+    return null;
+  }
+
+  const totalBytes = toNumber(total) ?? toNumber(totalEstimate);
+
+  return {
+    phase: 'downloading',
+    status: status === 'NA' ? null : status,
+    downloaded_bytes: toNumber(downloaded),
+    total_bytes: totalBytes,
+    total_is_estimate: toNumber(total) === null && totalBytes !== null,
+    speed: toNumber(speed),
+    eta: toNumber(eta),
+    fragment_index: toNumber(fragmentIndex),
+    fragment_count: toNumber(fragmentCount),
+    format_id: !formatId || formatId === 'NA' ? null : formatId
+  };
+}
+
+/**
+ * 解析默认的进度行，例如:
+ * [download]  42.1% of ~ 10.00MiB at  1.00MiB/s ETA 00:05 (frag 3/20)
+ */
+function parseDefaultLine(text) {
+  const percentMatch = text.match(/\[download\]\s+(\d+(?:\.\d+)?)%/);
+  if (!percentMatch) {
+    return null;
+  }
+
+  const update = {
+    phase: 'downloading',
+    percent: parseFloat(percentMatch[1])
+  };
+
+  const totalMatch = text.match(/of\s+(~?)\s*(\d+(?:\.\d+)?)\s*([KMGT]?i?B)/i);
+  if (totalMatch) {
+    update.total_bytes = Math.round(parseFloat(totalMatch[2]) * (SIZE_UNITS[totalMatch[3].toUpperCase()] || 1));
+    update.total_is_estimate = totalMatch[1] === '~';
+    update.downloaded_bytes = Math.round(update.total_bytes * update.percent / 100);
+  }
+
+  const speedMatch = text.match(/at\s+(\d+(?:\.\d+)?)\s*([KMGT]?i?B)\/s/i);
+  if (speedMatch) {
+    update.speed = parseFloat(speedMatch[1]) * (SIZE_UNITS[speedMatch[2].toUpperCase()] || 1);
+  }
+
+  const etaMatch = text.match(/ETA\s+(\d+(?::\d+){0,2})/);
+  if (etaMatch) {
+    update.eta = etaMatch[1].split(':').reduce((seconds, part) => seconds * 60 + parseInt(part, 10), 0);
+  }
+
+  const fragMatch = text.match(/\(frag\s+(\d+)\/(\d+)\)/);
+  if (fragMatch) {
+    update.fragment_index = parseInt(fragMatch[1], 10);
+    update.fragment_count = parseInt(fragMatch[2], 10);
+  }
+
+  return update;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === 'NA' || value === 'None' || value === '') {
+    return null;
+  }
+
+  const num = Number(value);
+  return isNaN(num) ? null : num;
+}
@@ -0,0 +1,108 @@
+/**
+ * Startup Recovery
+ * 服务启动时处理上次运行中断的下载：记录仍是 pending / in_progress，但已经没有进程在执行
+ *
+ * resume 模式把它们标记为 interrupted 后立即重新排队，yt-dlp 通过 --continue 续传；
+ * report 模式只标记为 interrupted 并写明原因，之后可用 resume_download 手动恢复。
+ * 直播录制不会自动继续：把当前段的 .part 文件整理为可播放的文件后标记为 interrupted，
+ * 直播仍在进行时可用 resume_download 从下一段继续录制。
+ */
+
+import { getDownloadHistory, updateDownloadStatus } from './download-manager.js';
+import { resumeDownload } from './downloader.js';
+import { recoverRecordingFiles } from './live-recorder.js';
+import { refreshBatchStatus } from './batch-manager.js';
+import { findPartialFiles, findOutputFile } from './file-manager.js';
+import { logger } from '../utils/logger.js';
+
+export const RECOVERY_MODES = ['resume', 'report'];
+
+// 上次运行时尚未结束的状态
+const STALE_STATUSES = ['pending', 'in_progress'];
+
+/**
+ * 处理上次运行中断的下载，必须在本次运行开始任何下载之前调用
+ */
+export async function recoverInterruptedDownloads({ mode = process.env.RECOVERY_MODE || 'resume' } = {}) {
+  if (!RECOVERY_MODES.includes(mode)) {
+    logger.warn(`⚠️  Unknown RECOVERY_MODE "${mode}", falling back to report`);
+    mode = 'report';
+  }
+
+  const result = { mode, resumed: [], interrupted: [] };
+  const history = await getDownloadHistory();
+  const stale = history.filter(record => record.type !== 'batch' && STALE_STATUSES.includes(record.status));
+
+  if (stale.length > 0) {
+    logger.warn(`⚠️  Found ${stale.length} downloads interrupted by the last shutdown`, { mode });
+  }
+
+  for (const record of stale) {
+    const reason = describeInterruption(record, inspectInterruptedDownload(record));
+    await updateDownloadStatus(record.id, 'interrupted', {
+      interrupted_at: new Date(),
+      interrupted_reason: reason,
+      ...(record.type === 'recording' && { recording: recoverRecordingFiles(record) })
+    });
+
+    if (mode === 'resume' && record.type !== 'recording') {
+      try {
+        await resumeDownload(record.id);
+        result.resumed.push(record.id);
+        continue;
+      } catch (error) {
+        logger.warn('⚠️  Failed to resume interrupted download', { id: record.id, error: error.message });
+      }
+    }
+    result.interrupted.push(record.id);
+  }
+
+  // 重新汇总未结束的批量任务（子任务可能在汇总前就已结束）
+  const batches = history.filter(record => record.type === 'batch' && record.status === 'in_progress');
+  for (const batch of batches) {
+    await refreshBatchStatus(batch.id);
+  }
+
+  if (stale.length > 0) {
+    logger.info('🩹 Interrupted downloads recovered', {
+      mode,
+      resumed: result.resumed.length,
+      interrupted: result.interrupted.length
+    });
+  }
+
+  return result;
+}
+
+/**
+ * 检查中断的下载在磁盘上留下的文件
+ */
+export function inspectInterruptedDownload(record) {
+  if (!record.output_path) {
+    return { outputExists: false, partialFiles: [] };
+  }
+
+  return {
+    outputExists: Boolean(findOutputFile(record.output_path)),
+    partialFiles: findPartialFiles(record.output_path)
+  };
+}
+
+/**
+ * 描述中断原因
+ */
+export function describeInterruption(record, { outputExists, partialFiles }) {
+  if (record.type === 'recording') {
+    return '服务停止时直播录制中断，已录制的文件保留在磁盘上；直播仍在进行时可用 resume_download 继续录制';
+  }
+  if (record.status === 'pending') {
+    return '服务停止时任务仍在排队，尚未开始下载';
+  }
+  if (outputExists) {
+    return '服务停止时目标文件已写出，但记录未更新（可能停在后处理阶段）';
+  }
+  if (partialFiles.length > 0) {
+    return `服务停止时下载中断，保留了 ${partialFiles.length} 个部分文件，可以续传`;
+  }
+  return '服务停止时下载中断，没有找到已下载的部分文件';
+}
@@ -0,0 +1,223 @@
+/**
+ * Schedule Manager
+ * 定时下载：在指定时间执行一次，或按 cron 表达式重复执行 download_video
+ *
+ * 定时任务保存在 SCHEDULE_FILE（默认与下载记录文件同目录的 schedules.json），服务重启后继续生效。
+ * 服务停止期间错过的运行在下次启动时补执行一次（重复任务不会补执行多次），之后按表达式继续。
+ * 执行下载的函数由服务入口通过 startScheduleRunner 传入，触发的下载记录带有 schedule_id。
+ */
+
+import path from 'path';
+import { JsonStore } from './json-store.js';
+import { getNextCronTime } from '../utils/cron.js';
+import { logger } from '../utils/logger.js';
+
+// run_at 必须带时间：只有日期的 ISO 字符串会按 UTC 零点解析，而不是本地时间
+export const RUN_AT_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+
+// 检查到期任务的间隔
+const CHECK_INTERVAL = 30000;
+
+// 每个定时任务保留的最近运行记录数
+const MAX_RUN_HISTORY = 10;
+
+// 定时任务：scheduleId -> schedule，首次访问时读取文件
+const scheduleStore = new JsonStore({ key: 'schedules', name: 'schedule', getFilePath: getScheduleFile });
+
+// 到期时执行下载的函数，以及检查定时器
+let runDownload = null;
+let checkTimer = null;
+let checking = false;
+
+/**
+ * 创建定时任务：runAt（一次性）和 cron（重复）二选一
+ * downloadArgs 是 download_video 的参数（不含 url），执行时原样传入
+ */
+export async function createSchedule({ url, downloadArgs = {}, runAt = null, cron = null, name = null }, now = new Date()) {
+  const schedule = {
+    id: generateScheduleId(),
+    name,
+    url,
+    run_at: null,
+    cron: cron || null,
+    download_args: downloadArgs,
+    status: 'active',
+    next_run_at: null,
+    run_count: 0,
+    runs: [],
+    created_at: now.toISOString()
+  };
+
+  if (runAt && cron) {
+    throw new Error('Use either run_at or cron, not both');
+  }
+  if (runAt) {
+    const time = new Date(runAt);
+    if (!RUN_AT_PATTERN.test(runAt) || isNaN(time.getTime())) {
+      throw new Error(`Invalid run_at "${runAt}", use an ISO timestamp like 2026-01-31T02:00:00+08:00`);
+    }
+    if (time <= now) {
+      throw new Error(`run_at ${time.toISOString()} is in the past`);
+    }
+    schedule.run_at = time.toISOString();
+  } else if (!cron) {
+    throw new Error('Either run_at or cron is required');
+  }
+
+  schedule.next_run_at = getNextRunTime(schedule, now).toISOString();
+
+  const schedules = await scheduleStore.load();
+  schedules.set(schedule.id, schedule);
+  await scheduleStore.save();
+
+  logger.info('⏰ Schedule created', { id: schedule.id, url, next_run_at: schedule.next_run_at, cron: schedule.cron });
+  return schedule;
+}
+
+/**
+ * 定时任务列表，按下一次运行时间排序；默认只列出仍有效的任务
+ */
+export async function listSchedules({ includeFinished = false } = {}) {
+  const schedules = [...(await scheduleStore.load()).values()]
+    .filter(schedule => includeFinished || schedule.status === 'active');
+
+  return schedules.sort((a, b) =>
+    (a.next_run_at || '9999').localeCompare(b.next_run_at || '9999') || a.created_at.localeCompare(b.created_at));
+}
+
+/**
+ * 获取定时任务
+ */
+export async function getSchedule(scheduleId) {
+  return (await scheduleStore.load()).get(scheduleId) || null;
+}
+
+/**
+ * 取消定时任务，已经触发的下载不受影响
+ */
+export async function cancelSchedule(scheduleId) {
+  const schedule = await getSchedule(scheduleId);
+  if (!schedule) {
+    throw new Error(`Schedule not found: ${scheduleId}`);
+  }
+  if (schedule.status !== 'active') {
+    throw new Error(`Schedule is already ${schedule.status}`);
+  }
+
+  schedule.status = 'cancelled';
+  schedule.next_run_at = null;
+  schedule.cancelled_at = new Date().toISOString();
+  await scheduleStore.save();
+
+  logger.info('🛑 Schedule cancelled', { id: scheduleId });
+  return schedule;
+}
+
+/**
+ * after 之后的下一次运行时间：一次性任务运行过后为 null
+ */
+export function getNextRunTime(schedule, after = new Date()) {
+  if (schedule.cron) {
+    return getNextCronTime(schedule.cron, after);
+  }
+  return schedule.run_count === 0 ? new Date(schedule.run_at) : null;
+}
+
+/**
+ * 开始定时检查到期的任务；run(schedule) 执行下载，返回 { downloadId, error }
+ */
+export async function startScheduleRunner(run) {
+  runDownload = run;
+  if (!checkTimer) {
+    checkTimer = setInterval(() => {
+      checkDueSchedules().catch(error => logger.error('❌ Failed to run scheduled downloads', error));
+    }, CHECK_INTERVAL);
+    checkTimer.unref?.();
+  }
+
+  const active = (await listSchedules()).length;
+  if (active > 0) {
+    logger.info(`⏰ ${active} active schedules loaded`, { file: getScheduleFile() });
+  }
+  await checkDueSchedules();
+}
+
+/**
+ * 停止定时检查（服务关闭时）
+ */
+export function stopScheduleRunner() {
+  if (checkTimer) {
+    clearInterval(checkTimer);
+    checkTimer = null;
+  }
+  runDownload = null;
+}
+
+/**
+ * 执行所有已到期的任务
+ */
+export async function checkDueSchedules(now = new Date()) {
+  if (checking || !runDownload) {
+    return;
+  }
+
+  checking = true;
+  try {
+    const due = [...(await scheduleStore.load()).values()]
+      .filter(schedule => schedule.status === 'active' && schedule.next_run_at && Date.parse(schedule.next_run_at) <= now.getTime());
+
+    for (const schedule of due) {
+      await runSchedule(schedule);
+    }
+  } finally {
+    checking = false;
+  }
+}
+
+/**
+ * 执行一次定时任务并计算下一次运行时间
+ */
+async function runSchedule(schedule) {
+  logger.info('⏰ Running scheduled download', { id: schedule.id, url: schedule.url, scheduled_for: schedule.next_run_at });
+
+  const run = {
+    scheduled_for: schedule.next_run_at,
+    started_at: new Date().toISOString(),
+    download_id: null,
+    error: null
+  };
+
+  try {
+    const result = await runDownload(schedule);
+    run.download_id = result.downloadId || null;
+    run.error = result.error || null;
+  } catch (error) {
+    run.error = error.message;
+  }
+
+  if (run.error) {
+    logger.warn('⚠️  Scheduled download failed to start', { id: schedule.id, error: run.error });
+  }
+
+  schedule.run_count++;
+  schedule.runs = [run, ...schedule.runs].slice(0, MAX_RUN_HISTORY);
+
+  const next = getNextRunTime(schedule, new Date());
+  schedule.next_run_at = next ? next.toISOString() : null;
+  if (!next) {
+    schedule.status = 'completed';
+  }
+  await scheduleStore.save();
+}
+
+/**
+ * 定时任务文件路径，在使用时读取环境变量（此时 .env 已经加载）
+ */
+function getScheduleFile() {
+  const historyFile = process.env.DOWNLOAD_HISTORY_FILE || path.join(process.cwd(), 'downloads.json');
+  return process.env.SCHEDULE_FILE || path.join(path.dirname(historyFile), 'schedules.json');
+}
+
+function generateScheduleId() {
+  return `sch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
@@ -0,0 +1,110 @@
+/**
+ * Sidecar Files
+ * 缩略图、info.json、简介等随下载保存的附属文件，以及写入容器的元数据标签
+ *
+ * 附属文件与视频同名（<文件名>.jpg、<文件名>.info.json、<文件名>.description），
+ * 下载记录的 sidecar_files 列出它们（含字幕文件），移动或删除下载时可以一并处理。
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+// 附属文件类型 -> 文件名后缀，缩略图转换失败时保留原格式
+const SIDECAR_SUFFIXES = {
+  thumbnail: ['.jpg', '.png', '.webp'],
+  info_json: ['.info.json'],
+  description: ['.description']
+};
+
+export const SIDECAR_LABELS = {
+  thumbnail: '缩略图',
+  info_json: 'info.json',
+  description: '简介'
+};
+
+// 不能嵌入封面的容器
+const NO_COVER_CONTAINERS = ['webm'];
+
+/**
+ * 构建附属文件和元数据嵌入的 yt-dlp 参数
+ * 嵌入元数据包括标题、作者、日期、简介、章节和封面
+ */
+export function buildSidecarArgs({
+  writeThumbnail = false,
+  writeInfoJson = false,
+  writeDescription = false,
+  embedMetadata = false,
+  container = null,
+  mediaType = 'video'
+} = {}) {
+  const args = [];
+  const embedCover = embedMetadata && (mediaType === 'audio' || !NO_COVER_CONTAINERS.includes(container));
+
+  if (writeThumbnail) {
+    args.push('--write-thumbnail');
+  }
+  if (embedCover) {
+    args.push('--embed-thumbnail');
+  }
+  if (writeThumbnail || embedCover) {
+    args.push('--convert-thumbnails', 'jpg');
+  }
+  if (writeInfoJson) {
+    // 去掉 yt-dlp 内部字段和本机路径
+    args.push('--write-info-json', '--clean-info-json');
+  }
+  if (writeDescription) {
+    args.push('--write-description');
+  }
+  if (embedMetadata) {
+    args.push('--embed-metadata', '--embed-chapters');
+  }
+
+  return args;
+}
+
+/**
+ * 查找与下载文件同名的附属文件，字幕文件一并列入
+ */
+export function collectSidecarFiles(filePath, subtitleFiles = []) {
+  const base = filePath.slice(0, filePath.length - path.extname(filePath).length);
+  const files = [];
+
+  for (const [type, suffixes] of Object.entries(SIDECAR_SUFFIXES)) {
+    const suffix = suffixes.find(candidate => fs.existsSync(`${base}${candidate}`));
+    if (suffix) {
+      files.push({ type, path: `${base}${suffix}` });
+    }
+  }
+
+  subtitleFiles
+    .filter(subtitle => subtitle.path)
+    .forEach(subtitle => files.push({ type: 'subtitle', language: subtitle.language, path: subtitle.path }));
+
+  return files;
+}
+
+/**
+ * 删除取消的下载已经写出的附属文件（yt-dlp 在下载视频之前写出它们）
+ */
+export function removeSidecarFiles(filePath) {
+  collectSidecarFiles(filePath).forEach(file => {
+    try {
+      fs.unlinkSync(file.path);
+      logger.debug(`🗑️  Removed sidecar file: ${path.basename(file.path)}`);
+    } catch (error) {
+      logger.warn(`⚠️  Failed to remove sidecar file: ${file.path}`, { error: error.message });
+    }
+  });
+}
+
+/**
+ * 描述附属文件，例如 "缩略图, info.json, 简介"
+ */
+export function describeSidecarFiles(sidecarFiles = []) {
+  return sidecarFiles
+    .filter(file => SIDECAR_LABELS[file.type])
+    .map(file => SIDECAR_LABELS[file.type])
+    .join(', ');
+}
@@ -0,0 +1,357 @@
+/**
+ * Subscription Manager
+ * 订阅频道、UP主空间和播放列表：按各自的检查间隔展开最新的条目，把新视频交给下载队列
+ *
+ * 订阅保存在 SUBSCRIPTION_FILE（默认与下载记录文件同目录的 subscriptions.json），服务重启后继续生效。
+ * 不单独保存"已见过"的视频，而是按 video_key 查下载记录：订阅排队的每个视频都会留下记录（完成、跳过或失败），
+ * 其他途径已经下载或正在下载的视频也不会重复排队。
+ * 没有指定 date_after 时，第一次检查把当时已有的视频记为跳过，之后只下载新发布的视频。
+ */
+
+import path from 'path';
+import { JsonStore } from './json-store.js';
+import { detectPlatform } from './platforms.js';
+import { extractPlaylist, normalizePlaylistURL, toEntryMetadata } from './playlist.js';
+import { enqueueBatch } from './downloader.js';
+import { createBatchRecord, refreshBatchStatus } from './batch-manager.js';
+import { saveDownloadRecord, getDownloadHistory } from './download-manager.js';
+import { extractVideoKey } from './download-archive.js';
+import { getFilterMismatch } from './video-filters.js';
+import { extractErrorMessage } from './error-classifier.js';
+import { logger } from '../utils/logger.js';
+
+// 检查间隔（秒）：默认每小时，最短 5 分钟
+export const DEFAULT_POLL_INTERVAL = 3600;
+export const MIN_POLL_INTERVAL = 300;
+
+// 每次检查只展开最新的条目，频道和UP主空间按发布时间倒序
+const MAX_CHECK_ITEMS = 30;
+
+// 查找到期订阅的间隔
+const CHECK_INTERVAL = 60000;
+
+// 第一次检查时已有视频的跳过原因
+const BASELINE_REASON = 'Published before the subscription was created';
+
+// 订阅：subscriptionId -> subscription，首次访问时读取文件
+const subscriptionStore = new JsonStore({ key: 'subscriptions', name: 'subscription', getFilePath: getSubscriptionFile });
+
+let checkTimer = null;
+let checking = false;
+
+/**
+ * 创建订阅并立即检查一次；无法展开URL时抛出异常，订阅不会保存
+ * 返回 { subscription, result }，result 为第一次检查的结果
+ */
+export async function createSubscription({
+  url,
+  name = null,
+  pollInterval = DEFAULT_POLL_INTERVAL,
+  quality = 'best',
+  outputTemplate = null,
+  filters = null,
+  dateAfter = null
+}, now = new Date()) {
+  const existing = await findSubscriptionByURL(url);
+  if (existing) {
+    throw new Error(`Already subscribed to ${url} (${existing.id})`);
+  }
+  if (pollInterval < MIN_POLL_INTERVAL) {
+    throw new Error(`poll_interval must be at least ${MIN_POLL_INTERVAL} seconds`);
+  }
+
+  const subscription = {
+    id: generateSubscriptionId(),
+    name,
+    url,
+    platform: detectPlatform(url).name,
+    poll_interval: pollInterval,
+    quality,
+    output_template: outputTemplate,
+    filters,
+    date_after: dateAfter,
+    created_at: now.toISOString(),
+    last_checked_at: null,
+    next_check_at: null,
+    check_count: 0,
+    queued_total: 0,
+    last_check: null
+  };
+
+  const result = await pollSubscription(subscription, now);
+  subscription.name = subscription.name || result.playlist_title;
+  applyCheckResult(subscription, result, now);
+
+  const subscriptions = await subscriptionStore.load();
+  subscriptions.set(subscription.id, subscription);
+  await subscriptionStore.save();
+
+  logger.info('📡 Subscription created', { id: subscription.id, url, poll_interval: pollInterval, new_items: result.new_items });
+  return { subscription, result };
+}
+
+/**
+ * 全部订阅，按创建时间排序
+ */
+export async function listSubscriptions() {
+  return [...(await subscriptionStore.load()).values()]
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+/**
+ * 获取订阅
+ */
+export async function getSubscription(subscriptionId) {
+  return (await subscriptionStore.load()).get(subscriptionId) || null;
+}
+
+/**
+ * 删除订阅，已经排队的下载不受影响，下载记录保留 subscription_id
+ */
+export async function removeSubscription(subscriptionId) {
+  const subscriptions = await subscriptionStore.load();
+  const subscription = subscriptions.get(subscriptionId);
+  if (!subscription) {
+    throw new Error(`Subscription not found: ${subscriptionId}`);
+  }
+
+  subscriptions.delete(subscriptionId);
+  await subscriptionStore.save();
+
+  logger.info('🛑 Subscription removed', { id: subscriptionId });
+  return subscription;
+}
+
+/**
+ * 视频是否已经处理过：本订阅的任何下载记录，或其他途径已下载、正在下载的记录
+ * 正在直播或尚未开播而失败的视频下次检查时重试；其他途径失败、取消或跳过的视频仍按本订阅处理，
+ * 本订阅自己的失败不自动重试，可以用 resume_download
+ */
+export function isSeen(records, subscriptionId) {
+  return records.some(record => {
+    if (record.type === 'recording' || (record.status === 'failed' && record.error_code === 'LIVE_STREAM')) {
+      return false;
+    }
+    return record.subscription_id === subscriptionId || !['failed', 'cancelled', 'skipped'].includes(record.status);
+  });
+}
+
+/**
+ * 开始定时检查到期的订阅
+ */
+export async function startSubscriptionPoller() {
+  if (!checkTimer) {
+    checkTimer = setInterval(() => {
+      checkDueSubscriptions().catch(error => logger.error('❌ Failed to check subscriptions', error));
+    }, CHECK_INTERVAL);
+    checkTimer.unref?.();
+  }
+
+  const count = (await subscriptionStore.load()).size;
+  if (count > 0) {
+    logger.info(`📡 ${count} subscriptions loaded`, { file: getSubscriptionFile() });
+  }
+  await checkDueSubscriptions();
+}
+
+/**
+ * 停止定时检查（服务关闭时）
+ */
+export function stopSubscriptionPoller() {
+  if (checkTimer) {
+    clearInterval(checkTimer);
+    checkTimer = null;
+  }
+}
+
+/**
+ * 依次检查所有到期的订阅，单个订阅出错时记录在 last_check 中
+ */
+export async function checkDueSubscriptions(now = new Date()) {
+  if (checking) {
+    return;
+  }
+
+  checking = true;
+  try {
+    const due = [...(await subscriptionStore.load()).values()]
+      .filter(subscription => !subscription.next_check_at || Date.parse(subscription.next_check_at) <= now.getTime());
+
+    for (const subscription of due) {
+      let result;
+      try {
+        result = await pollSubscription(subscription, new Date());
+      } catch (error) {
+        const message = extractErrorMessage(error.message) || error.message;
+        logger.warn('⚠️  Subscription check failed', { id: subscription.id, url: subscription.url, error: message });
+        result = { checked_at: new Date().toISOString(), error: message };
+      }
+
+      applyCheckResult(subscription, result, new Date());
+      await subscriptionStore.save();
+    }
+  } finally {
+    checking = false;
+  }
+}
+
+/**
+ * 检查一次订阅：展开最新条目，找出没有下载记录的视频，按过滤条件排队下载
+ */
+async function pollSubscription(subscription, now) {
+  const playlist = await extractPlaylist(subscription.url, {
+    items: `1-${MAX_CHECK_ITEMS}`,
+    dateAfter: subscription.date_after
+  });
+
+  const result = {
+    checked_at: now.toISOString(),
+    playlist_title: playlist.title,
+    entries: playlist.entries.length,
+    new_items: 0,
+    filtered: 0,
+    baseline: 0,
+    batch_id: null,
+    error: null
+  };
+
+  const unseen = [];
+  for (const entry of playlist.entries) {
+    // 直播和预告等结束后再下载
+    if (['is_live', 'is_upcoming'].includes(entry.live_status)) {
+      continue;
+    }
+    const videoKey = extractVideoKey(entry.url, entry);
+    if (videoKey && !isSeen(await getDownloadHistory({ video_key: videoKey }), subscription.id)) {
+      unseen.push({ ...entry, video_key: videoKey });
+    }
+  }
+
+  if (unseen.length === 0) {
+    return result;
+  }
+
+  if (!subscription.last_checked_at && !subscription.date_after) {
+    result.baseline = unseen.length;
+    result.batch_id = await recordBaseline(subscription, playlist, unseen);
+    return result;
+  }
+
+  const matched = unseen.filter(entry => !getFilterMismatch(entry, subscription.filters));
+  result.filtered = unseen.length - matched.length;
+  if (matched.length > 0) {
+    result.new_items = matched.length;
+    result.batch_id = await enqueueNewEntries(subscription, playlist, matched);
+  }
+  return result;
+}
+
+/**
+ * 把新视频作为一个批量任务排队，较早发布的先下载
+ */
+async function enqueueNewEntries(subscription, playlist, entries) {
+  const { batchId, items } = await enqueueBatch({
+    url: subscription.url,
+    title: subscription.name || playlist.title,
+    platform: subscription.platform,
+    entries: [...entries].reverse().map(entry => ({
+      url: entry.url,
+      options: {
+        playlistIndex: entry.playlist_index,
+        metadata: toEntryMetadata(entry)
+      }
+    })),
+    options: {
+      quality: subscription.quality,
+      outputTemplate: subscription.output_template,
+      filters: subscription.filters,
+      dateAfter: subscription.date_after,
+      playlistTitle: playlist.title,
+      subscriptionId: subscription.id
+    },
+    details: {
+      source: 'subscription',
+      subscription_id: subscription.id,
+      playlist_id: playlist.id,
+      uploader: playlist.uploader
+    }
+  });
+
+  items.forEach(item => item.completion.catch(error =>
+    logger.error('💥 Background download crashed', { id: item.downloadId, error: error.message })));
+
+  logger.info('📡 New subscription items queued', { id: subscription.id, batch_id: batchId, items: items.length });
+  return batchId;
+}
+
+/**
+ * 第一次检查：已有的视频记为跳过，作为之后判断新视频的依据
+ */
+async function recordBaseline(subscription, playlist, entries) {
+  const batchId = await createBatchRecord({
+    url: subscription.url,
+    title: subscription.name || playlist.title,
+    platform: subscription.platform,
+    total: entries.length,
+    details: {
+      source: 'subscription',
+      subscription_id: subscription.id,
+      playlist_id: playlist.id,
+      uploader: playlist.uploader,
+      baseline: true
+    },
+    subscriptionId: subscription.id
+  });
+
+  for (const [index, entry] of entries.entries()) {
+    await saveDownloadRecord({
+      url: entry.url,
+      title: entry.title || entry.url,
+      platform: subscription.platform,
+      status: 'skipped',
+      skip_reason: BASELINE_REASON,
+      subscription_id: subscription.id,
+      video_key: entry.video_key,
+      batch_id: batchId,
+      batch_index: index + 1,
+      playlist_index: entry.playlist_index,
+      metadata: toEntryMetadata(entry)
+    });
+  }
+  await refreshBatchStatus(batchId);
+
+  logger.info('📡 Existing subscription items recorded', { id: subscription.id, batch_id: batchId, items: entries.length });
+  return batchId;
+}
+
+/**
+ * 记录检查结果并计算下一次检查时间
+ */
+function applyCheckResult(subscription, result, now) {
+  subscription.last_check = result;
+  subscription.last_checked_at = result.checked_at;
+  subscription.next_check_at = new Date(now.getTime() + subscription.poll_interval * 1000).toISOString();
+  subscription.check_count++;
+  subscription.queued_total += result.new_items || 0;
+}
+
+/**
+ * 查找同一个频道或播放列表的订阅，每个只能订阅一次
+ */
+export async function findSubscriptionByURL(url) {
+  const target = normalizePlaylistURL(url).replace(/\/+$/, '').toLowerCase();
+  return (await listSubscriptions())
+    .find(subscription => normalizePlaylistURL(subscription.url).replace(/\/+$/, '').toLowerCase() === target) || null;
+}
+
+/**
+ * 订阅文件路径，在使用时读取环境变量（此时 .env 已经加载）
+ */
+function getSubscriptionFile() {
+  const historyFile = process.env.DOWNLOAD_HISTORY_FILE || path.join(process.cwd(), 'downloads.json');
+  return process.env.SUBSCRIPTION_FILE || path.join(path.dirname(historyFile), 'subscriptions.json');
+}
+
+function generateSubscriptionId() {
+  return `sub_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
@@ -0,0 +1,76 @@
+/**
+ * Subtitle Options
+ * 字幕下载、格式转换和嵌入的 yt-dlp 参数，以及下载后的字幕文件整理
+ */
+
+import fs from 'fs';
+
+export const SUPPORTED_SUBTITLE_FORMATS = ['srt', 'vtt'];
+export const SUBTITLE_SOURCES = ['manual', 'auto', 'both'];
+
+// 平台以字幕形式提供、但不是字幕的轨道（B站弹幕、YouTube 直播聊天）
+const EXCLUDED_TRACKS = ['danmaku', 'live_chat'];
+
+/**
+ * 构建字幕相关的 yt-dlp 参数，未指定语言时不下载字幕
+ * 语言支持 yt-dlp 的正则写法，例如 "en.*"、"zh-Hans"、"ai-zh"（B站AI字幕）或 "all"
+ */
+export function buildSubtitleArgs({
+  subtitleLanguages = [],
+  subtitleSource = 'both',
+  subtitleFormat = 'srt',
+  embedSubtitles = false,
+  mediaType = 'video'
+} = {}) {
+  if (!subtitleLanguages || subtitleLanguages.length === 0) {
+    return [];
+  }
+
+  const args = [];
+  if (subtitleSource !== 'auto') {
+    args.push('--write-subs');
+  }
+  if (subtitleSource !== 'manual') {
+    args.push('--write-auto-subs');
+  }
+
+  const languages = [...subtitleLanguages, ...EXCLUDED_TRACKS.map(track => `-${track}`)];
+  args.push('--sub-langs', languages.join(','));
+  args.push('--convert-subs', subtitleFormat);
+
+  // 音频文件不嵌入字幕，只保留外挂文件
+  if (embedSubtitles && mediaType !== 'audio') {
+    args.push('--embed-subs');
+  }
+
+  return args;
+}
+
+/**
+ * 根据 yt-dlp 报告的 requested_subtitles 整理字幕文件
+ * 嵌入后外挂文件会被 yt-dlp 删除，此时 path 为 null
+ */
+export function collectSubtitleFiles(requestedSubtitles, { embedded = false } = {}) {
+  if (!requestedSubtitles || typeof requestedSubtitles !== 'object') {
+    return [];
+  }
+
+  return Object.entries(requestedSubtitles).map(([language, subtitle]) => {
+    const exists = Boolean(subtitle.filepath) && fs.existsSync(subtitle.filepath);
+    return {
+      language,
+      format: subtitle.ext || null,
+      path: exists ? subtitle.filepath : null,
+      embedded: embedded && !exists
+    };
+  });
+}
+
+/**
+ * 描述字幕结果，例如 "en (srt), zh-Hans (嵌入)"
+ */
+export function describeSubtitleFiles(subtitleFiles = []) {
+  return subtitleFiles
+    .map(subtitle => `${subtitle.language} (${subtitle.embedded ? '嵌入' : subtitle.format || 'unknown'})`)
+    .join(', ');
+}
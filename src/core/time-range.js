@@ -0,0 +1,152 @@
+/**
+ * Time Ranges
+ * 只下载视频的一个时间段（yt-dlp --download-sections）
+ *
+ * 时间段写入下载记录的 time_range（秒，end_time 为 null 表示到结尾），
+ * 文件名带上时间段，重复检测按「视频 + 时间段」区分片段和完整下载。
+ */
+
+// 秒数，或 MM:SS / HH:MM:SS（秒可以带小数）
+const CLOCK_PATTERN = /^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/;
+const SECONDS_PATTERN = /^\d+(?:\.\d+)?$/;
+
+/**
+ * 时间点 -> 秒数，接受数字、"90"、"1:30"、"01:02:03.5"
+ */
+export function parseTimestamp(value) {
+  if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+    return value;
+  }
+
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (SECONDS_PATTERN.test(text)) {
+    return Number(text);
+  }
+
+  const match = text.match(CLOCK_PATTERN);
+  if (match) {
+    const [, hours, minutes, seconds] = match;
+    if (Number(seconds) < 60 && (hours === undefined || Number(minutes) < 60)) {
+      return Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds);
+    }
+  }
+
+  throw new Error(`Invalid time "${value}", use seconds or HH:MM:SS`);
+}
+
+/**
+ * 整理请求的时间段：start_time / end_time 或 sections 二选一
+ * 开始时间缺省为 0，结束时间缺省为视频结尾；去掉重复的时间段并按开始时间排序
+ */
+export function normalizeTimeRanges({ startTime, endTime, sections } = {}) {
+  const hasSingle = startTime !== undefined || endTime !== undefined;
+  if (sections?.length && hasSingle) {
+    throw new Error('Use either start_time/end_time or sections, not both');
+  }
+
+  const requested = sections?.length ? sections : (hasSingle ? [{ start_time: startTime, end_time: endTime }] : []);
+  const ranges = new Map();
+
+  for (const section of requested) {
+    const start = parseTimestamp(section.start_time ?? 0);
+    const end = section.end_time === undefined || section.end_time === null ? null : parseTimestamp(section.end_time);
+    if (end !== null && end <= start) {
+      throw new Error(`end_time must be after start_time (${formatTimeRange({ start_time: start, end_time: end })})`);
+    }
+
+    const range = { start_time: start, end_time: end };
+    ranges.set(getTimeRangeKey(range), range);
+  }
+
+  return [...ranges.values()].sort((a, b) => a.start_time - b.start_time);
+}
+
+/**
+ * 时间段的 yt-dlp 参数；preciseCuts 时在切点处重新编码出关键帧，切点精确但更慢
+ */
+export function buildSectionArgs(timeRange, { preciseCuts = false } = {}) {
+  if (!timeRange) {
+    return [];
+  }
+
+  const args = ['--download-sections', `*${timeRange.start_time}-${timeRange.end_time ?? 'inf'}`];
+  if (preciseCuts) {
+    args.push('--force-keyframes-at-cuts');
+  }
+  return args;
+}
+
+/**
+ * 重复检测使用的时间段标识，完整下载为 null
+ */
+export function getTimeRangeKey(timeRange) {
+  if (!timeRange) {
+    return null;
+  }
+  return `${timeRange.start_time}-${timeRange.end_time ?? 'end'}`;
+}
+
+/**
+ * 文件名中的时间段，例如 "[1h02m03s-1h04m00s]"、"[45s-end]"
+ */
+export function getTimeRangeLabel(timeRange) {
+  const end = timeRange.end_time === null ? 'end' : formatCompactTime(timeRange.end_time);
+  return `[${formatCompactTime(timeRange.start_time)}-${end}]`;
+}
+
+/**
+ * 给文件名加上时间段，放在扩展名之前
+ */
+export function withTimeRangeLabel(filename, timeRange, ext) {
+  if (!timeRange) {
+    return filename;
+  }
+  const suffix = filename.endsWith(`.${ext}`) ? `.${ext}` : '';
+  return `${filename.slice(0, filename.length - suffix.length)} ${getTimeRangeLabel(timeRange)}${suffix}`;
+}
+
+/**
+ * 显示用的时间段，例如 "1:02:03-1:04:00"、"0:45-结尾"
+ */
+export function formatTimeRange(timeRange) {
+  const end = timeRange.end_time === null ? '结尾' : formatClockTime(timeRange.end_time);
+  return `${formatClockTime(timeRange.start_time)}-${end}`;
+}
+
+/**
+ * 秒数 -> H:MM:SS / M:SS，保留小数秒
+ */
+function formatClockTime(totalSeconds) {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = formatSeconds(totalSeconds % 60);
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
+
+/**
+ * 秒数 -> 1h02m03s / 2m03s / 45s，用于文件名（不含冒号）
+ */
+function formatCompactTime(totalSeconds) {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = formatSeconds(totalSeconds % 60);
+
+  if (hours > 0) {
+    return `${hours}h${String(minutes).padStart(2, '0')}m${seconds}s`;
+  }
+  if (minutes > 0) {
+    return `${minutes}m${seconds}s`;
+  }
+  return `${formatSeconds(totalSeconds, 1)}s`;
+}
+
+/**
+ * 秒的部分：整数补零到两位，小数最多保留三位
+ */
+function formatSeconds(seconds, width = 2) {
+  const [whole, fraction] = String(Math.round(seconds * 1000) / 1000).split('.');
+  return `${whole.padStart(width, '0')}${fraction ? `.${fraction}` : ''}`;
+}
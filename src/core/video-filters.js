@@ -0,0 +1,84 @@
+/**
+ * Video Filters
+ * 按标题、时长和是否为 Shorts 筛选视频，用于订阅自动下载
+ *
+ * 过滤条件以 snake_case 保存在订阅和下载记录的请求参数中：
+ * { title_pattern, min_duration, max_duration, skip_shorts }，时长为秒。
+ * 扁平提取的条目可能没有时长，这类条目先放行，下载前获取完整视频信息后再检查。
+ */
+
+import { parseTimestamp } from './time-range.js';
+
+// 不超过该时长（秒）的视频视为 Shorts；链接中带 /shorts/ 的条目不论时长
+const SHORTS_MAX_DURATION = 60;
+
+/**
+ * 整理过滤参数并校验正则和时长，没有任何条件时返回 null
+ */
+export function normalizeFilters({ titlePattern = null, minDuration = null, maxDuration = null, skipShorts = false } = {}) {
+  if (titlePattern) {
+    try {
+      new RegExp(titlePattern, 'i');
+    } catch (error) {
+      throw new Error(`Invalid title_pattern: ${error.message}`);
+    }
+  }
+
+  const min = minDuration === null || minDuration === undefined ? null : parseTimestamp(minDuration);
+  const max = maxDuration === null || maxDuration === undefined ? null : parseTimestamp(maxDuration);
+  if (min !== null && max !== null && max < min) {
+    throw new Error('max_duration must not be less than min_duration');
+  }
+
+  const filters = {
+    title_pattern: titlePattern || null,
+    min_duration: min,
+    max_duration: max,
+    skip_shorts: Boolean(skipShorts)
+  };
+  return hasFilters(filters) ? filters : null;
+}
+
+/**
+ * 视频不满足条件的原因，满足或信息不足以判断时返回 null
+ * info 可以是扁平提取的条目或完整的视频信息（title、duration、url / webpage_url）
+ */
+export function getFilterMismatch(info, filters) {
+  if (!filters) {
+    return null;
+  }
+
+  const { duration = null } = info;
+  if (filters.skip_shorts && (isShortsURL(info.url) || isShortsURL(info.webpage_url) ||
+      (duration !== null && duration <= SHORTS_MAX_DURATION))) {
+    return 'YouTube Shorts';
+  }
+  if (filters.title_pattern && info.title && !new RegExp(filters.title_pattern, 'i').test(info.title)) {
+    return `Title does not match /${filters.title_pattern}/`;
+  }
+  if (duration !== null && filters.min_duration !== null && duration < filters.min_duration) {
+    return `Shorter than ${filters.min_duration}s (${duration}s)`;
+  }
+  if (duration !== null && filters.max_duration !== null && duration > filters.max_duration) {
+    return `Longer than ${filters.max_duration}s (${duration}s)`;
+  }
+  return null;
+}
+
+/**
+ * 是否需要获取完整视频信息才能判断：时长条件需要时长
+ */
+export function needsFilterInfo(info, filters) {
+  if (!filters || (info.duration !== null && info.duration !== undefined)) {
+    return false;
+  }
+  return filters.min_duration !== null || filters.max_duration !== null || filters.skip_shorts;
+}
+
+function hasFilters(filters) {
+  return Boolean(filters.title_pattern) || filters.min_duration !== null || filters.max_duration !== null || filters.skip_shorts;
+}
+
+function isShortsURL(url) {
+  return typeof url === 'string' && /youtube\.com\/shorts\//i.test(url);
+}
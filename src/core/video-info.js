@@ -1,6 +1,6 @@
 /**
  * Video Information Extraction
- * 视频信息提取模块
+ * 视频信息提取模块，基于 yt-dlp 的单个 JSON 输出（--dump-json）
  */
 
 import { spawn } from 'child_process';
@@ -8,61 +8,137 @@ import { logger } from '../utils/logger.js';
 
 const YT_DLP_PATH = process.env.YT_DLP_PATH || 'yt-dlp';
 
+// 获取信息失败时的默认值
+export const UNKNOWN_TITLE = 'Unknown Video';
+export const UNKNOWN_UPLOADER = 'Unknown Uploader';
+
+// 完整的 JSON 输出包含全部格式，比单独打印字段慢
+const INFO_TIMEOUT = 60000;
+
 /**
- * 获取视频基本信息
+ * 获取视频信息
+ * 通过 yt-dlp 的 JSON 输出一次取得全部字段，失败时抛出异常（message 为 yt-dlp 的错误输出）
  */
 export async function getVideoInfo(url) {
-  try {
-    logger.info('🔍 Extracting video information', { url });
-    
-    const command = YT_DLP_PATH;
-    const args = [
-      '--print', 'title',
-      '--print', 'uploader', 
-      '--print', 'duration_string',
-      '--print', 'view_count',
-      '--print', 'upload_date',
-      url
-    ];
-    
-    const result = await execCommand(command, args);
-    const lines = result.split('\n').filter(line => line.trim());
-    
-    const videoInfo = {
-      title: lines[0] || 'Unknown Title',
-      uploader: lines[1] || 'Unknown Uploader',
-      duration: lines[2] || 'Unknown Duration',
-      view_count: lines[3] || null,
-      upload_date: lines[4] || null,
-      url: url
-    };
-    
-    logger.info('📺 Video info extracted', { 
-      title: videoInfo.title,
-      uploader: videoInfo.uploader,
-      duration: videoInfo.duration
-    });
-    
-    return videoInfo;
-    
-  } catch (error) {
-    logger.warn('⚠️  Failed to extract video info, using defaults', error);
-    
-    return {
-      title: 'Unknown Video',
-      uploader: 'Unknown Uploader', 
-      duration: 'Unknown Duration',
-      view_count: null,
-      upload_date: null,
-      url: url
-    };
+  logger.info('🔍 Extracting video information', { url });
+
+  const output = await execCommand(YT_DLP_PATH, ['--dump-json', '--no-playlist', '--no-warnings', url], INFO_TIMEOUT);
+  const videoInfo = parseVideoInfo(output, url);
+
+  logger.info('📺 Video info extracted', {
+    title: videoInfo.title,
+    uploader: videoInfo.uploader,
+    duration: videoInfo.duration,
+    formats: videoInfo.formats.length
+  });
+
+  return videoInfo;
+}
+
+/**
+ * 解析 yt-dlp --dump-json 的输出
+ * 缺失的字段为 null（列表为空数组），标题和作者使用默认值
+ */
+export function parseVideoInfo(output, url = null) {
+  const data = typeof output === 'string' ? JSON.parse(output) : output;
+  if (!data || typeof data !== 'object') {
+    throw new Error('yt-dlp returned no video information');
   }
+
+  const liveStatus = data.live_status || (data.is_live ? 'is_live' : null);
+  const duration = typeof data.duration === 'number' ? Math.round(data.duration) : null;
+
+  return {
+    id: data.id ?? null,
+    extractor_key: data.extractor_key || null,
+    extractor: data.extractor || null,
+    title: data.title || UNKNOWN_TITLE,
+    description: data.description || null,
+    uploader: data.uploader || data.channel || UNKNOWN_UPLOADER,
+    uploader_id: data.uploader_id || null,
+    channel: data.channel || null,
+    channel_id: data.channel_id || null,
+    duration,
+    upload_date: data.upload_date || null,
+    view_count: data.view_count ?? null,
+    like_count: data.like_count ?? null,
+    tags: Array.isArray(data.tags) ? data.tags : [],
+    categories: Array.isArray(data.categories) ? data.categories : [],
+    chapters: (data.chapters || []).map(chapter => ({
+      title: chapter.title || null,
+      start_time: chapter.start_time ?? null,
+      end_time: chapter.end_time ?? null
+    })),
+    thumbnail: data.thumbnail || null,
+    thumbnails: (data.thumbnails || [])
+      .filter(thumbnail => thumbnail.url)
+      .map(thumbnail => ({
+        id: thumbnail.id ?? null,
+        url: thumbnail.url,
+        width: thumbnail.width || null,
+        height: thumbnail.height || null
+      })),
+    formats: (data.formats || [])
+      .filter(format => !(format.vcodec === 'none' && format.acodec === 'none'))
+      .map(format => parseFormat(format, duration)),
+    live_status: liveStatus,
+    is_live: liveStatus === 'is_live',
+    webpage_url: data.webpage_url || url,
+    url
+  };
+}
+
+/**
+ * 获取信息失败时使用的视频信息，保留已知的元数据（如播放列表条目的标题）
+ */
+export function fallbackVideoInfo(url, metadata = {}) {
+  return {
+    ...metadata,
+    title: metadata.title || UNKNOWN_TITLE,
+    uploader: metadata.uploader || UNKNOWN_UPLOADER,
+    url
+  };
+}
+
+/**
+ * 写入下载记录的元数据，去掉描述、格式列表和缩略图列表等体积较大的字段
+ */
+export function toRecordMetadata(videoInfo) {
+  const { description, formats, thumbnails, ...metadata } = videoInfo;
+  return metadata;
+}
+
+/**
+ * yt-dlp 格式 -> 格式信息
+ * 文件大小优先使用精确值，其次是 yt-dlp 的估算值，都没有时按码率和时长估算
+ */
+function parseFormat(format, duration) {
+  const hasVideo = Boolean(format.vcodec && format.vcodec !== 'none');
+  const hasAudio = Boolean(format.acodec && format.acodec !== 'none');
+  // tbr 单位为 kbit/s
+  const estimated = format.tbr && duration ? Math.round(format.tbr * 1000 / 8 * duration) : null;
+
+  return {
+    format_id: String(format.format_id),
+    ext: format.ext || null,
+    resolution: format.resolution || (format.height ? `${format.width || '?'}x${format.height}` : null),
+    width: format.width || null,
+    height: format.height || null,
+    fps: format.fps || null,
+    vcodec: hasVideo ? format.vcodec : null,
+    acodec: hasAudio ? format.acodec : null,
+    tbr: format.tbr || null,
+    filesize: format.filesize || format.filesize_approx || estimated || null,
+    filesize_approx: !format.filesize && Boolean(format.filesize_approx || estimated),
+    format_note: format.format_note || null,
+    protocol: format.protocol || null
+  };
 }
 
 /**
  * 执行命令并返回输出
  */
-function execCommand(command, args, timeout = 30000) {
+export function execCommand(command, args, timeout = 30000) {
   return new Promise((resolve, reject) => {
     const child = spawn(command, args, {
       stdio: ['ignore', 'pipe', 'pipe']
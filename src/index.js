@@ -21,7 +21,52 @@ dotenv.config();
 
 // 导入工具模块
 import { downloadVideoTool, handleDownloadVideo } from './tools/download-video.js';
+import { downloadBatchTool, handleDownloadBatch } from './tools/download-batch.js';
 import { listDownloadsTool, handleListDownloads } from './tools/list-downloads.js';
+import { getDownloadStatusTool, handleGetDownloadStatus } from './tools/get-download-status.js';
+import { getVideoInfoTool, handleGetVideoInfo } from './tools/get-video-info.js';
+import { listFormatsTool, handleListFormats } from './tools/list-formats.js';
+import { splitChaptersTool, handleSplitChapters } from './tools/split-chapters.js';
+import { recordLiveTool, handleRecordLive, stopRecordingTool, handleStopRecording } from './tools/record-live.js';
+import {
+  scheduleDownloadTool,
+  handleScheduleDownload,
+  listSchedulesTool,
+  handleListSchedules,
+  cancelScheduleTool,
+  handleCancelSchedule,
+  runScheduledDownload
+} from './tools/schedule-download.js';
+import {
+  subscribeTool,
+  handleSubscribe,
+  unsubscribeTool,
+  handleUnsubscribe,
+  listSubscriptionsTool,
+  handleListSubscriptions
+} from './tools/subscribe.js';
+import {
+  listQueueTool,
+  handleListQueue,
+  setDownloadPriorityTool,
+  handleSetDownloadPriority,
+  moveDownloadInQueueTool,
+  handleMoveDownloadInQueue
+} from './tools/manage-queue.js';
+import {
+  cancelDownloadTool,
+  handleCancelDownload,
+  pauseDownloadTool,
+  handlePauseDownload,
+  resumeDownloadTool,
+  handleResumeDownload
+} from './tools/control-download.js';
+import { flushDownloadHistory } from './core/download-manager.js';
+import { downloadScheduler } from './core/download-scheduler.js';
+import { recoverInterruptedDownloads } from './core/recovery.js';
+import { stopAllRecordings } from './core/live-recorder.js';
+import { startScheduleRunner, stopScheduleRunner } from './core/schedule-manager.js';
+import { startSubscriptionPoller, stopSubscriptionPoller } from './core/subscription-manager.js';
 import { logger } from './utils/logger.js';
 import { validateConfig } from './utils/config.js';
 
@@ -37,7 +82,26 @@ const SERVER_INFO = {
 // 支持的工具列表
 const TOOLS = [
   downloadVideoTool,
-  listDownloadsTool
+  downloadBatchTool,
+  listDownloadsTool,
+  getDownloadStatusTool,
+  getVideoInfoTool,
+  listFormatsTool,
+  splitChaptersTool,
+  recordLiveTool,
+  stopRecordingTool,
+  scheduleDownloadTool,
+  listSchedulesTool,
+  cancelScheduleTool,
+  subscribeTool,
+  unsubscribeTool,
+  listSubscriptionsTool,
+  listQueueTool,
+  setDownloadPriorityTool,
+  moveDownloadInQueueTool,
+  cancelDownloadTool,
+  pauseDownloadTool,
+  resumeDownloadTool
 ];
 
 class DewaServer {
@@ -70,11 +134,68 @@ class DewaServer {
       try {
         switch (name) {
           case 'download_video':
-            return await handleDownloadVideo(args || {});
+            return await handleDownloadVideo(args || {}, this.createToolContext(request));
+            
+          case 'download_batch':
+            return await handleDownloadBatch(args || {});
             
           case 'list_downloads':
             return await handleListDownloads(args || {});
             
+          case 'get_download_status':
+            return await handleGetDownloadStatus(args || {});
+            
+          case 'get_video_info':
+            return await handleGetVideoInfo(args || {});
+            
+          case 'list_formats':
+            return await handleListFormats(args || {});
+            
+          case 'split_chapters':
+            return await handleSplitChapters(args || {});
+            
+          case 'list_queue':
+            return await handleListQueue();
+            
+          case 'set_download_priority':
+            return await handleSetDownloadPriority(args || {});
+            
+          case 'move_download_in_queue':
+            return await handleMoveDownloadInQueue(args || {});
+            
+          case 'cancel_download':
+            return await handleCancelDownload(args || {});
+            
+          case 'pause_download':
+            return await handlePauseDownload(args || {});
+            
+          case 'resume_download':
+            return await handleResumeDownload(args || {});
+            
+          case 'record_live':
+            return await handleRecordLive(args || {});
+            
+          case 'stop_recording':
+            return await handleStopRecording(args || {});
+            
+          case 'schedule_download':
+            return await handleScheduleDownload(args || {});
+            
+          case 'list_schedules':
+            return await handleListSchedules(args || {});
+            
+          case 'cancel_schedule':
+            return await handleCancelSchedule(args || {});
+            
+          case 'subscribe':
+            return await handleSubscribe(args || {});
+            
+          case 'unsubscribe':
+            return await handleUnsubscribe(args || {});
+            
+          case 'list_subscriptions':
+            return await handleListSubscriptions(args || {});
+            
           default:
             throw new McpError(
               ErrorCode.MethodNotFound,
@@ -96,6 +217,27 @@ class DewaServer {
     });
   }
 
+  /**
+   * 构建工具调用上下文，客户端提供 progressToken 时可发送进度通知
+   */
+  createToolContext(request) {
+    const progressToken = request.params._meta?.progressToken;
+    if (progressToken === undefined) {
+      return {};
+    }
+
+    return {
+      progressToken,
+      sendProgress: (progress) => this.server.notification({
+        method: 'notifications/progress',
+        params: {
+          progressToken,
+          ...progress
+        }
+      })
+    };
+  }
+
   setupErrorHandling() {
     // 全局错误处理
     this.server.onerror = (error) => {
@@ -114,23 +256,39 @@ class DewaServer {
     });
 
     // 优雅关闭
-    process.on('SIGINT', () => {
+    process.on('SIGINT', async () => {
       logger.info('🛑 Received SIGINT, gracefully shutting down...');
-      this.close();
+      await this.close();
       process.exit(0);
     });
 
-    process.on('SIGTERM', () => {
+    process.on('SIGTERM', async () => {
       logger.info('🛑 Received SIGTERM, gracefully shutting down...');
-      this.close();
+      await this.close();
       process.exit(0);
     });
   }
 
   async start() {
     try {
-      // 验证配置
-      await validateConfig();
+      // 验证配置，并按配置设置下载并发限制（需在加载 .env 之后读取）
+      const config = await validateConfig();
+      downloadScheduler.configure({
+        maxConcurrent: config.maxConcurrentDownloads,
+        platformLimits: config.platformConcurrency
+      });
+      
+      // 处理上次运行中断的下载
+      await recoverInterruptedDownloads()
+        .catch(error => logger.error('❌ Failed to recover interrupted downloads', error));
+      
+      // 开始执行定时下载（包括服务停止期间错过的运行）
+      await startScheduleRunner(runScheduledDownload)
+        .catch(error => logger.error('❌ Failed to start scheduled downloads', error));
+      
+      // 开始检查订阅，展开频道可能较慢，不等待第一轮检查完成
+      startSubscriptionPoller()
+        .catch(error => logger.error('❌ Failed to start subscriptions', error));
       
       // 创建传输层
       const transport = new StdioServerTransport();
@@ -151,6 +309,11 @@ class DewaServer {
   async close() {
     try {
       await this.server.close();
+      stopScheduleRunner();
+      stopSubscriptionPoller();
+      // 停止直播录制，让已录制的文件正常收尾
+      await stopAllRecordings();
+      await flushDownloadHistory();
       logger.info('✅ Server closed gracefully');
     } catch (error) {
       logger.error('❌ Error closing server:', error);
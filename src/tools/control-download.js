@@ -0,0 +1,131 @@
+/**
+ * Download Control MCP Tools
+ * 取消、暂停和恢复下载任务
+ */
+
+import { z } from 'zod';
+import { cancelDownload, pauseDownload, resumeDownload } from '../core/downloader.js';
+import { logger } from '../utils/logger.js';
+
+// 工具参数验证schema
+const DownloadIdArgsSchema = z.object({
+  download_id: z.string().min(1, 'download_id is required')
+});
+
+const downloadIdInputSchema = {
+  type: 'object',
+  properties: {
+    download_id: {
+      type: 'string',
+      description: 'Download ID returned by download_video'
+    }
+  },
+  required: ['download_id']
+};
+
+// MCP工具定义
+export const cancelDownloadTool = {
+  name: 'cancel_download',
+  description: `
+Cancel a queued, running, paused or interrupted download. For a batch ID, cancels every
+unfinished item of the batch.
+Stops the yt-dlp process, removes partial and fragment files, and marks the
+download as cancelled.
+  `,
+  inputSchema: downloadIdInputSchema
+};
+
+export const pauseDownloadTool = {
+  name: 'pause_download',
+  description: `
+Pause a queued or running download (or every queued/running item of a batch).
+Stops the yt-dlp process but keeps the partial files so the download can be
+resumed later with resume_download.
+  `,
+  inputSchema: downloadIdInputSchema
+};
+
+export const resumeDownloadTool = {
+  name: 'resume_download',
+  description: `
+Resume a paused download, or one interrupted by a server restart (or every such item of a batch).
+The job is queued again and yt-dlp continues from the partial files already on disk.
+An interrupted live recording continues in a new segment file if the stream is still live.
+  `,
+  inputSchema: downloadIdInputSchema
+};
+
+// 各状态的显示文本
+const STATUS_MESSAGES = {
+  cancelling: '🛑 正在取消下载，进程结束后将清理临时文件',
+  cancelled: '🛑 下载已取消',
+  pausing: '⏸️  正在暂停下载，已下载的部分会被保留',
+  paused: '⏸️  下载已暂停',
+  pending: '▶️  下载已恢复，任务重新进入队列',
+  in_progress: '🔴 直播录制已继续，新的录制保存为下一段文件'
+};
+
+/**
+ * 处理取消下载工具调用
+ */
+export async function handleCancelDownload(args) {
+  return runControlAction('取消下载', args, cancelDownload);
+}
+
+/**
+ * 处理暂停下载工具调用
+ */
+export async function handlePauseDownload(args) {
+  return runControlAction('暂停下载', args, pauseDownload);
+}
+
+/**
+ * 处理恢复下载工具调用
+ */
+export async function handleResumeDownload(args) {
+  return runControlAction('恢复下载', args, resumeDownload);
+}
+
+/**
+ * 执行控制操作并格式化结果
+ */
+async function runControlAction(action, args, operation) {
+  try {
+    const { download_id } = DownloadIdArgsSchema.parse(args);
+
+    logger.info(`🎛️  Processing download control request: ${action}`, { download_id });
+
+    const result = await operation(download_id);
+    const batchLine = result.affected !== undefined ? `\n📦 涉及条目: ${result.affected}` : '';
+
+    return {
+      content: [{
+        type: 'text',
+        text: `${STATUS_MESSAGES[result.status] || `✅ ${action}成功`}\n\n🆔 任务ID: ${result.id}${batchLine}\n\n使用 get_download_status 工具查看最新状态。`
+      }],
+      isError: false
+    };
+
+  } catch (error) {
+    logger.error(`💥 Download control failed: ${action}`, error);
+
+    if (error instanceof z.ZodError) {
+      const errorDetails = error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
+      return {
+        content: [{
+          type: 'text',
+          text: `❌ 参数验证失败: ${errorDetails}`
+        }],
+        isError: true
+      };
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: `❌ ${action}失败: ${error.message}`
+      }],
+      isError: true
+    };
+  }
+}
@@ -0,0 +1,237 @@
+/**
+ * Download Batch MCP Tool
+ * 一次提交多个URL，校验去重后作为一个批量任务排队下载
+ */
+
+import { z } from 'zod';
+import fs from 'fs';
+import path from 'path';
+import { enqueueBatch } from '../core/downloader.js';
+import { prepareBatchEntries } from '../core/batch-manager.js';
+import { detectPlatform } from '../core/platforms.js';
+import { SUPPORTED_AUDIO_FORMATS } from '../core/format-selector.js';
+import { logger } from '../utils/logger.js';
+
+// 单个批量任务最多接受的条目数
+const MAX_BATCH_URLS = 500;
+
+// 工具参数验证schema
+const DownloadBatchArgsSchema = z.object({
+  urls: z.array(z.string()).min(1).max(MAX_BATCH_URLS).optional(),
+  file: z.string().min(1).optional(),
+  quality: z.enum(['best', 'worst', '720p', '1080p', '480p', '360p']).default('best'),
+  custom_directory: z.string().optional(),
+  priority: z.number().int().min(-100).max(100).default(0),
+  media_type: z.enum(['video', 'audio']).default('video'),
+  audio_format: z.enum(SUPPORTED_AUDIO_FORMATS).default('mp3'),
+  force: z.boolean().default(false)
+}).refine(args => Boolean(args.urls) !== Boolean(args.file), {
+  message: 'Provide either urls or file, not both',
+  path: ['urls']
+});
+
+// MCP工具定义
+export const downloadBatchTool = {
+  name: 'download_batch',
+  description: `
+Queue many video URLs at once as a single batch job.
+
+Features:
+- Accepts an array of URLs, or a path to a text file with one URL per line
+  (blank lines and lines starting with # are ignored)
+- Validates and de-duplicates every entry up front (tracking parameters and
+  youtu.be/shorts links are normalized before comparing)
+- Invalid, unsupported, playlist and duplicate entries are rejected with a reason;
+  the rest are queued with shared quality and directory options
+- Videos downloaded before (same platform video ID) are reported as
+  already_exists unless force is true
+- Returns immediately with a batch ID; query it with get_download_status or
+  control it with cancel_download / pause_download / resume_download
+
+Use download_video for playlist or channel URLs.
+  `,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      urls: {
+        type: 'array',
+        items: { type: 'string' },
+        maxItems: MAX_BATCH_URLS,
+        description: 'Video URLs to download'
+      },
+      file: {
+        type: 'string',
+        description: 'Path to a text file with one URL per line (instead of urls)'
+      },
+      quality: {
+        type: 'string',
+        enum: ['best', 'worst', '720p', '1080p', '480p', '360p'],
+        default: 'best',
+        description: 'Video quality for every item'
+      },
+      custom_directory: {
+        type: 'string',
+        description: 'Save every item to this directory (default: per-platform directories)'
+      },
+      priority: {
+        type: 'number',
+        minimum: -100,
+        maximum: 100,
+        default: 0,
+        description: 'Queue priority for every item, higher values start first (default: 0)'
+      },
+      media_type: {
+        type: 'string',
+        enum: ['video', 'audio'],
+        default: 'video',
+        description: 'Download video, or extract audio only'
+      },
+      audio_format: {
+        type: 'string',
+        enum: SUPPORTED_AUDIO_FORMATS,
+        default: 'mp3',
+        description: 'Audio format when media_type is "audio"'
+      },
+      force: {
+        type: 'boolean',
+        default: false,
+        description: 'Download items again even if the same videos were downloaded before'
+      }
+    },
+    required: []
+  }
+};
+
+/**
+ * 处理批量下载工具调用
+ */
+export async function handleDownloadBatch(args) {
+  try {
+    const validatedArgs = DownloadBatchArgsSchema.parse(args);
+    const { quality, custom_directory, priority, media_type, audio_format, force } = validatedArgs;
+
+    const inputs = validatedArgs.file ? readURLList(validatedArgs.file) : validatedArgs.urls;
+
+    logger.info('📦 Processing batch download request', { count: inputs.length, file: validatedArgs.file, quality });
+
+    if (inputs.length > MAX_BATCH_URLS) {
+      return {
+        content: [{
+          type: 'text',
+          text: `❌ URL数量过多: ${inputs.length}（单个批量任务最多 ${MAX_BATCH_URLS} 个）`
+        }],
+        isError: true
+      };
+    }
+
+    const { accepted, rejected } = prepareBatchEntries(inputs);
+    const rejectedText = formatRejected(rejected);
+
+    if (accepted.length === 0) {
+      return {
+        content: [{
+          type: 'text',
+          text: `❌ 没有可下载的URL，未创建批量任务\n\n${rejectedText}`
+        }],
+        isError: true
+      };
+    }
+
+    const platforms = [...new Set(accepted.map(entry => detectPlatform(entry.url).name))];
+    const title = validatedArgs.file
+      ? `${path.basename(validatedArgs.file)} (${accepted.length} URLs)`
+      : `${accepted.length} URLs`;
+
+    const { batchId, items } = await enqueueBatch({
+      title,
+      platform: platforms.length === 1 ? platforms[0] : 'mixed',
+      entries: accepted.map(entry => ({ url: entry.url })),
+      options: {
+        quality,
+        customDirectory: custom_directory,
+        priority,
+        mediaType: media_type,
+        audioFormat: audio_format,
+        force
+      },
+      details: {
+        source: validatedArgs.file ? 'file' : 'urls',
+        file: validatedArgs.file || null,
+        submitted: inputs.length,
+        rejected
+      }
+    });
+
+    items.forEach(item => item.completion.catch(error =>
+      logger.error('💥 Background download crashed', { id: item.downloadId, error: error.message })));
+
+    let resultText = `📦 批量下载任务已创建，正在后台下载
+
+🆔 批量任务ID: ${batchId}
+📥 提交: ${inputs.length}
+✅ 已加入队列: ${accepted.length}
+❌ 已拒绝: ${rejected.length}
+🏷️  平台: ${platforms.join(', ')}
+${media_type === 'audio' ? `🎵 音频: ${audio_format}` : `🎯 质量: ${quality}`}
+`;
+    if (rejected.length > 0) {
+      resultText += `\n${rejectedText}`;
+    }
+    resultText += `\n使用 get_download_status 工具并传入批量任务ID查看每个条目的状态。`;
+
+    return {
+      content: [{
+        type: 'text',
+        text: resultText
+      }],
+      isError: false
+    };
+
+  } catch (error) {
+    logger.error('💥 Batch download tool execution failed:', error);
+
+    if (error instanceof z.ZodError) {
+      const errorDetails = error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
+      return {
+        content: [{
+          type: 'text',
+          text: `❌ 参数验证失败: ${errorDetails}`
+        }],
+        isError: true
+      };
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: `❌ 创建批量任务失败: ${error.message}`
+      }],
+      isError: true
+    };
+  }
+}
+
+/**
+ * 读取URL列表文件，忽略空行和 # 注释
+ */
+function readURLList(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`URL list file not found: ${filePath}`);
+  }
+
+  return fs.readFileSync(filePath, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * 格式化被拒绝的条目
+ */
+function formatRejected(rejected) {
+  let text = `❌ **被拒绝的条目**\n`;
+  rejected.forEach(entry => {
+    text += `- 第 ${entry.position} 条 ${entry.input || '(空)'}: ${entry.reason}\n`;
+  });
+  return text;
+}
@@ -4,16 +4,80 @@
  */
 
 import { z } from 'zod';
-import { downloadVideo } from '../core/downloader.js';
+import { enqueueDownload, startDownload, startPlaylistDownload, startSectionsDownload } from '../core/downloader.js';
+import { isPlaylistURL, normalizeDate } from '../core/playlist.js';
+import { downloadScheduler } from '../core/download-scheduler.js';
+import {
+  SUPPORTED_VIDEO_CODECS,
+  SUPPORTED_AUDIO_CODECS,
+  SUPPORTED_CONTAINERS,
+  SUPPORTED_AUDIO_FORMATS,
+  getMissingFormatIds
+} from '../core/format-selector.js';
+import {
+  SUPPORTED_SUBTITLE_FORMATS,
+  SUBTITLE_SOURCES,
+  describeSubtitleFiles
+} from '../core/subtitles.js';
+import { describeSidecarFiles } from '../core/sidecars.js';
+import { describeChapterSplit } from '../core/chapter-splitter.js';
+import { normalizeTimeRanges, formatTimeRange } from '../core/time-range.js';
+import { classifyError, extractErrorMessage } from '../core/error-classifier.js';
+import { getVideoInfo, toRecordMetadata } from '../core/video-info.js';
+import { createProgressNotifier } from '../utils/progress-notifier.js';
 import { isDirectURL } from '../utils/validators.js';
+import { formatDownloadError, formatErrorGuidance, formatDuration } from '../utils/formatters.js';
 import { logger } from '../utils/logger.js';
 
-// 工具参数验证schema
-const DownloadVideoArgsSchema = z.object({
+// 时间点：秒数或 HH:MM:SS，具体格式在 normalizeTimeRanges 中校验
+const TimestampSchema = z.union([z.number().min(0), z.string().min(1)]);
+
+// 一次请求最多下载的时间段数
+const MAX_SECTIONS = 20;
+
+// 工具参数验证schema（定时下载使用同样的参数）
+export const DownloadVideoArgsSchema = z.object({
   url: z.string().url('Must be a valid URL'),
   quality: z.enum(['best', 'worst', '720p', '1080p', '480p', '360p']).default('best'),
   custom_directory: z.string().optional(),
   custom_filename: z.string().optional(),
+  wait: z.boolean().default(false),
+  priority: z.number().int().min(-100).max(100).default(0),
+  max_height: z.number().int().min(144).max(4320).optional(),
+  video_codec: z.enum(SUPPORTED_VIDEO_CODECS).optional(),
+  audio_codec: z.enum(SUPPORTED_AUDIO_CODECS).optional(),
+  container: z.enum(SUPPORTED_CONTAINERS).optional(),
+  fps: z.number().int().min(1).max(240).optional(),
+  hdr: z.enum(['any', 'hdr', 'sdr']).default('any'),
+  max_filesize: z.union([
+    z.number().positive(),
+    z.string().regex(/^\d+(\.\d+)?\s*[KMG]i?B?$/i, 'Use a size like "500M" or "2G"')
+  ]).optional(),
+  media_type: z.enum(['video', 'audio']).default('video'),
+  audio_format: z.enum(SUPPORTED_AUDIO_FORMATS).default('mp3'),
+  audio_bitrate: z.string().regex(/^(\d{2,3}K|10|\d)$/i, 'Use a bitrate like "192K" or a VBR quality 0-10').default('0'),
+  subtitle_languages: z.array(z.string().min(1)).optional(),
+  subtitle_source: z.enum(SUBTITLE_SOURCES).default('both'),
+  subtitle_format: z.enum(SUPPORTED_SUBTITLE_FORMATS).default('srt'),
+  embed_subtitles: z.boolean().default(false),
+  write_thumbnail: z.boolean().default(false),
+  write_info_json: z.boolean().default(false),
+  write_description: z.boolean().default(false),
+  embed_metadata: z.boolean().default(false),
+  split_chapters: z.boolean().default(false),
+  start_time: TimestampSchema.optional(),
+  end_time: TimestampSchema.optional(),
+  sections: z.array(z.object({
+    start_time: TimestampSchema.optional(),
+    end_time: TimestampSchema.optional()
+  })).min(1).max(MAX_SECTIONS).optional(),
+  precise_cuts: z.boolean().default(false),
+  playlist_items: z.string().regex(/^[\d\s:,-]+$/, 'Use yt-dlp item syntax like "1-10,15"').optional(),
+  date_after: z.string().regex(/^\d{4}-?\d{2}-?\d{2}$/, 'Use a date like "2024-01-31"').optional(),
+  max_items: z.number().int().min(1).max(5000).optional(),
+  index_prefix: z.boolean().default(false),
+  force: z.boolean().default(false),
+  format_id: z.string().min(1).optional()
 });
 
 // MCP工具定义
@@ -24,10 +88,38 @@ Download videos from supported platforms using direct URLs.
 
 Features:
 - Direct URL download from YouTube, Bilibili, and other platforms
-- Configurable video quality
+- Configurable video quality, codecs, container, fps, HDR and size limit
+  (resolution and size are hard limits; codecs/fps/HDR are preferences that
+  fall back to the best available format)
+- Exact format choice: pass a format ID from list_formats as format_id
+  ("137+140" merges formats, "22/18" falls back)
+- Audio-only mode (media_type: "audio") extracts mp3, m4a, opus or flac
+- Subtitles: manual and/or auto-generated captions for chosen languages,
+  converted to SRT or VTT, saved next to the video or embedded
+- Archiving extras: JPG thumbnail, sanitized .info.json and description sidecar
+  files, and embedded metadata tags (title, uploader, date, description,
+  chapters, cover art); sidecar paths are stored in the download record
+- Time ranges: start_time / end_time (seconds or HH:MM:SS) download only that
+  part of the video; sections downloads several ranges as one file each.
+  The range is part of the filename and the download record, so clips never
+  count as duplicates of the full video (or of other ranges)
+- Chapter splitting (split_chapters: true): one file per chapter in a folder
+  named after the video, each linked to the download record (needs ffmpeg)
+- Playlists, channels and Bilibili collections/spaces are expanded into a batch
+  job with one download per item (supports item ranges, date filter, max count
+  and playlist index prefixes); the batch ID works with get_download_status
 - Custom download directory and filename
+- Duplicate detection by platform video ID: a video downloaded before (even via
+  a youtu.be link, a timestamped URL or under a changed title) returns
+  already_exists with the original record; pass force: true to download again
 - Resume interrupted downloads
 - Automatic fragment cleanup
+- Runs in the background by default and returns a download ID immediately
+  (query it with get_download_status); pass wait: true to block until done
+- Jobs are queued with a concurrency limit; higher priority jobs start first
+- With wait: true and a progressToken, sends MCP progress notifications
+- Live streams and upcoming premieres are refused (LIVE_STREAM); record them
+  with record_live instead. Finished stream replays download normally
 
 Examples:
 - YouTube: "https://www.youtube.com/watch?v=dQw4w9WgXcQ"
@@ -54,6 +146,172 @@ Examples:
       custom_filename: {
         type: 'string',
         description: 'Custom filename (optional, auto-generated from video title by default)'
+      },
+      wait: {
+        type: 'boolean',
+        default: false,
+        description: 'Wait for the download to finish before returning (default: run in background and return a download ID)'
+      },
+      priority: {
+        type: 'number',
+        minimum: -100,
+        maximum: 100,
+        default: 0,
+        description: 'Queue priority, higher values start first (default: 0)'
+      },
+      max_height: {
+        type: 'number',
+        minimum: 144,
+        maximum: 4320,
+        description: 'Maximum video height in pixels, overrides quality (e.g. 1440)'
+      },
+      video_codec: {
+        type: 'string',
+        enum: SUPPORTED_VIDEO_CODECS,
+        description: 'Preferred video codec'
+      },
+      audio_codec: {
+        type: 'string',
+        enum: SUPPORTED_AUDIO_CODECS,
+        description: 'Preferred audio codec'
+      },
+      container: {
+        type: 'string',
+        enum: SUPPORTED_CONTAINERS,
+        description: 'Output container'
+      },
+      fps: {
+        type: 'number',
+        minimum: 1,
+        maximum: 240,
+        description: 'Preferred maximum frame rate (e.g. 30 or 60)'
+      },
+      hdr: {
+        type: 'string',
+        enum: ['any', 'hdr', 'sdr'],
+        default: 'any',
+        description: 'Dynamic range preference'
+      },
+      max_filesize: {
+        type: ['string', 'number'],
+        description: 'Maximum file size, e.g. "500M" or "2G" (numbers are MB)'
+      },
+      media_type: {
+        type: 'string',
+        enum: ['video', 'audio'],
+        default: 'video',
+        description: 'Download video, or extract audio only (video options are ignored for audio)'
+      },
+      audio_format: {
+        type: 'string',
+        enum: SUPPORTED_AUDIO_FORMATS,
+        default: 'mp3',
+        description: 'Audio format when media_type is "audio"'
+      },
+      audio_bitrate: {
+        type: 'string',
+        default: '0',
+        description: 'Audio bitrate like "192K", or VBR quality 0 (best) to 10 (worst); ignored for flac'
+      },
+      subtitle_languages: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Subtitle languages to download, e.g. ["en", "zh-Hans"]; regex and "all" are supported. Omit to skip subtitles'
+      },
+      subtitle_source: {
+        type: 'string',
+        enum: SUBTITLE_SOURCES,
+        default: 'both',
+        description: 'Use uploaded subtitles, auto-generated captions, or both'
+      },
+      subtitle_format: {
+        type: 'string',
+        enum: SUPPORTED_SUBTITLE_FORMATS,
+        default: 'srt',
+        description: 'Convert subtitles to this format'
+      },
+      embed_subtitles: {
+        type: 'boolean',
+        default: false,
+        description: 'Embed subtitles into the video instead of keeping sidecar files (webm only accepts vtt)'
+      },
+      write_thumbnail: {
+        type: 'boolean',
+        default: false,
+        description: 'Save the best thumbnail next to the file, converted to JPG'
+      },
+      write_info_json: {
+        type: 'boolean',
+        default: false,
+        description: 'Save the video metadata as a sanitized .info.json file next to the download'
+      },
+      write_description: {
+        type: 'boolean',
+        default: false,
+        description: 'Save the description text as a .description file next to the download'
+      },
+      embed_metadata: {
+        type: 'boolean',
+        default: false,
+        description: 'Embed title, uploader, date, description, chapters and cover art into the file tags (no cover art for webm)'
+      },
+      split_chapters: {
+        type: 'boolean',
+        default: false,
+        description: 'After downloading, cut the file into one file per chapter ("01 - Title.mp4") in a folder named after the video. Needs ffmpeg; videos without chapters are kept as one file'
+      },
+      start_time: {
+        type: ['string', 'number'],
+        description: 'Download only from this time on: seconds (e.g. 90) or "HH:MM:SS" / "MM:SS" (e.g. "1:02:30"). Single videos only'
+      },
+      end_time: {
+        type: ['string', 'number'],
+        description: 'Download only up to this time (same format as start_time); without it the range runs to the end'
+      },
+      sections: {
+        type: 'array',
+        maxItems: MAX_SECTIONS,
+        items: {
+          type: 'object',
+          properties: {
+            start_time: { type: ['string', 'number'] },
+            end_time: { type: ['string', 'number'] }
+          }
+        },
+        description: 'Several time ranges of the same video, each downloaded as its own file (a batch job). Use instead of start_time/end_time'
+      },
+      precise_cuts: {
+        type: 'boolean',
+        default: false,
+        description: 'Cut exactly at the requested times by re-encoding around the cut points (slower). By default cuts snap to the nearest keyframe'
+      },
+      playlist_items: {
+        type: 'string',
+        description: 'Playlist only: items to download, e.g. "1-10,15" or "-5:" (last five)'
+      },
+      date_after: {
+        type: 'string',
+        description: 'Playlist only: skip videos uploaded before this date (YYYY-MM-DD)'
+      },
+      max_items: {
+        type: 'number',
+        minimum: 1,
+        maximum: 5000,
+        description: 'Playlist only: maximum number of items to download'
+      },
+      index_prefix: {
+        type: 'boolean',
+        default: false,
+        description: 'Playlist only: prefix filenames with the playlist index, e.g. "03 - "'
+      },
+      force: {
+        type: 'boolean',
+        default: false,
+        description: 'Download again even if the same video was downloaded before (the existing file is kept; the new one gets a numbered name)'
+      },
+      format_id: {
+        type: 'string',
+        description: 'Exact format ID from list_formats (e.g. "137"), or IDs combined with + to merge ("137+140") or / for fallbacks ("22/18"); overrides quality and codec preferences. Video-only formats without + are merged with the best audio. Single videos only'
       }
     },
     required: ['url']
@@ -62,14 +320,42 @@ Examples:
 
 /**
  * 处理下载视频工具调用
+ * context.sendProgress 存在时（客户端提供了 progressToken）发送进度通知；
+ * 定时任务触发时 context.scheduleId 写入下载记录，context.onQueued 收到创建的下载或批量任务ID
  */
-export async function handleDownloadVideo(args) {
+export async function handleDownloadVideo(args, context = {}) {
   try {
     // 验证参数
     const validatedArgs = DownloadVideoArgsSchema.parse(args);
-    const { url, quality, custom_directory, custom_filename } = validatedArgs;
+    const { url, quality, custom_directory, custom_filename, wait, priority } = validatedArgs;
+    const formatOptions = {
+      maxHeight: validatedArgs.max_height,
+      videoCodec: validatedArgs.video_codec,
+      audioCodec: validatedArgs.audio_codec,
+      container: validatedArgs.container,
+      fps: validatedArgs.fps,
+      hdr: validatedArgs.hdr,
+      maxFilesize: validatedArgs.max_filesize,
+      mediaType: validatedArgs.media_type,
+      audioFormat: validatedArgs.audio_format,
+      audioBitrate: validatedArgs.audio_bitrate,
+      subtitleLanguages: validatedArgs.subtitle_languages,
+      subtitleSource: validatedArgs.subtitle_source,
+      subtitleFormat: validatedArgs.subtitle_format,
+      embedSubtitles: validatedArgs.embed_subtitles,
+      writeThumbnail: validatedArgs.write_thumbnail,
+      writeInfoJson: validatedArgs.write_info_json,
+      writeDescription: validatedArgs.write_description,
+      embedMetadata: validatedArgs.embed_metadata,
+      splitChapters: validatedArgs.split_chapters,
+      preciseCuts: validatedArgs.precise_cuts,
+      force: validatedArgs.force,
+      formatId: validatedArgs.format_id,
+      scheduleId: context.scheduleId
+    };
+    const isAudio = formatOptions.mediaType === 'audio';
 
-    logger.info('🎬 Processing download request', { url, quality });
+    logger.info('🎬 Processing download request', { url, quality, wait, priority, media_type: formatOptions.mediaType });
 
     // 验证URL格式
     if (!isDirectURL(url)) {
@@ -82,43 +368,175 @@ export async function handleDownloadVideo(args) {
       };
     }
 
-    // 执行下载
+    // 时间段：一段直接下载，多段展开为批量任务
+    let timeRanges;
+    try {
+      timeRanges = normalizeTimeRanges({
+        startTime: validatedArgs.start_time,
+        endTime: validatedArgs.end_time,
+        sections: validatedArgs.sections
+      });
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `❌ 参数验证失败: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+    if (timeRanges.length > 0) {
+      const conflict = isPlaylistURL(url)
+        ? '❌ 时间段只能用于单个视频，不能用于播放列表'
+        : (formatOptions.splitChapters ? '❌ split_chapters 不能与时间段同时使用：章节时间对应完整视频，与片段不一致' : null);
+      if (conflict) {
+        return {
+          content: [{
+            type: 'text',
+            text: conflict
+          }],
+          isError: true
+        };
+      }
+      if (timeRanges.length === 1) {
+        formatOptions.timeRange = timeRanges[0];
+      }
+    }
+
+    // 播放列表/频道/合集：展开为批量任务
+    if (isPlaylistURL(url)) {
+      if (formatOptions.formatId) {
+        return {
+          content: [{
+            type: 'text',
+            text: `❌ format_id 只能用于单个视频，播放列表中每个视频的可用格式不同
+
+请改用 quality、max_height 等参数。`
+          }],
+          isError: true
+        };
+      }
+      return await handlePlaylistDownload(validatedArgs, formatOptions, context);
+    }
+
+    // 指定格式：先确认视频提供该格式，获取到的视频信息直接用于下载
+    let metadata;
+    if (formatOptions.formatId) {
+      const checked = await checkFormatId(url, formatOptions.formatId);
+      if (checked.response) {
+        return checked.response;
+      }
+      metadata = checked.metadata;
+    }
+
+    if (timeRanges.length > 1) {
+      return await handleSectionsDownload(validatedArgs, formatOptions, timeRanges, metadata, context);
+    }
+
+    // 异步模式：创建任务后立即返回
+    if (!wait) {
+      const downloadId = await startDownload({
+        url,
+        quality,
+        customDirectory: custom_directory,
+        customFilename: custom_filename,
+        priority,
+        ...formatOptions,
+        metadata
+      });
+      context.onQueued?.(downloadId);
+
+      return {
+        content: [{
+          type: 'text',
+          text: `🚀 下载任务已创建，正在后台下载
+
+🆔 任务ID: ${downloadId}
+🔗 URL: ${url}
+${describeRequest(quality, formatOptions)}
+
+使用 get_download_status 工具并传入任务ID查询进度和最终文件路径。`
+        }],
+        isError: false
+      };
+    }
+
+    // 同步模式：同样经过调度队列，等待下载完成
     logger.info('📥 Starting download:', url);
-    const downloadResult = await downloadVideo({
+    const onProgress = context.sendProgress
+      ? createProgressNotifier(context.sendProgress, { label: getProgressLabel(quality, formatOptions) })
+      : null;
+
+    const { downloadId, completion } = await enqueueDownload({
       url,
       quality,
       customDirectory: custom_directory,
-      customFilename: custom_filename
+      customFilename: custom_filename,
+      priority,
+      ...formatOptions,
+      metadata,
+      onProgress
     });
+    context.onQueued?.(downloadId);
 
-    if (downloadResult.success) {
+    // 需要排队时先告知客户端队列位置
+    const job = downloadScheduler.getJob(downloadId);
+    if (onProgress && job?.state === 'queued') {
+      onProgress({ phase: 'queued', message: `position ${job.position}` }, { force: true });
+    }
+
+    const downloadResult = await completion;
+
+    if (downloadResult.success && downloadResult.data.status === 'already_exists') {
+      return {
+        content: [{
+          type: 'text',
+          text: formatAlreadyExists(downloadResult.data, url)
+        }],
+        isError: false
+      };
+    } else if (downloadResult.success) {
       const result = downloadResult.data;
       
       return {
         content: [{
           type: 'text',
-          text: `✅ 视频下载成功！
+          text: `✅ ${isAudio ? '音频提取' : '视频下载'}成功！
 
 📺 标题: ${result.title}
 🏷️  平台: ${result.platform}
 💾 文件路径: ${result.file_path}
 📊 文件大小: ${result.file_size}
 ⏱️  下载时间: ${result.download_time}
-🎯 质量: ${quality}
+${describeRequest(quality, formatOptions)}
+${result.format ? `🎞️  格式: ${describeFormat(result.format)}\n📐 选择依据: ${result.format_reason}` : ''}
+${result.subtitle_files?.length ? `💬 字幕: ${describeSubtitleFiles(result.subtitle_files)}` : ''}
+${describeSidecarFiles(result.sidecar_files) ? `🗂️  附属文件: ${describeSidecarFiles(result.sidecar_files)}` : ''}
+${result.chapter_split ? `✂️  章节: ${describeChapterSplit(result.chapter_split)}` : ''}
 
-${result.metadata?.duration ? `⏳ 时长: ${result.metadata.duration}` : ''}
+${result.metadata?.duration ? `⏳ 时长: ${formatDuration(result.metadata.duration)}` : ''}
 ${result.metadata?.uploader ? `👤 上传者: ${result.metadata.uploader}` : ''}
 `
         }],
         isError: false
       };
+    } else if (['DOWNLOAD_CANCELLED', 'DOWNLOAD_PAUSED'].includes(downloadResult.error.code)) {
+      const paused = downloadResult.error.code === 'DOWNLOAD_PAUSED';
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `${paused ? '⏸️  下载已暂停' : '🛑 下载已取消'}\n\n🆔 任务ID: ${downloadResult.error.download_id}\nURL: ${url}${paused ? '\n\n使用 resume_download 工具继续下载。' : ''}`
+        }],
+        isError: false
+      };
     } else {
       logger.error('💥 Download failed:', downloadResult.error);
       
       return {
         content: [{
           type: 'text',
-          text: `❌ 下载失败: ${downloadResult.error.message}\n\nURL: ${url}\n\n请检查:\n1. 网络连接是否正常\n2. 视频URL是否有效\n3. 是否有足够的磁盘空间\n4. 视频是否有地区限制`
+          text: `${formatDownloadError(downloadResult.error)}\nURL: ${url}`
         }],
         isError: true
       };
@@ -146,4 +564,261 @@ ${result.metadata?.uploader ? `👤 上传者: ${result.metadata.uploader}` : ''
       isError: true
     };
   }
-}
\ No newline at end of file
+}
+
+/**
+ * 处理播放列表下载：每个条目一个子任务，父任务汇总状态
+ */
+async function handlePlaylistDownload(validatedArgs, formatOptions, context) {
+  const { url, quality, custom_directory, wait, priority } = validatedArgs;
+
+  let expanded;
+  try {
+    expanded = await startPlaylistDownload({
+      url,
+      quality,
+      customDirectory: custom_directory,
+      priority,
+      ...formatOptions,
+      items: validatedArgs.playlist_items,
+      dateAfter: normalizeDate(validatedArgs.date_after),
+      maxItems: validatedArgs.max_items,
+      indexPrefix: validatedArgs.index_prefix
+    });
+  } catch (error) {
+    logger.error('💥 Playlist expansion failed:', error);
+
+    return {
+      content: [{
+        type: 'text',
+        text: `❌ 播放列表展开失败: ${error.message}\n\nURL: ${url}\n\n${formatErrorGuidance(classifyError(error.message).code)}`
+      }],
+      isError: true
+    };
+  }
+
+  const { batchId, playlist, items } = expanded;
+  context.onQueued?.(batchId);
+
+  const header = `📜 播放列表: ${playlist.title}
+🆔 批量任务ID: ${batchId}
+📦 条目数: ${items.length}
+🔗 URL: ${url}`;
+
+  if (!wait) {
+    items.forEach(item => item.completion.catch(error =>
+      logger.error('💥 Background download crashed', { id: item.downloadId, error: error.message })));
+
+    return {
+      content: [{
+        type: 'text',
+        text: `🚀 播放列表已展开，正在后台下载
+
+${header}
+
+使用 get_download_status 工具并传入批量任务ID查看每个条目的状态，或使用 list_downloads 查看批量任务。`
+      }],
+      isError: false
+    };
+  }
+
+  // 等待模式：每个条目结束时发送一次进度通知
+  const onProgress = context.sendProgress
+    ? createProgressNotifier(context.sendProgress, { label: 'playlist' })
+    : null;
+  let finished = 0;
+
+  const results = await Promise.all(items.map(item => item.completion
+    .catch(error => ({ success: false, error: { message: error.message } }))
+    .then(result => {
+      finished++;
+      if (onProgress) {
+        onProgress({ phase: 'downloading', percent: finished / items.length * 100, message: `${finished}/${items.length} items` }, { force: true });
+      }
+      return result;
+    })));
+
+  const succeeded = results.filter(result => result.success).length;
+  const failed = results.length - succeeded;
+
+  return {
+    content: [{
+      type: 'text',
+      text: `${failed === 0 ? '✅' : '⚠️ '} 播放列表下载结束: ${succeeded}/${results.length} 成功
+
+${header}
+
+使用 get_download_status 工具并传入批量任务ID查看每个条目的结果。`
+    }],
+    isError: succeeded === 0
+  };
+}
+
+/**
+ * 下载同一视频的多个时间段：每段一个子任务，父任务汇总状态
+ */
+async function handleSectionsDownload(validatedArgs, formatOptions, timeRanges, metadata, context) {
+  const { url, quality, custom_directory, custom_filename, wait, priority } = validatedArgs;
+
+  const { batchId, videoInfo, items } = await startSectionsDownload({
+    url,
+    quality,
+    customDirectory: custom_directory,
+    customFilename: custom_filename,
+    priority,
+    ...formatOptions,
+    metadata,
+    timeRanges
+  });
+  context.onQueued?.(batchId);
+
+  const header = `📺 标题: ${videoInfo.title}
+🆔 批量任务ID: ${batchId}
+✂️  时间段 (${timeRanges.length}): ${timeRanges.map(formatTimeRange).join(', ')}
+🔗 URL: ${url}`;
+
+  if (!wait) {
+    items.forEach(item => item.completion.catch(error =>
+      logger.error('💥 Background download crashed', { id: item.downloadId, error: error.message })));
+
+    return {
+      content: [{
+        type: 'text',
+        text: `🚀 时间段下载任务已创建，正在后台下载
+
+${header}
+
+使用 get_download_status 工具并传入批量任务ID查看每个片段的状态和文件路径。`
+      }],
+      isError: false
+    };
+  }
+
+  const onProgress = context.sendProgress
+    ? createProgressNotifier(context.sendProgress, { label: 'sections' })
+    : null;
+  let finished = 0;
+
+  const results = await Promise.all(items.map(item => item.completion
+    .catch(error => ({ success: false, error: { message: error.message } }))
+    .then(result => {
+      finished++;
+      if (onProgress) {
+        onProgress({ phase: 'downloading', percent: finished / items.length * 100, message: `${finished}/${items.length} sections` }, { force: true });
+      }
+      return result;
+    })));
+
+  const succeeded = results.filter(result => result.success).length;
+  const files = results
+    .filter(result => result.success && result.data.file_path)
+    .map(result => `   💾 ${result.data.file_path}`);
+
+  return {
+    content: [{
+      type: 'text',
+      text: `${succeeded === results.length ? '✅' : '⚠️ '} 时间段下载结束: ${succeeded}/${results.length} 成功
+
+${header}
+${files.length ? `\n${files.join('\n')}\n` : ''}
+使用 get_download_status 工具并传入批量任务ID查看每个片段的结果。`
+    }],
+    isError: succeeded === 0
+  };
+}
+
+/**
+ * 已经下载过的视频
+ */
+function formatAlreadyExists(result, url) {
+  const lines = [`📁 该视频已经下载过，未重复下载\n`];
+  if (result.title) lines.push(`📺 标题: ${result.title}`);
+  if (result.file_path) lines.push(`💾 文件路径: ${result.file_path}`);
+  if (result.file_size) lines.push(`📊 文件大小: ${result.file_size}`);
+  if (result.original_download_id) {
+    lines.push(`🆔 原下载任务: ${result.original_download_id}`);
+    if (result.original?.completed_at) lines.push(`⏱️  下载于: ${result.original.completed_at}`);
+  } else if (!result.file_path && result.video_key) {
+    lines.push(`🗃️  下载存档中已有: ${result.video_key}`);
+  }
+  lines.push(`🔗 URL: ${url}`);
+  lines.push(`\n如需重新下载，请传入 force: true。`);
+  return lines.join('\n');
+}
+
+/**
+ * 进度通知中的任务描述，例如 "1080p video" / "mp3 audio"
+ */
+function getProgressLabel(quality, formatOptions) {
+  if (formatOptions.mediaType === 'audio') {
+    return `${formatOptions.audioFormat} audio`;
+  }
+  if (formatOptions.formatId) {
+    return `format ${formatOptions.formatId}`;
+  }
+  return `${formatOptions.maxHeight ? `${formatOptions.maxHeight}p` : quality} video`;
+}
+
+/**
+ * 描述请求的音频格式、指定的格式ID或画质，以及时间段
+ */
+function describeRequest(quality, formatOptions) {
+  let request;
+  if (formatOptions.mediaType === 'audio') {
+    request = `🎵 音频: ${formatOptions.audioFormat}${formatOptions.formatId ? ` (格式 ${formatOptions.formatId})` : ''}`;
+  } else {
+    request = formatOptions.formatId ? `🎞️  指定格式: ${formatOptions.formatId}` : `🎯 质量: ${quality}`;
+  }
+  return formatOptions.timeRange ? `${request}\n✂️  时间段: ${formatTimeRange(formatOptions.timeRange)}` : request;
+}
+
+/**
+ * 确认视频提供指定的格式ID，支持 "137+140"、"22/18" 这样的组合
+ * 返回 { metadata }，或在格式不存在、无法获取视频信息时返回 { response }
+ */
+async function checkFormatId(url, formatId) {
+  let info;
+  try {
+    info = await getVideoInfo(url);
+  } catch (error) {
+    const { code, label } = classifyError(error.message);
+    return {
+      response: {
+        content: [{
+          type: 'text',
+          text: `❌ 无法获取格式列表: ${label} (${code})\n📝 详情: ${extractErrorMessage(error.message) || error.message}\n\nURL: ${url}\n\n${formatErrorGuidance(code)}`
+        }],
+        isError: true
+      }
+    };
+  }
+
+  const available = info.formats.map(format => format.format_id);
+  const missing = getMissingFormatIds(formatId, available);
+  if (missing.length > 0) {
+    return {
+      response: {
+        content: [{
+          type: 'text',
+          text: `❌ 该视频没有格式 "${missing.join('", "')}"\n\n📺 ${info.title}\n🎞️  可用格式: ${available.length > 0 ? available.join(', ') : '无'}\n\n使用 list_formats 工具查看每个格式的分辨率、编码和大小。`
+        }],
+        isError: true
+      }
+    };
+  }
+
+  return { metadata: toRecordMetadata(info) };
+}
+
+/**
+ * 描述实际选择的格式
+ */
+function describeFormat(format) {
+  const parts = [format.format_id];
+  if (format.resolution) parts.push(format.resolution);
+  if (format.fps) parts.push(`${format.fps}fps`);
+  if (format.vcodec && format.vcodec !== 'none') parts.push(format.vcodec);
+  if (format.acodec && format.acodec !== 'none') parts.push(format.acodec);
+  if (format.dynamic_range) parts.push(format.dynamic_range);
+  return parts.join(' · ');
+}
@@ -0,0 +1,244 @@
+/**
+ * Get Download Status MCP Tool
+ * 查询异步下载任务的状态、进度和最终路径
+ */
+
+import { z } from 'zod';
+import { getDownloadRecord } from '../core/download-manager.js';
+import { downloadScheduler } from '../core/download-scheduler.js';
+import { getBatchItems } from '../core/batch-manager.js';
+import { getErrorInfo } from '../core/error-classifier.js';
+import { SIDECAR_LABELS } from '../core/sidecars.js';
+import { describeChapterSplit } from '../core/chapter-splitter.js';
+import { formatTimeRange } from '../core/time-range.js';
+import { STOP_REASONS } from '../core/live-recorder.js';
+import {
+  formatDate,
+  formatDuration,
+  formatStatus,
+  formatRecordProgress,
+  formatBatchSummary,
+  formatBatchItem,
+  formatDownloadError
+} from '../utils/formatters.js';
+import { logger } from '../utils/logger.js';
+
+// 工具参数验证schema
+const GetDownloadStatusArgsSchema = z.object({
+  download_id: z.string().min(1, 'download_id is required')
+});
+
+// MCP工具定义
+export const getDownloadStatusTool = {
+  name: 'get_download_status',
+  description: `
+Get the status of a download job started by download_video.
+For a batch (playlist) ID, shows the batch summary and the status of every item.
+
+Returns:
+- Current state (pending, in_progress, paused, interrupted, cancelled, completed, failed, already_exists, skipped)
+- Skip reason if a filter or subscription skipped the video
+- Download progress
+- Final file path and size once completed
+- Error message if the download failed
+  `,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      download_id: {
+        type: 'string',
+        description: 'Download ID returned by download_video (e.g. "dl_1700000000000_abc123def")'
+      }
+    },
+    required: ['download_id']
+  }
+};
+
+/**
+ * 处理查询下载状态工具调用
+ */
+export async function handleGetDownloadStatus(args) {
+  try {
+    // 验证参数
+    const { download_id } = GetDownloadStatusArgsSchema.parse(args);
+
+    logger.info('🔎 Processing download status request', { download_id });
+
+    const record = await getDownloadRecord(download_id);
+
+    if (!record) {
+      return {
+        content: [{
+          type: 'text',
+          text: `❌ 未找到下载任务: ${download_id}\n\n请确认任务ID是否正确，可使用 list_downloads 查看所有下载记录。`
+        }],
+        isError: true
+      };
+    }
+
+    if (record.type === 'batch') {
+      return await batchStatusResult(record);
+    }
+
+    let resultText = `📥 下载任务状态\n\n`;
+    resultText += `🆔 任务ID: ${record.id}\n`;
+    resultText += `📌 状态: ${formatStatus(record.status)}\n`;
+    resultText += `📺 标题: ${record.title || 'Unknown'}\n`;
+    resultText += `🔗 URL: ${record.url}\n`;
+    resultText += `🏷️  平台: ${record.platform || 'Unknown'}\n`;
+    if (record.time_range) {
+      resultText += `✂️  时间段: ${formatTimeRange(record.time_range)}\n`;
+    }
+    if (record.media_type === 'audio') {
+      resultText += `🎵 音频: ${record.audio_format || 'Unknown'}\n`;
+    }
+    resultText += `📅 创建时间: ${formatDate(record.created_at)}\n`;
+    if (record.schedule_id) {
+      resultText += `⏰ 由定时任务触发: ${record.schedule_id}\n`;
+    }
+    if (record.subscription_id) {
+      resultText += `📡 来自订阅: ${record.subscription_id}\n`;
+    }
+
+    if (record.status === 'pending') {
+      const job = downloadScheduler.getJob(record.id);
+      if (job) {
+        resultText += `📍 队列位置: ${job.position} | ⭐ 优先级: ${job.priority}\n`;
+      }
+    } else if (record.status === 'in_progress') {
+      resultText += `📊 进度: ${formatRecordProgress(record)}\n`;
+      if (record.retry) {
+        resultText += `🔁 第 ${record.retry.attempt} 次重试 (${getErrorInfo(record.retry.error_code).label})，${formatDate(record.retry.next_attempt_at)} 开始\n`;
+      }
+      if (record.output_path) {
+        resultText += `📁 目标路径: ${record.output_path}\n`;
+      }
+      if (record.recording) {
+        resultText += `🛑 使用 stop_recording 工具结束录制\n`;
+      }
+    } else if (record.status === 'completed' || record.status === 'already_exists') {
+      if (record.original_download_id) {
+        resultText += `🆔 原下载任务: ${record.original_download_id}\n`;
+      } else if (record.status === 'already_exists' && !record.file_path) {
+        resultText += `🗃️  下载存档中已有: ${record.video_key}\n`;
+      }
+      resultText += `💾 文件路径: ${record.file_path || 'Unknown'}\n`;
+      if (record.file_size) {
+        resultText += `📊 文件大小: ${record.file_size}\n`;
+      }
+      if (record.completed_at) {
+        resultText += `⏱️  完成时间: ${formatDate(record.completed_at)}\n`;
+      }
+      if (record.format_selection?.chosen) {
+        const chosen = record.format_selection.chosen;
+        resultText += `🎞️  格式: ${chosen.format_id}${chosen.resolution ? ` (${chosen.resolution})` : ''}\n`;
+        resultText += `📐 选择依据: ${record.format_selection.reason}\n`;
+      }
+      for (const subtitle of record.subtitle_files || []) {
+        resultText += `💬 字幕 ${subtitle.language}: ${subtitle.embedded ? '已嵌入视频' : subtitle.path || '文件不存在'}\n`;
+      }
+      for (const file of (record.sidecar_files || []).filter(file => file.type !== 'subtitle')) {
+        resultText += `🗂️  ${SIDECAR_LABELS[file.type] || file.type}: ${file.path}\n`;
+      }
+      if (record.chapter_split) {
+        resultText += `✂️  章节: ${describeChapterSplit(record.chapter_split)}\n`;
+      }
+      if (record.parent_id) {
+        resultText += `🧩 第 ${record.chapter?.index ?? '?'} 章，来自下载任务: ${record.parent_id}\n`;
+      }
+      if (record.recording) {
+        resultText += `🎥 录制: ${STOP_REASONS[record.recording.stop_reason] || record.recording.stop_reason}，时长 ${formatDuration(record.recording.elapsed_seconds)}\n`;
+        if (record.recording.segments.length > 1) {
+          record.recording.segments.forEach(segment => {
+            resultText += `   ${segment.index}. ${segment.file_path}\n`;
+          });
+        }
+      }
+    } else if (record.status === 'skipped') {
+      resultText += `⏭️  跳过原因: ${record.skip_reason || 'Unknown'}\n`;
+    } else if (record.status === 'failed') {
+      resultText += `\n${formatDownloadError({ code: record.error_code, message: record.error_message, retries: record.retries })}`;
+    } else if (record.status === 'paused') {
+      resultText += `📊 暂停时进度: ${record.progress || '0%'}\n`;
+      resultText += `▶️  使用 resume_download 工具继续下载\n`;
+    } else if (record.status === 'interrupted') {
+      resultText += `🔌 中断原因: ${record.interrupted_reason || 'Unknown'}\n`;
+      if (record.type !== 'recording') {
+        resultText += `📊 中断时进度: ${record.progress || '0%'}\n`;
+        resultText += `▶️  使用 resume_download 工具继续下载\n`;
+      } else {
+        resultText += `▶️  直播仍在进行时，使用 resume_download 工具继续录制\n`;
+      }
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: resultText
+      }],
+      isError: false
+    };
+
+  } catch (error) {
+    logger.error('💥 Get download status tool execution failed:', error);
+
+    if (error instanceof z.ZodError) {
+      const errorDetails = error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
+      return {
+        content: [{
+          type: 'text',
+          text: `❌ 参数验证失败: ${errorDetails}`
+        }],
+        isError: true
+      };
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: `❌ 查询下载状态失败: ${error.message}`
+      }],
+      isError: true
+    };
+  }
+}
+
+/**
+ * 批量任务的状态：汇总 + 每个子任务一行
+ */
+async function batchStatusResult(record) {
+  const items = await getBatchItems(record.id);
+
+  let resultText = `📦 批量任务状态\n\n`;
+  resultText += `🆔 任务ID: ${record.id}\n`;
+  resultText += `📌 状态: ${formatStatus(record.status)}\n`;
+  resultText += `📺 标题: ${record.title || 'Unknown'}\n`;
+  if (record.url) {
+    resultText += `🔗 URL: ${record.url}\n`;
+  }
+  if (record.batch?.directory) {
+    resultText += `📁 目录: ${record.batch.directory}\n`;
+  }
+  resultText += `📊 进度: ${record.progress || `0/${items.length}`} | ${formatBatchSummary(record.batch?.summary)}\n`;
+  resultText += `📅 创建时间: ${formatDate(record.created_at)}\n`;
+  if (record.schedule_id) {
+    resultText += `⏰ 由定时任务触发: ${record.schedule_id}\n`;
+  }
+  if (record.subscription_id) {
+    resultText += `📡 来自订阅: ${record.subscription_id}\n`;
+  }
+  resultText += '\n';
+
+  resultText += `📋 **条目** (${items.length})\n`;
+  items.forEach(item => {
+    resultText += `${formatBatchItem(item)}\n`;
+  });
+
+  return {
+    content: [{
+      type: 'text',
+      text: resultText
+    }],
+    isError: false
+  };
+}
@@ -0,0 +1,208 @@
+/**
+ * Get Video Info MCP Tool
+ * 下载前查看视频的完整信息：标题、作者、时长、章节、可用格式等
+ */
+
+import { z } from 'zod';
+import { getVideoInfo } from '../core/video-info.js';
+import { classifyError, extractErrorMessage } from '../core/error-classifier.js';
+import {
+  formatDate,
+  formatDuration,
+  formatFileSize,
+  formatViewCount,
+  formatErrorGuidance,
+  truncateText
+} from '../utils/formatters.js';
+import { logger } from '../utils/logger.js';
+
+// 工具参数验证schema
+const GetVideoInfoArgsSchema = z.object({
+  url: z.string().url('Must be a valid URL')
+});
+
+// 列表最多展示的条目数
+const MAX_CHAPTERS_SHOWN = 30;
+const MAX_TAGS_SHOWN = 15;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+const LIVE_STATUS_LABELS = {
+  is_live: '🔴 正在直播',
+  is_upcoming: '⏰ 直播尚未开始',
+  was_live: '📼 直播回放',
+  post_live: '📼 直播已结束，回放处理中'
+};
+
+// MCP工具定义
+export const getVideoInfoTool = {
+  name: 'get_video_info',
+  description: `
+Inspect a video before downloading it. Nothing is downloaded.
+
+Returns:
+- Video ID, extractor, title, uploader and channel ID
+- Duration, upload date, view count and live status
+- Tags, categories, chapters and the thumbnail URL
+- A summary of the available formats with file sizes (resolutions, audio streams)
+- The beginning of the description
+
+Use it to check whether a video is the right one, how large it is, or which
+quality to request before calling download_video.
+  `,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      url: {
+        type: 'string',
+        description: 'Video URL (e.g. "https://www.youtube.com/watch?v=dQw4w9WgXcQ")'
+      }
+    },
+    required: ['url']
+  }
+};
+
+/**
+ * 处理获取视频信息工具调用
+ */
+export async function handleGetVideoInfo(args) {
+  let url = args?.url;
+
+  try {
+    // 验证参数
+    ({ url } = GetVideoInfoArgsSchema.parse(args));
+
+    logger.info('🔍 Processing video info request', { url });
+
+    const info = await getVideoInfo(url);
+
+    return {
+      content: [{
+        type: 'text',
+        text: formatVideoInfo(info)
+      }],
+      isError: false
+    };
+
+  } catch (error) {
+    logger.error('💥 Get video info tool execution failed:', error);
+
+    if (error instanceof z.ZodError) {
+      const errorDetails = error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
+      return {
+        content: [{
+          type: 'text',
+          text: `❌ 参数验证失败: ${errorDetails}`
+        }],
+        isError: true
+      };
+    }
+
+    const { code, label } = classifyError(error.message);
+    return {
+      content: [{
+        type: 'text',
+        text: `❌ 获取视频信息失败: ${label} (${code})\n📝 详情: ${extractErrorMessage(error.message) || error.message}\n\nURL: ${url}\n\n${formatErrorGuidance(code)}`
+      }],
+      isError: true
+    };
+  }
+}
+
+/**
+ * 视频信息 -> 文本
+ */
+function formatVideoInfo(info) {
+  let text = `📺 ${info.title}\n\n`;
+  text += `🆔 视频ID: ${info.id || 'Unknown'}${info.extractor_key ? ` (${info.extractor_key})` : ''}\n`;
+  text += `👤 作者: ${info.uploader}${info.channel_id ? ` | 频道ID: ${info.channel_id}` : ''}\n`;
+  text += `⏳ 时长: ${formatDuration(info.duration)}\n`;
+  if (info.upload_date) {
+    text += `📅 上传日期: ${formatUploadDate(info.upload_date)}\n`;
+  }
+  if (info.view_count !== null) {
+    text += `👁️  播放量: ${formatViewCount(info.view_count)}\n`;
+  }
+  if (LIVE_STATUS_LABELS[info.live_status]) {
+    text += `📡 直播状态: ${LIVE_STATUS_LABELS[info.live_status]}\n`;
+  }
+  if (info.categories.length > 0) {
+    text += `📂 分类: ${info.categories.join(', ')}\n`;
+  }
+  if (info.tags.length > 0) {
+    const more = info.tags.length > MAX_TAGS_SHOWN ? ` 等 ${info.tags.length} 个` : '';
+    text += `🏷️  标签: ${info.tags.slice(0, MAX_TAGS_SHOWN).join(', ')}${more}\n`;
+  }
+  if (info.thumbnail) {
+    text += `🖼️  缩略图: ${info.thumbnail}\n`;
+  }
+  text += `🔗 URL: ${info.webpage_url}\n`;
+
+  text += `\n${formatFormatsSummary(info.formats)}`;
+
+  if (info.chapters.length > 0) {
+    text += `\n📑 **章节** (${info.chapters.length})\n`;
+    info.chapters.slice(0, MAX_CHAPTERS_SHOWN).forEach(chapter => {
+      text += `   ${formatOffset(chapter.start_time)} ${chapter.title || ''}\n`;
+    });
+    if (info.chapters.length > MAX_CHAPTERS_SHOWN) {
+      text += `   ... 还有 ${info.chapters.length - MAX_CHAPTERS_SHOWN} 个章节\n`;
+    }
+  }
+
+  if (info.description) {
+    text += `\n📝 **简介**\n${truncateText(info.description, MAX_DESCRIPTION_LENGTH)}\n`;
+  }
+
+  return text;
+}
+
+/**
+ * 可用格式概览：每种分辨率的最大文件，以及音频流数量
+ */
+function formatFormatsSummary(formats) {
+  if (formats.length === 0) {
+    return `🎞️  可用格式: 未知\n`;
+  }
+
+  const byHeight = new Map();
+  formats.filter(format => format.height).forEach(format => {
+    const current = byHeight.get(format.height);
+    if (!current || (format.filesize || 0) > (current.filesize || 0)) {
+      byHeight.set(format.height, format);
+    }
+  });
+
+  let text = `🎞️  可用格式: ${formats.length} 个\n`;
+
+  const heights = [...byHeight.keys()].sort((a, b) => b - a);
+  if (heights.length > 0) {
+    const sizes = heights.map(height => {
+      const format = byHeight.get(height);
+      return format.filesize ? `${height}p (${format.filesize_approx ? '~' : ''}${formatFileSize(format.filesize)})` : `${height}p`;
+    });
+    text += `   🎬 视频: ${sizes.join(', ')}\n`;
+  }
+
+  const audio = formats.filter(format => format.acodec && !format.vcodec);
+  if (audio.length > 0) {
+    const bitrate = Math.max(...audio.map(format => format.tbr || 0));
+    text += `   🎵 音频: ${audio.length} 个${bitrate ? `，最高 ${Math.round(bitrate)} kbps` : ''}\n`;
+  }
+
+  return text;
+}
+
+/**
+ * YYYYMMDD -> YYYY-MM-DD
+ */
+function formatUploadDate(date) {
+  const match = String(date).match(/^(\d{4})(\d{2})(\d{2})$/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : formatDate(date);
+}
+
+/**
+ * 章节开始时间，0 显示为 0:00
+ */
+function formatOffset(seconds) {
+  return seconds ? formatDuration(seconds) : '0:00';
+}
@@ -5,20 +5,36 @@
 
 import { z } from 'zod';
 import { getDownloadHistory, getCurrentDownloads } from '../core/download-manager.js';
-import { formatFileSize, formatDate } from '../utils/formatters.js';
+import { getBatchItems } from '../core/batch-manager.js';
+import { formatTimeRange } from '../core/time-range.js';
+import { formatFileSize, formatDate, formatDuration, formatRecordProgress, formatBatchSummary, formatBatchItem } from '../utils/formatters.js';
 import { logger } from '../utils/logger.js';
 import fs from 'fs';
 import path from 'path';
 
 // 工具参数验证schema
 const ListDownloadsArgsSchema = z.object({
-  status: z.enum(['all', 'completed', 'failed', 'in_progress']).default('all'),
+  status: z.enum(['all', 'pending', 'completed', 'failed', 'in_progress', 'paused', 'cancelled', 'interrupted', 'skipped', 'partial']).default('all'),
   limit: z.number().int().min(1).max(100).default(20),
   sort_by: z.enum(['date', 'name', 'size', 'platform']).default('date'),
   sort_order: z.enum(['asc', 'desc']).default('desc'),
-  platform: z.enum(['youtube', 'bilibili', 'all']).default('all')
+  platform: z.enum(['youtube', 'bilibili', 'all']).default('all'),
+  media_type: z.enum(['all', 'video', 'audio']).default('all'),
+  include_batch_items: z.boolean().default(false),
+  uploader: z.string().min(1).optional(),
+  since: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected YYYY-MM-DD').optional(),
+  until: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected YYYY-MM-DD').optional()
 });
 
+// 每个批量任务在列表中最多展示的条目数
+const MAX_BATCH_ITEMS_SHOWN = 20;
+
+const MEDIA_TYPE_LABELS = {
+  all: '全部类型',
+  video: '视频',
+  audio: '音频'
+};
+
 // MCP工具定义
 export const listDownloadsTool = {
   name: 'list_downloads',
@@ -27,7 +43,8 @@ List download history and current download status.
 
 Features:
 - View completed, failed, and in-progress downloads
-- Filter by platform, status, or date
+- Filter by platform, status, media type (video/audio), uploader, or date range
+- Playlist/batch jobs with per-item status
 - Sort by various criteria
 - Show file sizes and download times
 - Display download statistics
@@ -43,7 +60,7 @@ Useful for:
     properties: {
       status: {
         type: 'string',
-        enum: ['all', 'completed', 'failed', 'in_progress'],
+        enum: ['all', 'pending', 'completed', 'failed', 'in_progress', 'paused', 'cancelled', 'interrupted', 'skipped', 'partial'],
         default: 'all',
         description: 'Filter downloads by status'
       },
@@ -71,6 +88,29 @@ Useful for:
         enum: ['youtube', 'bilibili', 'all'],
         default: 'all',
         description: 'Filter by platform'
+      },
+      media_type: {
+        type: 'string',
+        enum: ['all', 'video', 'audio'],
+        default: 'all',
+        description: 'Filter by media type (audio = audio-only extractions)'
+      },
+      include_batch_items: {
+        type: 'boolean',
+        default: false,
+        description: 'List playlist/batch items and split chapter files as separate entries instead of nesting them under their batch or download'
+      },
+      uploader: {
+        type: 'string',
+        description: 'Only show downloads from this uploader/channel (case-insensitive exact match)'
+      },
+      since: {
+        type: 'string',
+        description: 'Only show downloads created on or after this date (YYYY-MM-DD, UTC)'
+      },
+      until: {
+        type: 'string',
+        description: 'Only show downloads created on or before this date (YYYY-MM-DD, UTC)'
       }
     },
     required: []
@@ -84,13 +124,24 @@ export async function handleListDownloads(args) {
   try {
     // 验证参数
     const validatedArgs = ListDownloadsArgsSchema.parse(args);
-    const { status, limit, sort_by, sort_order, platform } = validatedArgs;
+    const { status, limit, sort_by, sort_order, platform, media_type, include_batch_items, uploader, since, until } = validatedArgs;
 
-    logger.info('📋 Processing list downloads request', { status, limit, sort_by, platform });
+    logger.info('📋 Processing list downloads request', { status, limit, sort_by, platform, media_type, uploader, since, until });
 
     // 获取下载历史和当前状态
     const [history, currentDownloads] = await Promise.all([
-      getDownloadHistory({ status, platform, limit, sort_by, sort_order }),
+      getDownloadHistory({
+        status,
+        platform,
+        media_type,
+        uploader,
+        created_after: since,
+        created_before: until ? nextDay(until) : undefined,
+        limit,
+        sort_by,
+        sort_order,
+        top_level: !include_batch_items
+      }),
       getCurrentDownloads()
     ]);
 
@@ -101,7 +152,7 @@ export async function handleListDownloads(args) {
       resultText += `🚀 **当前下载中** (${currentDownloads.length})\n`;
       currentDownloads.forEach((download, index) => {
         resultText += `${index + 1}. ${download.title || 'Unknown'}\n`;
-        resultText += `   📊 进度: ${download.progress || '0%'}\n`;
+        resultText += `   📊 进度: ${formatRecordProgress(download)}\n`;
         resultText += `   🏷️  平台: ${download.platform || 'Unknown'}\n`;
         resultText += `   📁 目录: ${download.output_dir || 'Unknown'}\n\n`;
       });
@@ -112,17 +163,42 @@ export async function handleListDownloads(args) {
       const statusEmojis = {
         completed: '✅',
         failed: '❌',
-        in_progress: '🚀'
+        in_progress: '🚀',
+        pending: '⏳',
+        paused: '⏸️',
+        cancelled: '🛑',
+        interrupted: '🔌',
+        skipped: '⏭️',
+        partial: '⚠️'
       };
 
       resultText += `📚 **下载历史** (显示 ${history.length} 条记录)\n`;
-      resultText += `筛选: ${status === 'all' ? '全部状态' : status} | 平台: ${platform === 'all' ? '全部平台' : platform}\n\n`;
+      resultText += `筛选: ${status === 'all' ? '全部状态' : status} | 平台: ${platform === 'all' ? '全部平台' : platform} | 类型: ${MEDIA_TYPE_LABELS[media_type]}`;
+      if (uploader) {
+        resultText += ` | 作者: ${uploader}`;
+      }
+      if (since || until) {
+        resultText += ` | 日期: ${since || '…'} ~ ${until || '…'}`;
+      }
+      resultText += `\n\n`;
 
-      history.forEach((item, index) => {
+      for (const [index, item] of history.entries()) {
         const statusEmoji = statusEmojis[item.status] || '❓';
+
+        if (item.type === 'batch') {
+          resultText += await formatBatchEntry(item, index, statusEmoji);
+          continue;
+        }
+
         resultText += `${statusEmoji} **${index + 1}. ${item.title}**\n`;
         resultText += `   🔗 URL: ${item.url}\n`;
         resultText += `   🏷️  平台: ${item.platform?.toUpperCase() || 'Unknown'}\n`;
+        if (item.time_range) {
+          resultText += `   ✂️  时间段: ${formatTimeRange(item.time_range)}\n`;
+        }
+        if (item.media_type === 'audio') {
+          resultText += `   🎵 音频: ${item.audio_format || 'Unknown'}\n`;
+        }
         resultText += `   📅 时间: ${formatDate(item.download_time)}\n`;
         
         if (item.status === 'completed') {
@@ -132,17 +208,19 @@ export async function handleListDownloads(args) {
           }
         } else if (item.status === 'failed') {
           resultText += `   ❌ 错误: ${item.error_message || 'Unknown error'}\n`;
+        } else if (item.status === 'interrupted') {
+          resultText += `   🔌 原因: ${item.interrupted_reason || 'Unknown'}\n`;
         }
         
         if (item.metadata?.duration) {
-          resultText += `   ⏱️  时长: ${item.metadata.duration}\n`;
+          resultText += `   ⏱️  时长: ${formatDuration(item.metadata.duration)}\n`;
         }
         if (item.metadata?.uploader) {
           resultText += `   👤 作者: ${item.metadata.uploader}\n`;
         }
         
         resultText += '\n';
-      });
+      }
 
       // 统计信息
       const stats = calculateStats(history);
@@ -151,6 +229,7 @@ export async function handleListDownloads(args) {
       resultText += `   ❌ 失败: ${stats.failed}\n`;
       resultText += `   🚀 进行中: ${stats.in_progress}\n`;
       resultText += `   💾 总大小: ${stats.total_size}\n`;
+      resultText += `   🎵 音频: ${stats.audio}\n`;
       resultText += `   🎬 YouTube: ${stats.youtube}\n`;
       resultText += `   📺 Bilibili: ${stats.bilibili}\n`;
       
@@ -192,6 +271,29 @@ export async function handleListDownloads(args) {
   }
 }
 
+/**
+ * 格式化批量任务及其子任务
+ */
+async function formatBatchEntry(batch, index, statusEmoji) {
+  const items = await getBatchItems(batch.id);
+
+  let text = `${statusEmoji} **${index + 1}. 📦 ${batch.title}** (${batch.id})\n`;
+  if (batch.url) {
+    text += `   🔗 URL: ${batch.url}\n`;
+  }
+  text += `   📊 进度: ${batch.progress || `0/${items.length}`} | ${formatBatchSummary(batch.batch?.summary)}\n`;
+  text += `   📅 时间: ${formatDate(batch.created_at)}\n`;
+
+  items.slice(0, MAX_BATCH_ITEMS_SHOWN).forEach(item => {
+    text += `   ${formatBatchItem(item)}\n`;
+  });
+  if (items.length > MAX_BATCH_ITEMS_SHOWN) {
+    text += `   ... 还有 ${items.length - MAX_BATCH_ITEMS_SHOWN} 个条目，使用 get_download_status 查看全部\n`;
+  }
+
+  return text + '\n';
+}
+
 /**
  * 计算下载统计信息
  */
@@ -203,7 +305,8 @@ function calculateStats(history) {
     total_size: 0,
     youtube: 0,
     bilibili: 0,
-    other: 0
+    other: 0,
+    audio: 0
   };
 
   history.forEach(item => {
@@ -217,6 +320,8 @@ function calculateStats(history) {
     else if (item.platform === 'bilibili') stats.bilibili++;
     else stats.other++;
 
+    if (item.media_type === 'audio') stats.audio++;
+
     // 大小统计（仅计算已完成的）
     if (item.status === 'completed' && item.file_path) {
       try {
@@ -232,4 +337,13 @@ function calculateStats(history) {
   stats.total_size = formatFileSize(stats.total_size);
 
   return stats;
-}
\ No newline at end of file
+}
+
+/**
+ * 日期的下一天（YYYY-MM-DD），用作不含当天结束的上限
+ */
+function nextDay(date) {
+  const next = new Date(`${date}T00:00:00.000Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+}
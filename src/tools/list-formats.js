@@ -0,0 +1,163 @@
+/**
+ * List Formats MCP Tool
+ * 列出视频的可用格式和预计大小，供 download_video 的 format_id 参数使用
+ */
+
+import { z } from 'zod';
+import { getVideoInfo } from '../core/video-info.js';
+import { classifyError, extractErrorMessage } from '../core/error-classifier.js';
+import { formatDuration, formatFileSize, formatErrorGuidance } from '../utils/formatters.js';
+import { logger } from '../utils/logger.js';
+
+// 工具参数验证schema
+const ListFormatsArgsSchema = z.object({
+  url: z.string().url('Must be a valid URL'),
+  type: z.enum(['all', 'video', 'audio']).default('all')
+});
+
+const FORMAT_TYPE_LABELS = {
+  both: '音视频',
+  video: '仅视频',
+  audio: '仅音频'
+};
+
+// MCP工具定义
+export const listFormatsTool = {
+  name: 'list_formats',
+  description: `
+List the formats (streams) a video offers, as a compact table. Nothing is downloaded.
+
+Columns: format ID, container, resolution, fps, video/audio codecs, bitrate,
+file size (~ marks an estimate) and whether the format is video-only,
+audio-only or contains both.
+
+Pass a format ID to download_video as format_id to download exactly that
+format; video-only formats are merged with the best audio automatically.
+  `,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      url: {
+        type: 'string',
+        description: 'Video URL (e.g. "https://www.youtube.com/watch?v=dQw4w9WgXcQ")'
+      },
+      type: {
+        type: 'string',
+        enum: ['all', 'video', 'audio'],
+        default: 'all',
+        description: 'Only list formats containing video, or audio-only formats'
+      }
+    },
+    required: ['url']
+  }
+};
+
+/**
+ * 处理列出格式工具调用
+ */
+export async function handleListFormats(args) {
+  let url = args?.url;
+
+  try {
+    // 验证参数
+    const validatedArgs = ListFormatsArgsSchema.parse(args);
+    url = validatedArgs.url;
+
+    logger.info('🎞️  Processing list formats request', { url, type: validatedArgs.type });
+
+    const info = await getVideoInfo(url);
+    const formats = info.formats.filter(format => matchesType(format, validatedArgs.type));
+
+    let resultText = `🎞️  可用格式: ${info.title}\n\n`;
+    resultText += `🆔 视频ID: ${info.id || 'Unknown'} | ⏳ 时长: ${formatDuration(info.duration)}\n\n`;
+
+    if (formats.length === 0) {
+      resultText += `📭 没有符合条件的格式\n`;
+    } else {
+      resultText += `| ID | 容器 | 分辨率 | FPS | 视频编码 | 音频编码 | 码率 | 大小 | 类型 |\n`;
+      resultText += `|---|---|---|---|---|---|---|---|---|\n`;
+      formats.forEach(format => {
+        resultText += `${formatRow(format)}\n`;
+      });
+      resultText += `\n共 ${formats.length} 个格式，按质量从低到高排列。使用 download_video 的 format_id 参数下载指定格式。\n`;
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: resultText
+      }],
+      isError: false
+    };
+
+  } catch (error) {
+    logger.error('💥 List formats tool execution failed:', error);
+
+    if (error instanceof z.ZodError) {
+      const errorDetails = error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
+      return {
+        content: [{
+          type: 'text',
+          text: `❌ 参数验证失败: ${errorDetails}`
+        }],
+        isError: true
+      };
+    }
+
+    const { code, label } = classifyError(error.message);
+    return {
+      content: [{
+        type: 'text',
+        text: `❌ 获取格式列表失败: ${label} (${code})\n📝 详情: ${extractErrorMessage(error.message) || error.message}\n\nURL: ${url}\n\n${formatErrorGuidance(code)}`
+      }],
+      isError: true
+    };
+  }
+}
+
+/**
+ * 格式类型：音视频、仅视频、仅音频
+ * 编码未知的格式（部分站点不提供）视为音视频
+ */
+function getFormatType(format) {
+  if (format.vcodec && !format.acodec) {
+    return 'video';
+  }
+  if (format.acodec && !format.vcodec) {
+    return 'audio';
+  }
+  return 'both';
+}
+
+/**
+ * 按类型筛选：video 包含所有含视频的格式
+ */
+function matchesType(format, type) {
+  const formatType = getFormatType(format);
+  if (type === 'video') {
+    return formatType !== 'audio';
+  }
+  if (type === 'audio') {
+    return formatType === 'audio';
+  }
+  return true;
+}
+
+/**
+ * 格式 -> 表格行
+ */
+function formatRow(format) {
+  const type = getFormatType(format);
+  const cells = [
+    format.format_id,
+    format.ext || '-',
+    type === 'audio' ? 'audio only' : format.resolution || '-',
+    format.fps || '-',
+    format.vcodec || '-',
+    format.acodec || '-',
+    format.tbr ? `${Math.round(format.tbr)}k` : '-',
+    format.filesize ? `${format.filesize_approx ? '~' : ''}${formatFileSize(format.filesize)}` : '-',
+    FORMAT_TYPE_LABELS[type]
+  ];
+  return `| ${cells.join(' | ')} |`;
+}
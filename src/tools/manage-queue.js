@@ -0,0 +1,237 @@
+/**
+ * Download Queue MCP Tools
+ * 查看下载队列、调整优先级和队列位置
+ */
+
+import { z } from 'zod';
+import { downloadScheduler } from '../core/download-scheduler.js';
+import { getDownloadRecord, updateDownloadStatus } from '../core/download-manager.js';
+import { formatDate, formatRecordProgress } from '../utils/formatters.js';
+import { logger } from '../utils/logger.js';
+
+// 工具参数验证schema
+const SetDownloadPriorityArgsSchema = z.object({
+  download_id: z.string().min(1, 'download_id is required'),
+  priority: z.number().int().min(-100).max(100)
+});
+
+const MoveDownloadArgsSchema = z.object({
+  download_id: z.string().min(1, 'download_id is required'),
+  position: z.enum(['front', 'back'])
+});
+
+// MCP工具定义
+export const listQueueTool = {
+  name: 'list_queue',
+  description: `
+Show the download scheduler queue.
+
+Returns:
+- Running downloads and the concurrency limits in effect
+- Queued downloads in the order they will start, with priority and platform
+  `,
+  inputSchema: {
+    type: 'object',
+    properties: {},
+    required: []
+  }
+};
+
+export const setDownloadPriorityTool = {
+  name: 'set_download_priority',
+  description: `
+Change the priority of a queued download. Higher priority jobs start first;
+jobs with equal priority start in the order they were queued.
+  `,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      download_id: {
+        type: 'string',
+        description: 'Download ID of a queued job'
+      },
+      priority: {
+        type: 'number',
+        minimum: -100,
+        maximum: 100,
+        description: 'New priority (default priority is 0)'
+      }
+    },
+    required: ['download_id', 'priority']
+  }
+};
+
+export const moveDownloadInQueueTool = {
+  name: 'move_download_in_queue',
+  description: `
+Move a queued download to the front or the back of the queue.
+  `,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      download_id: {
+        type: 'string',
+        description: 'Download ID of a queued job'
+      },
+      position: {
+        type: 'string',
+        enum: ['front', 'back'],
+        description: 'Where to move the job'
+      }
+    },
+    required: ['download_id', 'position']
+  }
+};
+
+/**
+ * 处理查看队列工具调用
+ */
+export async function handleListQueue() {
+  try {
+    logger.info('📋 Processing list queue request');
+
+    const queue = downloadScheduler.getQueue();
+    const limits = Object.entries(queue.platform_limits)
+      .map(([platform, limit]) => `${platform}=${limit}`)
+      .join(', ');
+
+    let resultText = `📋 下载队列\n\n`;
+    resultText += `⚙️  最大并发: ${queue.max_concurrent}`;
+    resultText += limits ? ` | 平台限制: ${limits}\n\n` : `\n\n`;
+
+    resultText += `🚀 **正在下载** (${queue.running.length})\n`;
+    for (const job of queue.running) {
+      const record = await getDownloadRecord(job.id);
+      resultText += `- ${job.id} | ${record?.title || job.url}\n`;
+      resultText += `   🏷️  平台: ${job.platform} | 📊 进度: ${formatRecordProgress(record)}\n`;
+    }
+
+    resultText += `\n⏳ **排队中** (${queue.queued.length})\n`;
+    if (queue.queued.length === 0) {
+      resultText += `   队列为空\n`;
+    }
+    for (const job of queue.queued) {
+      resultText += `${job.position}. ${job.id} | ${job.url}\n`;
+      resultText += `   🏷️  平台: ${job.platform} | ⭐ 优先级: ${job.priority} | 📅 入队: ${formatDate(job.enqueued_at)}\n`;
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: resultText
+      }],
+      isError: false
+    };
+
+  } catch (error) {
+    logger.error('💥 List queue tool execution failed:', error);
+
+    return {
+      content: [{
+        type: 'text',
+        text: `❌ 获取下载队列失败: ${error.message}`
+      }],
+      isError: true
+    };
+  }
+}
+
+/**
+ * 处理修改优先级工具调用
+ */
+export async function handleSetDownloadPriority(args) {
+  try {
+    const { download_id, priority } = SetDownloadPriorityArgsSchema.parse(args);
+
+    logger.info('⭐ Processing set priority request', { download_id, priority });
+
+    const job = downloadScheduler.setPriority(download_id, priority);
+    if (!job) {
+      return notQueuedResult(download_id);
+    }
+
+    await updateDownloadStatus(download_id, 'pending', { priority: job.priority });
+
+    return {
+      content: [{
+        type: 'text',
+        text: `✅ 优先级已更新\n\n🆔 任务ID: ${job.id}\n⭐ 优先级: ${job.priority}\n📍 队列位置: ${job.position}`
+      }],
+      isError: false
+    };
+
+  } catch (error) {
+    return handleToolError('设置优先级失败', error);
+  }
+}
+
+/**
+ * 处理移动队列位置工具调用
+ */
+export async function handleMoveDownloadInQueue(args) {
+  try {
+    const { download_id, position } = MoveDownloadArgsSchema.parse(args);
+
+    logger.info('↕️  Processing move in queue request', { download_id, position });
+
+    const job = downloadScheduler.move(download_id, position);
+    if (!job) {
+      return notQueuedResult(download_id);
+    }
+
+    await updateDownloadStatus(download_id, 'pending', { priority: job.priority });
+
+    return {
+      content: [{
+        type: 'text',
+        text: `✅ 已移动到队列${position === 'front' ? '首' : '尾'}\n\n🆔 任务ID: ${job.id}\n⭐ 优先级: ${job.priority}\n📍 队列位置: ${job.position}`
+      }],
+      isError: false
+    };
+
+  } catch (error) {
+    return handleToolError('移动队列位置失败', error);
+  }
+}
+
+/**
+ * 任务不在排队状态时的返回
+ */
+function notQueuedResult(downloadId) {
+  const job = downloadScheduler.getJob(downloadId);
+  const reason = job ? '任务已经开始下载，无法调整' : '任务不在下载队列中';
+
+  return {
+    content: [{
+      type: 'text',
+      text: `❌ ${reason}: ${downloadId}\n\n使用 list_queue 查看当前排队的任务。`
+    }],
+    isError: true
+  };
+}
+
+/**
+ * 统一处理工具执行错误
+ */
+function handleToolError(action, error) {
+  logger.error(`💥 Queue tool execution failed: ${action}`, error);
+
+  if (error instanceof z.ZodError) {
+    const errorDetails = error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
+    return {
+      content: [{
+        type: 'text',
+        text: `❌ 参数验证失败: ${errorDetails}`
+      }],
+      isError: true
+    };
+  }
+
+  return {
+    content: [{
+      type: 'text',
+      text: `❌ ${action}: ${error.message}`
+    }],
+    isError: true
+  };
+}
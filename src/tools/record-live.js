@@ -0,0 +1,348 @@
+/**
+ * Live Recording MCP Tools
+ * 在后台录制直播，以及结束录制
+ */
+
+import { z } from 'zod';
+import { startRecording, stopRecording, isRecording, STOP_REASONS } from '../core/live-recorder.js';
+import { getDownloadRecord } from '../core/download-manager.js';
+import { parseTimestamp } from '../core/time-range.js';
+import { classifyError, extractErrorMessage } from '../core/error-classifier.js';
+import { formatDownloadError, formatErrorGuidance, formatDuration, formatFileSize } from '../utils/formatters.js';
+import { logger } from '../utils/logger.js';
+
+// 时长：秒数或 HH:MM:SS，具体格式在 parseTimestamp 中校验
+const DurationSchema = z.union([z.number().positive(), z.string().min(1)]);
+
+// 分段时长下限：每次分段都会重启 yt-dlp，过短的分段会留下很多间隙
+const MIN_SEGMENT_LENGTH = 60;
+
+// 工具参数验证schema
+const RecordLiveArgsSchema = z.object({
+  url: z.string().url('Must be a valid URL'),
+  quality: z.enum(['best', 'worst', '720p', '1080p', '480p', '360p']).default('best'),
+  from_start: z.boolean().default(false),
+  wait_for_stream: z.boolean().default(true),
+  max_duration: DurationSchema.optional(),
+  max_filesize: z.union([
+    z.number().positive(),
+    z.string().regex(/^\d+(\.\d+)?\s*[KMG]i?B?$/i, 'Use a size like "500M" or "2G"')
+  ]).optional(),
+  segment_length: DurationSchema.optional(),
+  custom_directory: z.string().optional(),
+  custom_filename: z.string().optional()
+});
+
+const StopRecordingArgsSchema = z.object({
+  recording_id: z.string().min(1, 'recording_id is required')
+});
+
+// MCP工具定义
+export const recordLiveTool = {
+  name: 'record_live',
+  description: `
+Record a live stream in the background and return a recording ID right away.
+
+Works for streams that are live now and, with wait_for_stream (default), for
+scheduled streams and premieres that have not started yet: the recording waits
+for the stream to go live. Recording ends when the stream ends, when
+max_duration or max_filesize is reached, or when stop_recording is called;
+the file is playable in every case.
+
+from_start records from the beginning of the stream instead of from now
+(YouTube only). segment_length splits the recording into files of that length
+("<title> - part 001.mp4", ...); there can be a gap of a few seconds between
+parts. Use get_download_status with the recording ID to follow progress.
+Do not use download_video for live streams.
+  `,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      url: {
+        type: 'string',
+        description: 'Live stream, channel or scheduled stream URL'
+      },
+      quality: {
+        type: 'string',
+        enum: ['best', 'worst', '720p', '1080p', '480p', '360p'],
+        default: 'best',
+        description: 'Video quality preference'
+      },
+      from_start: {
+        type: 'boolean',
+        default: false,
+        description: 'Record from the beginning of the stream (YouTube only; ignored elsewhere)'
+      },
+      wait_for_stream: {
+        type: 'boolean',
+        default: true,
+        description: 'Wait for an upcoming stream or premiere to start instead of failing'
+      },
+      max_duration: {
+        type: ['string', 'number'],
+        description: 'Stop after recording this long, seconds or HH:MM:SS (waiting time does not count)'
+      },
+      max_filesize: {
+        type: ['string', 'number'],
+        description: 'Stop when the recording reaches this size, e.g. "2G" (numbers are MB; all parts together)'
+      },
+      segment_length: {
+        type: ['string', 'number'],
+        description: `Split into files of this length, seconds or HH:MM:SS (at least ${MIN_SEGMENT_LENGTH}s; not with from_start)`
+      },
+      custom_directory: {
+        type: 'string',
+        description: 'Custom directory (optional, auto-organized by default)'
+      },
+      custom_filename: {
+        type: 'string',
+        description: 'Custom filename without extension (optional, generated from the stream title by default)'
+      }
+    },
+    required: ['url']
+  }
+};
+
+export const stopRecordingTool = {
+  name: 'stop_recording',
+  description: `
+Stop a live recording started with record_live. Waits for the current file
+to be finalized so it stays playable, then returns the recorded files.
+Stopping a recording that is still waiting for the stream ends it without a file.
+  `,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      recording_id: {
+        type: 'string',
+        description: 'Recording ID returned by record_live'
+      }
+    },
+    required: ['recording_id']
+  }
+};
+
+/**
+ * 处理录制直播工具调用
+ */
+export async function handleRecordLive(args) {
+  try {
+    // 验证参数
+    const validatedArgs = RecordLiveArgsSchema.parse(args);
+
+    let limits;
+    try {
+      limits = parseLimits(validatedArgs);
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `❌ 参数验证失败: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+
+    logger.info('🔴 Processing record live request', { url: validatedArgs.url, ...limits });
+
+    let started;
+    try {
+      started = await startRecording({
+        url: validatedArgs.url,
+        quality: validatedArgs.quality,
+        fromStart: validatedArgs.from_start,
+        waitForStream: validatedArgs.wait_for_stream,
+        maxFilesize: validatedArgs.max_filesize ?? null,
+        customDirectory: validatedArgs.custom_directory,
+        customFilename: validatedArgs.custom_filename,
+        ...limits
+      });
+    } catch (error) {
+      const { code, label } = classifyError(error.message);
+      const waitHint = code === 'LIVE_STREAM' && !validatedArgs.wait_for_stream
+        ? '\n\n💡 直播尚未开始时，传入 wait_for_stream: true 等待开播'
+        : '';
+      return {
+        content: [{
+          type: 'text',
+          text: `❌ 无法开始录制: ${label} (${code})\n📝 详情: ${extractErrorMessage(error.message) || error.message}\nURL: ${validatedArgs.url}\n\n${formatErrorGuidance(code)}${waitHint}`
+        }],
+        isError: true
+      };
+    }
+
+    let resultText = started.waiting ? '⏰ 直播尚未开始，开播后自动录制\n\n' : '🔴 直播录制已开始\n\n';
+    resultText += `📺 标题: ${started.title}\n`;
+    resultText += `🆔 录制ID: ${started.recordingId}\n`;
+    resultText += `📁 保存位置: ${limits.segmentLength ? `${started.basePath} - part 001.mp4, ...` : `${started.basePath}.mp4`}\n`;
+    if (limits.maxDuration) {
+      resultText += `⏱️  最长时长: ${formatDuration(limits.maxDuration)}\n`;
+    }
+    if (validatedArgs.max_filesize) {
+      resultText += `💾 大小上限: ${validatedArgs.max_filesize}\n`;
+    }
+    if (limits.segmentLength) {
+      resultText += `🧩 分段时长: ${formatDuration(limits.segmentLength)}\n`;
+    }
+    if (started.fromStart) {
+      resultText += `⏮️  从直播开头录制\n`;
+    } else if (validatedArgs.from_start && !started.fromStartSupported) {
+      resultText += `⚠️  该平台不支持从开头录制，从当前时间开始录制\n`;
+    }
+    resultText += `\n使用 get_download_status 查看录制进度，使用 stop_recording 结束录制。`;
+
+    return {
+      content: [{
+        type: 'text',
+        text: resultText
+      }],
+      isError: false
+    };
+
+  } catch (error) {
+    logger.error('💥 Record live tool execution failed:', error);
+
+    if (error instanceof z.ZodError) {
+      const errorDetails = error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
+      return {
+        content: [{
+          type: 'text',
+          text: `❌ 参数验证失败: ${errorDetails}`
+        }],
+        isError: true
+      };
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: `❌ 工具执行失败: ${error.message}\n\n这可能是一个内部错误，请稍后重试或报告此问题。`
+      }],
+      isError: true
+    };
+  }
+}
+
+/**
+ * 处理结束录制工具调用
+ */
+export async function handleStopRecording(args) {
+  let recordingId = args?.recording_id;
+
+  try {
+    // 验证参数
+    const validatedArgs = StopRecordingArgsSchema.parse(args);
+    recordingId = validatedArgs.recording_id;
+
+    logger.info('🛑 Processing stop recording request', { recording_id: recordingId });
+
+    const problem = checkRecording(await getDownloadRecord(recordingId), recordingId);
+    if (problem) {
+      return {
+        content: [{
+          type: 'text',
+          text: problem
+        }],
+        isError: true
+      };
+    }
+
+    const record = await stopRecording(recordingId);
+    return {
+      content: [{
+        type: 'text',
+        text: describeStoppedRecording(record)
+      }],
+      isError: record.status === 'failed'
+    };
+
+  } catch (error) {
+    logger.error('💥 Stop recording tool execution failed:', error);
+
+    if (error instanceof z.ZodError) {
+      const errorDetails = error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
+      return {
+        content: [{
+          type: 'text',
+          text: `❌ 参数验证失败: ${errorDetails}`
+        }],
+        isError: true
+      };
+    }
+
+    const { code, label } = classifyError(error.message);
+    return {
+      content: [{
+        type: 'text',
+        text: `❌ 结束录制失败: ${label} (${code})\n📝 详情: ${extractErrorMessage(error.message) || error.message}\n\n🆔 录制ID: ${recordingId}\n\n${formatErrorGuidance(code)}`
+      }],
+      isError: true
+    };
+  }
+}
+
+/**
+ * 解析时长参数，返回秒数；分段录制不能与从头录制同时使用
+ */
+function parseLimits(validatedArgs) {
+  const maxDuration = validatedArgs.max_duration === undefined ? null : parseTimestamp(validatedArgs.max_duration);
+  const segmentLength = validatedArgs.segment_length === undefined ? null : parseTimestamp(validatedArgs.segment_length);
+
+  if (maxDuration === 0) {
+    throw new Error('max_duration must be greater than 0');
+  }
+  if (segmentLength !== null && segmentLength < MIN_SEGMENT_LENGTH) {
+    throw new Error(`segment_length must be at least ${MIN_SEGMENT_LENGTH} seconds`);
+  }
+  if (segmentLength !== null && validatedArgs.from_start) {
+    throw new Error('segment_length cannot be used with from_start: recording from the start runs faster than real time');
+  }
+
+  return { maxDuration, segmentLength };
+}
+
+/**
+ * 只有正在进行的录制可以结束，返回不能结束的原因
+ */
+function checkRecording(record, recordingId) {
+  if (!record) {
+    return `❌ 未找到录制任务: ${recordingId}\n\n请确认录制ID是否正确，可使用 list_downloads 查看所有下载记录。`;
+  }
+  if (record.type !== 'recording') {
+    return `❌ ${recordingId} 不是直播录制，请使用 cancel_download 或 pause_download 控制下载`;
+  }
+  if (!isRecording(recordingId)) {
+    return `⚠️  录制已经结束 (${record.status})\n\n使用 get_download_status 查看录制结果。`;
+  }
+  return null;
+}
+
+/**
+ * 结束后的录制结果
+ */
+function describeStoppedRecording(record) {
+  const recording = record.recording;
+
+  if (record.status === 'failed') {
+    return `${formatDownloadError({ code: record.error_code, message: record.error_message })}\n🆔 录制ID: ${record.id}`;
+  }
+  if (recording.segments.length === 0) {
+    return `⏹️  录制已结束，直播尚未开始，没有录制到内容\n\n🆔 录制ID: ${record.id}`;
+  }
+
+  let text = '⏹️  录制已结束\n\n';
+  text += `📺 标题: ${record.title}\n`;
+  text += `🆔 录制ID: ${record.id}\n`;
+  text += `🛑 结束原因: ${STOP_REASONS[recording.stop_reason] || recording.stop_reason}\n`;
+  text += `⏱️  录制时长: ${formatDuration(recording.elapsed_seconds)}\n`;
+  text += `📊 总大小: ${formatFileSize(recording.total_bytes)}\n`;
+  if (recording.segments.length === 1) {
+    text += `💾 文件路径: ${recording.segments[0].file_path}\n`;
+  } else {
+    text += `💾 ${recording.segments.length} 个文件:\n`;
+    for (const segment of recording.segments) {
+      text += `   ${segment.index}. ${segment.file_path} (${formatFileSize(segment.file_size_bytes)})\n`;
+    }
+  }
+  return text;
+}
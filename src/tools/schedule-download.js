@@ -0,0 +1,328 @@
+/**
+ * Scheduled Download MCP Tools
+ * 创建、查看和取消定时下载
+ */
+
+import { z } from 'zod';
+import { downloadVideoTool, handleDownloadVideo, DownloadVideoArgsSchema } from './download-video.js';
+import { createSchedule, listSchedules, cancelSchedule, RUN_AT_PATTERN } from '../core/schedule-manager.js';
+import { normalizeTimeRanges } from '../core/time-range.js';
+import { isDirectURL } from '../utils/validators.js';
+import { formatDate } from '../utils/formatters.js';
+import { logger } from '../utils/logger.js';
+
+// 定时任务自身的参数，其余参数与 download_video 相同
+const SCHEDULE_KEYS = ['run_at', 'cron', 'name'];
+
+// 工具参数验证schema
+const ScheduleDownloadArgsSchema = DownloadVideoArgsSchema.omit({ wait: true }).extend({
+  run_at: z.string().regex(RUN_AT_PATTERN, 'Use an ISO timestamp with a time, like "2026-01-31T02:00:00+08:00"').optional(),
+  cron: z.string().min(1).optional(),
+  name: z.string().max(100).optional()
+});
+
+const ListSchedulesArgsSchema = z.object({
+  include_finished: z.boolean().default(false)
+});
+
+const CancelScheduleArgsSchema = z.object({
+  schedule_id: z.string().min(1, 'schedule_id is required')
+});
+
+// download_video 的参数说明（定时下载不支持 wait）
+const downloadProperties = Object.fromEntries(Object.entries(downloadVideoTool.inputSchema.properties)
+  .filter(([key]) => key !== 'wait'));
+
+// MCP工具定义
+export const scheduleDownloadTool = {
+  name: 'schedule_download',
+  description: `
+Schedule a download_video call for later: once at run_at, or repeatedly on a
+cron schedule (e.g. overnight, or right after a premiere publishes).
+
+Takes the same options as download_video (quality, audio, subtitles,
+playlists, time ranges, ...) plus exactly one of:
+- run_at: ISO timestamp including a time; without a UTC offset it is server
+  local time
+- cron: 5-field cron expression "minute hour day month weekday" in server
+  local time, e.g. "0 2 * * *" (every night at 02:00), "30 18 * * FRI",
+  or @hourly / @daily / @weekly / @monthly
+
+Schedules are saved to disk and survive restarts; a run missed while the
+server was down happens once at the next start. Each run creates a normal
+download (or batch) whose record has schedule_id set to the schedule ID.
+  `,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      ...downloadProperties,
+      run_at: {
+        type: 'string',
+        description: 'When to download once, ISO timestamp including a time (e.g. "2026-01-31T02:00:00+08:00")'
+      },
+      cron: {
+        type: 'string',
+        description: 'Repeat on a cron schedule in server local time (e.g. "0 2 * * *")'
+      },
+      name: {
+        type: 'string',
+        description: 'Optional label shown in list_schedules'
+      }
+    },
+    required: ['url']
+  }
+};
+
+export const listSchedulesTool = {
+  name: 'list_schedules',
+  description: `
+List scheduled downloads with their next run time and the result of recent runs
+(the download or batch ID each run created).
+  `,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      include_finished: {
+        type: 'boolean',
+        default: false,
+        description: 'Also list one-off schedules that already ran and cancelled schedules'
+      }
+    },
+    required: []
+  }
+};
+
+export const cancelScheduleTool = {
+  name: 'cancel_schedule',
+  description: `
+Cancel a scheduled download so it no longer runs. Downloads it already started
+are not affected (use cancel_download for those).
+  `,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      schedule_id: {
+        type: 'string',
+        description: 'Schedule ID returned by schedule_download'
+      }
+    },
+    required: ['schedule_id']
+  }
+};
+
+// 定时任务状态的显示文本
+const SCHEDULE_STATUS = {
+  active: '🟢 有效',
+  completed: '✅ 已运行',
+  cancelled: '⚠️ 已取消'
+};
+
+/**
+ * 处理创建定时下载工具调用
+ */
+export async function handleScheduleDownload(args) {
+  try {
+    // 验证参数
+    const validatedArgs = ScheduleDownloadArgsSchema.parse(args);
+
+    if (!isDirectURL(validatedArgs.url)) {
+      return {
+        content: [{
+          type: 'text',
+          text: `❌ 无效的URL格式\n\n请提供有效的视频URL，例如:\n- https://www.youtube.com/watch?v=xxx\n- https://www.bilibili.com/video/BVxxx`
+        }],
+        isError: true
+      };
+    }
+
+    let schedule;
+    try {
+      // 时间段在创建时就检查，避免到运行时才发现格式错误
+      normalizeTimeRanges({
+        startTime: validatedArgs.start_time,
+        endTime: validatedArgs.end_time,
+        sections: validatedArgs.sections
+      });
+
+      schedule = await createSchedule({
+        url: validatedArgs.url,
+        downloadArgs: getDownloadArgs(args),
+        runAt: validatedArgs.run_at,
+        cron: validatedArgs.cron,
+        name: validatedArgs.name
+      });
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `❌ 参数验证失败: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+
+    let resultText = `⏰ 定时下载已创建\n\n`;
+    resultText += `🆔 定时任务ID: ${schedule.id}\n`;
+    if (schedule.name) {
+      resultText += `📝 名称: ${schedule.name}\n`;
+    }
+    resultText += `🔗 URL: ${schedule.url}\n`;
+    resultText += `${describeRecurrence(schedule)}\n`;
+    resultText += `🕐 下次运行: ${formatDate(schedule.next_run_at)}\n`;
+    resultText += `\n使用 list_schedules 查看定时任务，cancel_schedule 取消。触发的下载记录带有 schedule_id。`;
+
+    return {
+      content: [{
+        type: 'text',
+        text: resultText
+      }],
+      isError: false
+    };
+
+  } catch (error) {
+    logger.error('💥 Schedule download tool execution failed:', error);
+    return formatToolError(error);
+  }
+}
+
+/**
+ * 处理定时任务列表工具调用
+ */
+export async function handleListSchedules(args) {
+  try {
+    const { include_finished } = ListSchedulesArgsSchema.parse(args);
+    const schedules = await listSchedules({ includeFinished: include_finished });
+
+    if (schedules.length === 0) {
+      return {
+        content: [{
+          type: 'text',
+          text: `📭 没有${include_finished ? '' : '有效的'}定时任务\n\n使用 schedule_download 创建定时下载。`
+        }],
+        isError: false
+      };
+    }
+
+    const lines = schedules.map((schedule, index) => formatSchedule(schedule, index + 1));
+    return {
+      content: [{
+        type: 'text',
+        text: `⏰ 定时任务 (${schedules.length})\n\n${lines.join('\n\n')}`
+      }],
+      isError: false
+    };
+
+  } catch (error) {
+    logger.error('💥 List schedules tool execution failed:', error);
+    return formatToolError(error);
+  }
+}
+
+/**
+ * 处理取消定时任务工具调用
+ */
+export async function handleCancelSchedule(args) {
+  try {
+    const { schedule_id } = CancelScheduleArgsSchema.parse(args);
+    logger.info('🛑 Processing cancel schedule request', { schedule_id });
+
+    let schedule;
+    try {
+      schedule = await cancelSchedule(schedule_id);
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `❌ 取消定时任务失败: ${error.message}\n\n使用 list_schedules 查看定时任务。`
+        }],
+        isError: true
+      };
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: `🛑 定时任务已取消\n\n🆔 定时任务ID: ${schedule.id}\n🔗 URL: ${schedule.url}\n📊 已运行: ${schedule.run_count} 次`
+      }],
+      isError: false
+    };
+
+  } catch (error) {
+    logger.error('💥 Cancel schedule tool execution failed:', error);
+    return formatToolError(error);
+  }
+}
+
+/**
+ * 到期时执行定时任务：与直接调用 download_video 相同，下载在后台进行
+ */
+export async function runScheduledDownload(schedule) {
+  const queued = [];
+  const result = await handleDownloadVideo({ ...schedule.download_args, url: schedule.url, wait: false }, {
+    scheduleId: schedule.id,
+    onQueued: id => queued.push(id)
+  });
+
+  return {
+    downloadId: queued[0] || null,
+    error: result.isError ? result.content[0].text.split('\n')[0] : null
+  };
+}
+
+/**
+ * 保存的 download_video 参数：去掉 url、wait 和定时任务自身的参数，运行时再按当时的默认值验证
+ */
+function getDownloadArgs(args) {
+  return Object.fromEntries(Object.entries(args)
+    .filter(([key]) => !['url', 'wait', ...SCHEDULE_KEYS].includes(key)));
+}
+
+function describeRecurrence(schedule) {
+  return schedule.cron ? `🔁 重复: ${schedule.cron}` : `🕐 一次性: ${formatDate(schedule.run_at)}`;
+}
+
+/**
+ * 格式化列表中的一个定时任务
+ */
+function formatSchedule(schedule, index) {
+  const lines = [`${index}. ${SCHEDULE_STATUS[schedule.status] || schedule.status} ${schedule.name || schedule.url}`];
+  lines.push(`   🆔 ${schedule.id}`);
+  if (schedule.name) {
+    lines.push(`   🔗 ${schedule.url}`);
+  }
+  lines.push(`   ${describeRecurrence(schedule)}`);
+  if (schedule.next_run_at) {
+    lines.push(`   ⏭️  下次运行: ${formatDate(schedule.next_run_at)}`);
+  }
+
+  const lastRun = schedule.runs?.[0];
+  if (lastRun) {
+    const outcome = lastRun.error ? `❌ ${lastRun.error}` : `下载任务 ${lastRun.download_id}`;
+    lines.push(`   📥 上次运行 (${formatDate(lastRun.started_at)}，共 ${schedule.run_count} 次): ${outcome}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * 参数错误和意外错误的返回内容
+ */
+function formatToolError(error) {
+  if (error instanceof z.ZodError) {
+    const errorDetails = error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
+    return {
+      content: [{
+        type: 'text',
+        text: `❌ 参数验证失败: ${errorDetails}`
+      }],
+      isError: true
+    };
+  }
+
+  return {
+    content: [{
+      type: 'text',
+      text: `❌ 工具执行失败: ${error.message}\n\n这可能是一个内部错误，请稍后重试或报告此问题。`
+    }],
+    isError: true
+  };
+}
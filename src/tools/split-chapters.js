@@ -0,0 +1,145 @@
+/**
+ * Split Chapters MCP Tool
+ * 把已下载的视频或音频按章节切分成多个文件
+ */
+
+import { z } from 'zod';
+import { getDownloadRecord } from '../core/download-manager.js';
+import { splitChapters, describeChapterSplit } from '../core/chapter-splitter.js';
+import { classifyError, extractErrorMessage } from '../core/error-classifier.js';
+import { formatErrorGuidance } from '../utils/formatters.js';
+import { logger } from '../utils/logger.js';
+
+// 工具参数验证schema
+const SplitChaptersArgsSchema = z.object({
+  download_id: z.string().min(1, 'download_id is required'),
+  force: z.boolean().default(false)
+});
+
+// MCP工具定义
+export const splitChaptersTool = {
+  name: 'split_chapters',
+  description: `
+Cut an already-downloaded video or audio file into one file per chapter.
+
+Chapters come from the video info saved with the download, or from the
+chapter markers embedded in the file. The files are named by chapter index
+and title ("01 - Intro.mp4") and placed in a folder named after the video,
+next to the original file, which is kept. Streams are copied without
+re-encoding, so cuts land on the nearest keyframe. Needs ffmpeg.
+
+Each chapter file gets its own download record linked to the original one;
+get_download_status on the original ID shows the folder and chapter count.
+Pass force: true to split a download again.
+  `,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      download_id: {
+        type: 'string',
+        description: 'ID of a completed download'
+      },
+      force: {
+        type: 'boolean',
+        default: false,
+        description: 'Split again even if the download was split before (previous chapter files are replaced)'
+      }
+    },
+    required: ['download_id']
+  }
+};
+
+/**
+ * 处理按章节切分工具调用
+ */
+export async function handleSplitChapters(args) {
+  let downloadId = args?.download_id;
+
+  try {
+    // 验证参数
+    const validatedArgs = SplitChaptersArgsSchema.parse(args);
+    downloadId = validatedArgs.download_id;
+
+    logger.info('✂️  Processing split chapters request', { download_id: downloadId, force: validatedArgs.force });
+
+    const record = await getDownloadRecord(downloadId);
+    const problem = checkRecord(record, downloadId, validatedArgs.force);
+    if (problem) {
+      return {
+        content: [{
+          type: 'text',
+          text: problem
+        }],
+        isError: true
+      };
+    }
+
+    const chapterSplit = await splitChapters(record, { force: validatedArgs.force });
+
+    return {
+      content: [{
+        type: 'text',
+        text: `✂️  章节切分完成
+
+📺 标题: ${record.title}
+🎬 原文件: ${record.file_path}
+📑 ${describeChapterSplit(chapterSplit)}
+
+每个章节都保存为一条下载记录，可用 get_download_status 查询。`
+      }],
+      isError: false
+    };
+
+  } catch (error) {
+    logger.error('💥 Split chapters tool execution failed:', error);
+
+    if (error instanceof z.ZodError) {
+      const errorDetails = error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
+      return {
+        content: [{
+          type: 'text',
+          text: `❌ 参数验证失败: ${errorDetails}`
+        }],
+        isError: true
+      };
+    }
+
+    const { code, label } = classifyError(error.message);
+    return {
+      content: [{
+        type: 'text',
+        text: `❌ 章节切分失败: ${label} (${code})\n📝 详情: ${extractErrorMessage(error.message) || error.message}\n\n🆔 任务ID: ${downloadId}\n\n${formatErrorGuidance(code)}`
+      }],
+      isError: true
+    };
+  }
+}
+
+/**
+ * 只有已完成的单个下载可以切分，返回不能切分的原因
+ */
+function checkRecord(record, downloadId, force) {
+  if (!record) {
+    return `❌ 未找到下载任务: ${downloadId}\n\n请确认任务ID是否正确，可使用 list_downloads 查看所有下载记录。`;
+  }
+  if (record.type === 'batch') {
+    return `❌ ${downloadId} 是批量任务，请对其中的单个下载切分章节`;
+  }
+  if (record.type === 'chapter') {
+    return `❌ ${downloadId} 本身是章节文件（来自下载任务 ${record.parent_id}）`;
+  }
+  if (record.status === 'already_exists') {
+    const original = record.original_download_id ? `，请使用原下载任务 ${record.original_download_id}` : '';
+    return `❌ 这个任务没有下载新文件${original}`;
+  }
+  if (record.time_range) {
+    return `❌ ${downloadId} 只下载了视频的一个时间段，章节时间与片段不对应`;
+  }
+  if (record.status !== 'completed') {
+    return `❌ 下载任务尚未完成 (${record.status})，完成后才能切分章节`;
+  }
+  if (record.chapter_split?.chapter_ids?.length && !force) {
+    return `⚠️  已经切分过: ${describeChapterSplit(record.chapter_split)}\n\n传入 force: true 重新切分（旧的章节文件会被替换）。`;
+  }
+  return null;
+}
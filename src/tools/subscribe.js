@@ -0,0 +1,410 @@
+/**
+ * Subscription MCP Tools
+ * 订阅频道和播放列表，自动下载新视频
+ */
+
+import { z } from 'zod';
+import { createSubscription, listSubscriptions, removeSubscription, findSubscriptionByURL, DEFAULT_POLL_INTERVAL, MIN_POLL_INTERVAL } from '../core/subscription-manager.js';
+import { normalizeFilters } from '../core/video-filters.js';
+import { isPlaylistURL, normalizeDate } from '../core/playlist.js';
+import { parseTimestamp } from '../core/time-range.js';
+import { validateTemplate } from '../core/filename-template.js';
+import { classifyError, extractErrorMessage } from '../core/error-classifier.js';
+import { isDirectURL } from '../utils/validators.js';
+import { formatDate, formatDuration, formatErrorGuidance } from '../utils/formatters.js';
+import { logger } from '../utils/logger.js';
+
+// 时长：秒数或 HH:MM:SS，具体格式在 parseTimestamp 中校验
+const DurationSchema = z.union([z.number().nonnegative(), z.string().min(1)]);
+
+// 工具参数验证schema
+const SubscribeArgsSchema = z.object({
+  url: z.string().url('Must be a valid URL'),
+  name: z.string().max(100).optional(),
+  poll_interval: DurationSchema.default(DEFAULT_POLL_INTERVAL),
+  quality: z.enum(['best', 'worst', '720p', '1080p', '480p', '360p']).default('best'),
+  output_template: z.string().min(1).optional(),
+  title_pattern: z.string().min(1).optional(),
+  min_duration: DurationSchema.optional(),
+  max_duration: DurationSchema.optional(),
+  skip_shorts: z.boolean().default(false),
+  date_after: z.string().regex(/^\d{4}-?\d{2}-?\d{2}$/, 'Use a date like "2024-01-31"').optional()
+});
+
+const UnsubscribeArgsSchema = z.object({
+  subscription_id: z.string().min(1, 'subscription_id is required')
+});
+
+// MCP工具定义
+export const subscribeTool = {
+  name: 'subscribe',
+  description: `
+Subscribe to a channel, uploader space or playlist (YouTube, Bilibili) and
+download new videos automatically.
+
+The subscription is checked right away and then every poll_interval: the
+newest entries are compared with the download history, and videos without a
+download record are queued like download_video does, with the subscription's
+quality and output_template. Without date_after the first check only records
+the videos that already exist, so just later uploads are downloaded; with
+date_after everything published since that date is downloaded too.
+
+Filters: title_pattern (regex, case-insensitive), min_duration / max_duration,
+skip_shorts, date_after. Each check creates a batch whose records have
+subscription_id set. Subscriptions are saved to disk and survive restarts.
+  `,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      url: {
+        type: 'string',
+        description: 'Channel, uploader space or playlist URL'
+      },
+      name: {
+        type: 'string',
+        description: 'Optional label, defaults to the channel or playlist title'
+      },
+      poll_interval: {
+        type: ['number', 'string'],
+        default: DEFAULT_POLL_INTERVAL,
+        description: `How often to check for new videos, seconds or HH:MM:SS (at least ${MIN_POLL_INTERVAL}s)`
+      },
+      quality: {
+        type: 'string',
+        enum: ['best', 'worst', '720p', '1080p', '480p', '360p'],
+        default: 'best',
+        description: 'Video quality preference'
+      },
+      output_template: {
+        type: 'string',
+        description: 'Filename template relative to the download path, e.g. "{uploader}/{upload_date:%Y-%m}/{title}.{ext}" (defaults to OUTPUT_TEMPLATE or <platform>/<channel>/)'
+      },
+      title_pattern: {
+        type: 'string',
+        description: 'Only download videos whose title matches this regular expression (case-insensitive)'
+      },
+      min_duration: {
+        type: ['number', 'string'],
+        description: 'Skip videos shorter than this, seconds or HH:MM:SS'
+      },
+      max_duration: {
+        type: ['number', 'string'],
+        description: 'Skip videos longer than this, seconds or HH:MM:SS'
+      },
+      skip_shorts: {
+        type: 'boolean',
+        default: false,
+        description: 'Skip YouTube Shorts (/shorts/ links and videos of 60 seconds or less)'
+      },
+      date_after: {
+        type: 'string',
+        description: 'Also download videos published on or after this date (YYYY-MM-DD)'
+      }
+    },
+    required: ['url']
+  }
+};
+
+export const unsubscribeTool = {
+  name: 'unsubscribe',
+  description: `
+Remove a subscription so it is no longer checked. Downloads it already queued
+continue; use cancel_download with their batch ID to stop them.
+  `,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      subscription_id: {
+        type: 'string',
+        description: 'Subscription ID returned by subscribe'
+      }
+    },
+    required: ['subscription_id']
+  }
+};
+
+export const listSubscriptionsTool = {
+  name: 'list_subscriptions',
+  description: `
+List subscriptions with their filters, poll interval, next check time and the
+result of the last check (new videos queued and the batch ID).
+  `,
+  inputSchema: {
+    type: 'object',
+    properties: {},
+    required: []
+  }
+};
+
+/**
+ * 处理订阅工具调用
+ */
+export async function handleSubscribe(args) {
+  try {
+    // 验证参数
+    const validatedArgs = SubscribeArgsSchema.parse(args);
+
+    if (!isDirectURL(validatedArgs.url) || !isPlaylistURL(validatedArgs.url)) {
+      return {
+        content: [{
+          type: 'text',
+          text: `❌ 无法订阅该URL\n\n请提供频道、UP主空间或播放列表链接，例如:\n- https://www.youtube.com/@channel\n- https://www.youtube.com/playlist?list=xxx\n- https://space.bilibili.com/123456`
+        }],
+        isError: true
+      };
+    }
+
+    let options;
+    try {
+      options = parseSubscriptionOptions(validatedArgs);
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `❌ 参数验证失败: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+
+    logger.info('📡 Processing subscribe request', { url: validatedArgs.url, poll_interval: options.pollInterval });
+
+    const existing = await findSubscriptionByURL(validatedArgs.url);
+    if (existing) {
+      return {
+        content: [{
+          type: 'text',
+          text: `⚠️  已经订阅过该URL\n\n🆔 订阅ID: ${existing.id}\n📺 ${existing.name || existing.url}\n\n使用 list_subscriptions 查看订阅。`
+        }],
+        isError: true
+      };
+    }
+
+    let created;
+    try {
+      created = await createSubscription({ url: validatedArgs.url, ...options });
+    } catch (error) {
+      const { code, label } = classifyError(error.message);
+      return {
+        content: [{
+          type: 'text',
+          text: `❌ 订阅失败: ${label} (${code})\n📝 详情: ${extractErrorMessage(error.message) || error.message}\nURL: ${validatedArgs.url}\n\n${formatErrorGuidance(code)}`
+        }],
+        isError: true
+      };
+    }
+
+    const { subscription, result } = created;
+    let resultText = `📡 订阅已创建\n\n`;
+    resultText += `🆔 订阅ID: ${subscription.id}\n`;
+    resultText += formatSubscriptionDetails(subscription);
+    resultText += `\n${formatCheckResult(result)}\n`;
+    resultText += `\n使用 list_subscriptions 查看订阅，unsubscribe 取消订阅。下载记录带有 subscription_id。`;
+
+    return {
+      content: [{
+        type: 'text',
+        text: resultText
+      }],
+      isError: false
+    };
+
+  } catch (error) {
+    logger.error('💥 Subscribe tool execution failed:', error);
+    return formatToolError(error);
+  }
+}
+
+/**
+ * 处理取消订阅工具调用
+ */
+export async function handleUnsubscribe(args) {
+  try {
+    const { subscription_id } = UnsubscribeArgsSchema.parse(args);
+    logger.info('🛑 Processing unsubscribe request', { subscription_id });
+
+    let subscription;
+    try {
+      subscription = await removeSubscription(subscription_id);
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `❌ 取消订阅失败: ${error.message}\n\n使用 list_subscriptions 查看订阅。`
+        }],
+        isError: true
+      };
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: `🛑 已取消订阅\n\n🆔 订阅ID: ${subscription.id}\n📺 ${subscription.name || subscription.url}\n📊 共排队 ${subscription.queued_total} 个视频，已排队的下载不受影响`
+      }],
+      isError: false
+    };
+
+  } catch (error) {
+    logger.error('💥 Unsubscribe tool execution failed:', error);
+    return formatToolError(error);
+  }
+}
+
+/**
+ * 处理订阅列表工具调用
+ */
+export async function handleListSubscriptions() {
+  try {
+    const subscriptions = await listSubscriptions();
+
+    if (subscriptions.length === 0) {
+      return {
+        content: [{
+          type: 'text',
+          text: `📭 没有订阅\n\n使用 subscribe 订阅频道或播放列表。`
+        }],
+        isError: false
+      };
+    }
+
+    const lines = subscriptions.map((subscription, index) => {
+      let text = `${index + 1}. 📺 ${subscription.name || subscription.url}\n   🆔 ${subscription.id}\n`;
+      text += formatSubscriptionDetails(subscription, '   ');
+      if (subscription.last_check) {
+        text += `   ${formatCheckResult(subscription.last_check)}\n`;
+      }
+      return text.trimEnd();
+    });
+
+    return {
+      content: [{
+        type: 'text',
+        text: `📡 订阅 (${subscriptions.length})\n\n${lines.join('\n\n')}`
+      }],
+      isError: false
+    };
+
+  } catch (error) {
+    logger.error('💥 List subscriptions tool execution failed:', error);
+    return formatToolError(error);
+  }
+}
+
+/**
+ * 解析检查间隔、过滤条件和模板
+ */
+function parseSubscriptionOptions(validatedArgs) {
+  const pollInterval = parseTimestamp(validatedArgs.poll_interval);
+  if (pollInterval < MIN_POLL_INTERVAL) {
+    throw new Error(`poll_interval must be at least ${MIN_POLL_INTERVAL} seconds`);
+  }
+
+  if (validatedArgs.output_template) {
+    const error = validateTemplate(validatedArgs.output_template);
+    if (error) {
+      throw new Error(error);
+    }
+  }
+
+  return {
+    name: validatedArgs.name || null,
+    pollInterval,
+    quality: validatedArgs.quality,
+    outputTemplate: validatedArgs.output_template || null,
+    dateAfter: normalizeDate(validatedArgs.date_after),
+    filters: normalizeFilters({
+      titlePattern: validatedArgs.title_pattern,
+      minDuration: validatedArgs.min_duration,
+      maxDuration: validatedArgs.max_duration,
+      skipShorts: validatedArgs.skip_shorts
+    })
+  };
+}
+
+/**
+ * 订阅的URL、间隔、画质、模板和过滤条件
+ */
+function formatSubscriptionDetails(subscription, indent = '') {
+  const lines = [`🔗 URL: ${subscription.url}`];
+  lines.push(`🔁 检查间隔: ${formatDuration(subscription.poll_interval)} | 🎬 画质: ${subscription.quality}`);
+  if (subscription.output_template) {
+    lines.push(`📁 文件名模板: ${subscription.output_template}`);
+  }
+
+  const filters = describeFilters(subscription);
+  if (filters) {
+    lines.push(`🔍 过滤: ${filters}`);
+  }
+  if (subscription.next_check_at) {
+    lines.push(`⏭️  下次检查: ${formatDate(subscription.next_check_at)}`);
+  }
+  return lines.map(line => `${indent}${line}\n`).join('');
+}
+
+/**
+ * 过滤条件的说明
+ */
+function describeFilters(subscription) {
+  const { filters } = subscription;
+  const parts = [];
+
+  if (filters?.title_pattern) {
+    parts.push(`标题匹配 /${filters.title_pattern}/`);
+  }
+  if (filters?.min_duration) {
+    parts.push(`不短于 ${formatDuration(filters.min_duration)}`);
+  }
+  if (filters?.max_duration !== null && filters?.max_duration !== undefined) {
+    parts.push(`不长于 ${formatDuration(filters.max_duration)}`);
+  }
+  if (filters?.skip_shorts) {
+    parts.push('跳过 Shorts');
+  }
+  if (subscription.date_after) {
+    parts.push(`${subscription.date_after.replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3')} 之后发布`);
+  }
+  return parts.join('，');
+}
+
+/**
+ * 一次检查的结果
+ */
+function formatCheckResult(result) {
+  const checkedAt = formatDate(result.checked_at);
+  if (result.error) {
+    return `❌ 上次检查 (${checkedAt}) 失败: ${result.error}`;
+  }
+  if (result.baseline) {
+    return `📥 上次检查 (${checkedAt}): 已记录 ${result.baseline} 个已有视频，之后只下载新视频 (批量任务 ${result.batch_id})`;
+  }
+  if (result.new_items) {
+    const filtered = result.filtered ? `，${result.filtered} 个不符合过滤条件` : '';
+    return `📥 上次检查 (${checkedAt}): ${result.new_items} 个新视频已排队${filtered} (批量任务 ${result.batch_id})`;
+  }
+  const filtered = result.filtered ? `，${result.filtered} 个不符合过滤条件` : '';
+  return `📥 上次检查 (${checkedAt}): 没有新视频${filtered}`;
+}
+
+/**
+ * 参数错误和意外错误的返回内容
+ */
+function formatToolError(error) {
+  if (error instanceof z.ZodError) {
+    const errorDetails = error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
+    return {
+      content: [{
+        type: 'text',
+        text: `❌ 参数验证失败: ${errorDetails}`
+      }],
+      isError: true
+    };
+  }
+
+  return {
+    content: [{
+      type: 'text',
+      text: `❌ 工具执行失败: ${error.message}\n\n这可能是一个内部错误，请稍后重试或报告此问题。`
+    }],
+    isError: true
+  };
+}
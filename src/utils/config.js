@@ -7,6 +7,8 @@ import fs from 'fs';
 import path from 'path';
 import { logger } from './logger.js';
 import { ensureYtDlp } from './yt-dlp-installer.js';
+import { parsePlatformLimits } from '../core/download-scheduler.js';
+import { getTemplateOverrides, validateTemplate } from '../core/filename-template.js';
 
 // 默认配置
 const DEFAULT_CONFIG = {
@@ -22,14 +24,25 @@ const DEFAULT_CONFIG = {
   throttledRate: '100K',
   defaultQuality: 'best',
   
+  // 调度配置
+  maxConcurrentDownloads: 3,
+  platformConcurrency: {},  // 例如 { youtube: 2, bilibili: 1 }
+  
   // 文件管理配置
   autoCleanup: true,
   keepFragments: false,
-  downloadHistoryRetentionDays: 30
+  downloadHistoryRetentionDays: 30,
+  outputTemplates: {},  // 例如 { default: '{uploader}/{title}.{ext}', youtube: '...' }
+  
+  // 下载记录存储：json 或 sqlite（需要 Node.js 22.13+，22.5–22.12 需加 --experimental-sqlite）
+  historyBackend: 'json',
+  
+  // 启动时如何处理上次中断的下载：resume 自动续传，report 只标记为 interrupted
+  recoveryMode: 'resume'
 };
 
 /**
- * 验证配置
+ * 验证配置，通过时返回配置
  */
 export async function validateConfig() {
   const config = await getConfig();
@@ -68,6 +81,31 @@ export async function validateConfig() {
     errors.push('concurrentFragments must be between 1 and 32');
   }
   
+  if (!(config.maxConcurrentDownloads >= 1 && config.maxConcurrentDownloads <= 32)) {
+    errors.push('maxConcurrentDownloads must be between 1 and 32');
+  }
+  
+  if (!['json', 'sqlite'].includes(config.historyBackend)) {
+    errors.push('HISTORY_BACKEND must be "json" or "sqlite"');
+  } else if (config.historyBackend === 'sqlite') {
+    try {
+      await import('node:sqlite');
+    } catch (error) {
+      errors.push(`HISTORY_BACKEND=sqlite requires Node.js 22.13 or later, or 22.5 or later started with --experimental-sqlite (running ${process.version})`);
+    }
+  }
+  
+  if (!['resume', 'report'].includes(config.recoveryMode)) {
+    errors.push('RECOVERY_MODE must be "resume" or "report"');
+  }
+  
+  Object.entries(config.outputTemplates).forEach(([platform, template]) => {
+    const error = validateTemplate(template);
+    if (error) {
+      errors.push(`${platform === 'default' ? 'OUTPUT_TEMPLATE' : `OUTPUT_TEMPLATE_${platform.toUpperCase()}`}: ${error}`);
+    }
+  });
+  
   if (errors.length > 0) {
     const errorMessage = `Configuration validation failed:\n${errors.join('\n')}`;
     logger.error(errorMessage);
@@ -75,7 +113,7 @@ export async function validateConfig() {
   }
   
   logger.info('✅ Configuration validated successfully');
-  return true;
+  return config;
 }
 
 /**
@@ -112,6 +150,14 @@ export async function getConfig() {
     config.concurrentFragments = parseInt(process.env.CONCURRENT_FRAGMENTS, 10);
   }
   
+  if (process.env.MAX_CONCURRENT_DOWNLOADS) {
+    config.maxConcurrentDownloads = parseInt(process.env.MAX_CONCURRENT_DOWNLOADS, 10);
+  }
+  
+  if (process.env.PLATFORM_CONCURRENCY) {
+    config.platformConcurrency = parsePlatformLimits(process.env.PLATFORM_CONCURRENCY);
+  }
+  
   if (process.env.THROTTLED_RATE) {
     config.throttledRate = process.env.THROTTLED_RATE;
   }
@@ -120,6 +166,16 @@ export async function getConfig() {
     config.defaultQuality = process.env.DEFAULT_QUALITY;
   }
   
+  config.outputTemplates = getTemplateOverrides(process.env);
+  
+  if (process.env.HISTORY_BACKEND) {
+    config.historyBackend = process.env.HISTORY_BACKEND.toLowerCase();
+  }
+  
+  if (process.env.RECOVERY_MODE) {
+    config.recoveryMode = process.env.RECOVERY_MODE.toLowerCase();
+  }
+  
   // 布尔值配置
   if (process.env.AUTO_CLEANUP) {
     config.autoCleanup = process.env.AUTO_CLEANUP.toLowerCase() === 'true';
@@ -152,7 +208,8 @@ export async function getConfigSummary() {
     ytDlpPath: config.ytDlpPath ? 'detected' : 'not found',
     defaultQuality: config.defaultQuality,
     autoCleanup: config.autoCleanup,
-    maxRetries: config.maxRetries
+    maxRetries: config.maxRetries,
+    maxConcurrentDownloads: config.maxConcurrentDownloads
   };
 }
 
@@ -170,6 +227,12 @@ LOG_LEVEL=INFO
 # YT_DLP_PATH=/custom/path/to/yt-dlp
 # DEFAULT_QUALITY=best
 # AUTO_CLEANUP=true
+# MAX_CONCURRENT_DOWNLOADS=3
+# PLATFORM_CONCURRENCY=youtube=2,bilibili=1
+# OUTPUT_TEMPLATE={uploader}/{upload_date:%Y-%m}/{title}.{ext}
+# OUTPUT_TEMPLATE_YOUTUBE={uploader}/{title} [{id}].{ext}
+# HISTORY_BACKEND=json
+# RECOVERY_MODE=resume
 `;
 
   return exampleEnv;
@@ -0,0 +1,178 @@
+/**
+ * Cron Expressions
+ * 解析五段式 cron 表达式（分 时 日 月 周）并计算下一次运行时间
+ *
+ * 支持 *、列表（1,15）、范围（1-5）、步长（*\/15、0-30/10）、月份和星期的英文缩写（JAN、MON），
+ * 以及 @hourly / @daily / @weekly / @monthly / @yearly。时间按服务器本地时区计算。
+ * 与常见 cron 实现一致：日和周都不是 * 时，满足其中一个即可。
+ */
+
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+// 各字段的取值范围；星期的 7 与 0 都表示周日
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+// 查找下一次运行时间的范围，超出时认为表达式不会匹配（例如 2 月 30 日）
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * 解析 cron 表达式，格式错误时抛出异常
+ */
+export function parseCron(expression) {
+  const text = String(expression ?? '').trim();
+  const parts = (ALIASES[text.toLowerCase()] || text).split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields (minute hour day month weekday)`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index], expression));
+
+  // 周日统一为 0
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.delete(7);
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+}
+
+/**
+ * 表达式是否有效
+ */
+export function isValidCron(expression) {
+  try {
+    getNextCronTime(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * after 之后（不含 after 所在的分钟）的下一次运行时间
+ */
+export function getNextCronTime(expression, after = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(date);
+  limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+  // 从大到小逐级跳过不匹配的月、日、时、分
+  while (date <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error(`Cron expression "${expression}" never matches`);
+}
+
+/**
+ * 日和周：都限定时满足其一即可，只限定一个时按该字段匹配
+ */
+function matchesDay(cron, date) {
+  const dayOfMonth = cron.daysOfMonth.has(date.getDate());
+  const dayOfWeek = cron.daysOfWeek.has(date.getDay());
+
+  if (cron.anyDayOfMonth && cron.anyDayOfWeek) {
+    return true;
+  }
+  if (cron.anyDayOfMonth) {
+    return dayOfWeek;
+  }
+  if (cron.anyDayOfWeek) {
+    return dayOfMonth;
+  }
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * 解析一个字段，返回允许的取值集合
+ */
+function parseField(text, field, expression) {
+  const values = new Set();
+  const invalid = () => new Error(`Invalid cron expression "${expression}": bad ${field.name} "${text}"`);
+
+  for (const item of text.split(',')) {
+    const match = item.match(/^([^/]+)(?:\/(\d+))?$/);
+    if (!match) {
+      throw invalid();
+    }
+
+    const [, range, stepText] = match;
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let start;
+    let end;
+
+    if (range === '*') {
+      [start, end] = [field.min, field.max];
+    } else {
+      const bounds = range.split('-');
+      if (bounds.length > 2) {
+        throw invalid();
+      }
+      start = parseValue(bounds[0], field);
+      // "5/15" 表示从 5 开始到最大值
+      end = bounds.length === 2 ? parseValue(bounds[1], field) : (stepText === undefined ? start : field.max);
+    }
+
+    if ([start, end].some(value => value === null || value < field.min || value > field.max) || start > end || step < 1) {
+      throw invalid();
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * 数字或英文缩写 -> 数值
+ */
+function parseValue(text, field) {
+  if (/^\d+$/.test(text)) {
+    return Number(text);
+  }
+  const index = field.names?.indexOf(text.toUpperCase()) ?? -1;
+  return index === -1 ? null : index + field.offset;
+}
@@ -3,6 +3,9 @@
  * 格式化工具函数
  */
 
+import { getErrorInfo } from '../core/error-classifier.js';
+import { formatTimeRange } from '../core/time-range.js';
+
 /**
  * 格式化文件大小
  */
@@ -72,9 +75,10 @@ export function formatDuration(durationInput) {
   
   // 如果是秒数，转换为 MM:SS 或 HH:MM:SS 格式
   if (typeof durationInput === 'number') {
-    const hours = Math.floor(durationInput / 3600);
-    const minutes = Math.floor((durationInput % 3600) / 60);
-    const seconds = durationInput % 60;
+    const total = Math.round(durationInput);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const seconds = total % 60;
     
     if (hours > 0) {
       return `${hours}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
@@ -135,6 +139,118 @@ export function formatSpeed(bytesPerSecond) {
   return `${speed} ${units[i]}`;
 }
 
+/**
+ * 格式化结构化下载进度，例如 "42.1% · 3.20 MB/s · ETA 1:05 · 片段 3/20"
+ */
+export function formatProgressDetail(detail) {
+  if (!detail) return '0%';
+  
+  const phaseLabels = {
+    merging: '合并中',
+    post_processing: '后处理中'
+  };
+  
+  const parts = [];
+  
+  if (phaseLabels[detail.phase]) {
+    parts.push(phaseLabels[detail.phase]);
+  }
+  
+  if (typeof detail.percent === 'number') {
+    parts.push(`${detail.percent.toFixed(1)}%`);
+  }
+  
+  if (detail.phase === 'downloading' || !detail.phase) {
+    if (detail.downloaded_bytes && detail.total_bytes) {
+      parts.push(`${formatFileSize(detail.downloaded_bytes)}/${detail.total_is_estimate ? '~' : ''}${formatFileSize(detail.total_bytes)}`);
+    }
+    if (detail.speed) {
+      parts.push(formatSpeed(detail.speed));
+    }
+    if (typeof detail.eta === 'number') {
+      parts.push(`ETA ${formatDuration(Math.round(detail.eta))}`);
+    }
+    if (detail.fragment_count) {
+      parts.push(`片段 ${detail.fragment_index || 0}/${detail.fragment_count}`);
+    }
+  }
+  
+  return parts.length > 0 ? parts.join(' · ') : '0%';
+}
+
+/**
+ * 格式化下载记录的进度，兼容只有百分比字符串的旧记录
+ */
+export function formatRecordProgress(record) {
+  if (!record) return '0%';
+  if (record.recording) return formatRecordingProgress(record.recording);
+  
+  return record.progress_detail
+    ? formatProgressDetail(record.progress_detail)
+    : (record.progress || '0%');
+}
+
+/**
+ * 格式化直播录制的进度，例如 "🔴 录制中 | 1:02:03 | 1.20 GB | 已保存 2 段"
+ */
+export function formatRecordingProgress(recording) {
+  const phases = {
+    waiting: '⏰ 等待开播',
+    recording: '🔴 录制中',
+    stopping: '🛑 正在停止',
+    finished: '⏹️ 已结束'
+  };
+  const parts = [phases[recording.phase] || recording.phase];
+
+  if (recording.elapsed_seconds) parts.push(formatDuration(recording.elapsed_seconds));
+  if (recording.total_bytes) parts.push(formatFileSize(recording.total_bytes));
+  if (recording.segment_length && recording.segments?.length) parts.push(`已保存 ${recording.segments.length} 段`);
+
+  return parts.join(' | ');
+}
+
+/**
+ * 格式化批量任务的子任务统计，例如 "✅ 3 | ❌ 1 | ⏳ 2"
+ */
+export function formatBatchSummary(summary = {}) {
+  const parts = [
+    ['✅', (summary.completed || 0) + (summary.already_exists || 0)],
+    ['⏭️', summary.skipped],
+    ['❌', summary.failed],
+    ['🛑', summary.cancelled],
+    ['⏸️', summary.paused],
+    ['🔌', summary.interrupted],
+    ['🚀', summary.in_progress],
+    ['⏳', summary.pending]
+  ];
+
+  return parts
+    .filter(([, count]) => count)
+    .map(([emoji, count]) => `${emoji} ${count}`)
+    .join(' | ') || '⏳ 0';
+}
+
+/**
+ * 格式化批量任务中的一个子任务
+ */
+export function formatBatchItem(item) {
+  const index = item.playlist_index ?? item.batch_index;
+  let line = `${index}. ${formatStatus(item.status)} ${item.title || item.url}`;
+  if (item.time_range) {
+    line += ` [${formatTimeRange(item.time_range)}]`;
+  }
+  if (item.status === 'in_progress') {
+    line += ` (${formatRecordProgress(item)})`;
+  } else if (item.status === 'failed' && item.error_message) {
+    line += ` - ${item.error_message}`;
+  } else if (item.status === 'skipped' && item.skip_reason) {
+    line += ` - ${item.skip_reason}`;
+  } else if (item.status === 'interrupted' && item.interrupted_reason) {
+    line += ` - ${item.interrupted_reason}`;
+  }
+  return line;
+}
+
 /**
  * 格式化状态标签
  */
@@ -145,7 +261,11 @@ export function formatStatus(status) {
     'in_progress': '🚀 下载中',
     'pending': '⏳ 等待中',
     'cancelled': '⚠️ 已取消',
-    'already_exists': '📁 已存在'
+    'paused': '⏸️ 已暂停',
+    'interrupted': '🔌 已中断',
+    'already_exists': '📁 已存在',
+    'skipped': '⏭️ 已跳过',
+    'partial': '⚠️ 部分完成'
   };
   
   return statusMap[status] || `❓ ${status}`;
@@ -190,6 +310,35 @@ export function formatError(error) {
   return JSON.stringify(error);
 }
 
+/**
+ * 格式化归类后的下载错误和处理建议
+ * error: { code, message, retries }
+ */
+export function formatDownloadError(error = {}) {
+  const info = getErrorInfo(error.code);
+
+  let text = `❌ 下载失败: ${info.label} (${info.code})\n`;
+  if (error.message) {
+    text += `📝 详情: ${error.message}\n`;
+  }
+  if (error.retries) {
+    text += `🔁 已自动重试 ${error.retries} 次\n`;
+  }
+
+  return `${text}\n${formatErrorGuidance(info.code)}`;
+}
+
+/**
+ * 格式化错误代码对应的处理建议
+ */
+export function formatErrorGuidance(code) {
+  let text = `💡 建议:\n`;
+  getErrorInfo(code).guidance.forEach((line, index) => {
+    text += `${index + 1}. ${line}\n`;
+  });
+  return text;
+}
+
 /**
  * 格式化URL（隐藏查询参数）
  */
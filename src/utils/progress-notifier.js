@@ -0,0 +1,83 @@
+/**
+ * MCP Progress Notifier
+ * 把下载进度节流后转换为 MCP notifications/progress 消息
+ */
+
+import { formatSpeed } from './formatters.js';
+import { logger } from './logger.js';
+
+// 两次通知之间的最小间隔（毫秒）
+const DEFAULT_MIN_INTERVAL = 1000;
+
+const PHASE_MESSAGES = {
+  queued: 'queued',
+  merging: 'merging formats',
+  post_processing: 'post-processing'
+};
+
+/**
+ * 生成可读的进度消息，例如 "1080p video, 45%, 3.20 MB/s"
+ */
+export function formatProgressMessage(detail, label = 'video') {
+  const parts = [label];
+
+  if (PHASE_MESSAGES[detail.phase]) {
+    parts.push(PHASE_MESSAGES[detail.phase]);
+  }
+
+  if (typeof detail.percent === 'number' && detail.phase === 'downloading') {
+    parts.push(`${Math.round(detail.percent)}%`);
+  }
+
+  if (detail.speed && detail.phase === 'downloading') {
+    parts.push(formatSpeed(detail.speed));
+  }
+
+  if (detail.message) {
+    parts.push(detail.message);
+  }
+
+  return parts.join(', ');
+}
+
+/**
+ * 创建节流的进度通知函数
+ * 阶段变化和 force 的更新会立即发送，其余更新最多每 minInterval 发送一次；
+ * MCP 要求每次通知的进度严格大于上一次，进度没有增长时不发送
+ */
+export function createProgressNotifier(sendProgress, { label = 'video', minInterval = DEFAULT_MIN_INTERVAL } = {}) {
+  let lastSentAt = 0;
+  let lastPhase = null;
+  let lastProgress = null;
+  let highest = 0;
+
+  return (detail, { force = false } = {}) => {
+    const now = Date.now();
+    const phaseChanged = detail.phase !== lastPhase;
+
+    if (!force && !phaseChanged && now - lastSentAt < minInterval) {
+      return;
+    }
+
+    // 多格式下载时百分比会从0重新开始，只取最高值
+    if (typeof detail.percent === 'number') {
+      highest = Math.max(highest, Math.round(detail.percent * 10) / 10);
+    }
+    if (lastProgress !== null && highest <= lastProgress) {
+      return;
+    }
+
+    lastSentAt = now;
+    lastPhase = detail.phase;
+    lastProgress = highest;
+
+    const progress = highest;
+    Promise.resolve()
+      .then(() => sendProgress({
+        progress,
+        total: 100,
+        message: formatProgressMessage(detail, label)
+      }))
+      .catch(error => logger.warn('⚠️  Failed to send progress notification', { error: error.message }));
+  };
+}
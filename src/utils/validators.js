@@ -14,8 +14,8 @@ export function isDirectURL(input) {
   }
 
   const urlPatterns = [
-    /^https?:\/\/(www\.)?(youtube\.com|youtu\.be)/i,
-    /^https?:\/\/(www\.)?bilibili\.com/i,
+    /^https?:\/\/([\w-]+\.)?(youtube\.com|youtu\.be)/i,
+    /^https?:\/\/([\w-]+\.)?bilibili\.com/i,
     /^https?:\/\/(www\.)?magentamusik\.de/i,
     /^https?:\/\/(www\.)?vimeo\.com/i,
     /^https?:\/\/(www\.)?twitch\.tv/i,
@@ -37,6 +37,57 @@ export function isValidURL(url) {
   }
 }
 
+// 不影响视频内容的跟踪/分享参数，去重时忽略
+const TRACKING_PARAMS = [
+  /^utm_/,
+  /^si$/,
+  /^feature$/,
+  /^pp$/,
+  /^spm_id_from$/,
+  /^vd_source$/,
+  /^share_(source|medium|plat|session_id|tag|from)$/,
+  /^(from_spmid|unique_k|bbid|ts|timestamp)$/
+];
+
+/**
+ * 规范化URL用于去重：统一主机名、去掉跟踪参数和锚点、youtu.be/shorts 转为 watch 链接
+ * 无效URL返回 null
+ */
+export function normalizeURL(input) {
+  if (!isValidURL(input?.trim?.())) {
+    return null;
+  }
+
+  const url = new URL(input.trim());
+  url.hostname = url.hostname.toLowerCase().replace(/^(www|m)\./, '');
+  url.hash = '';
+
+  if (url.hostname === 'youtu.be') {
+    const videoId = url.pathname.slice(1);
+    url.hostname = 'youtube.com';
+    url.pathname = '/watch';
+    url.searchParams.set('v', videoId);
+  } else if (url.hostname === 'youtube.com' && url.pathname.startsWith('/shorts/')) {
+    const videoId = url.pathname.split('/')[2];
+    url.pathname = '/watch';
+    url.searchParams.set('v', videoId);
+  }
+
+  for (const key of [...url.searchParams.keys()]) {
+    if (TRACKING_PARAMS.some(pattern => pattern.test(key))) {
+      url.searchParams.delete(key);
+    }
+  }
+  url.searchParams.sort();
+
+  if (url.pathname.length > 1) {
+    url.pathname = url.pathname.replace(/\/+$/, '');
+  }
+  url.protocol = 'https:';
+
+  return url.toString();
+}
+
 /**
  * 验证视频质量参数
  */
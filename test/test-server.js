@@ -5,9 +5,36 @@
  * 测试MCP服务器的基本功能
  */
 
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { DewaServer } from '../src/index.js';
-import { isDirectURL, isValidQuality } from '../src/utils/validators.js';
+import { isDirectURL, isValidQuality, normalizeURL } from '../src/utils/validators.js';
 import { detectPlatform } from '../src/core/platforms.js';
+import { DownloadScheduler, parsePlatformLimits } from '../src/core/download-scheduler.js';
+import { parseProgressLine, mergeProgress } from '../src/core/progress-parser.js';
+import { buildFormatSelection, formatSelectionArgs, parseFileSize, getOutputExtension, getMissingFormatIds } from '../src/core/format-selector.js';
+import { buildSubtitleArgs, collectSubtitleFiles } from '../src/core/subtitles.js';
+import { buildSidecarArgs, collectSidecarFiles, removeSidecarFiles } from '../src/core/sidecars.js';
+import { normalizeChapters, getChapterFilename, describeChapterSplit } from '../src/core/chapter-splitter.js';
+import { parseTimestamp, normalizeTimeRanges, buildSectionArgs, getTimeRangeKey, withTimeRangeLabel, formatTimeRange } from '../src/core/time-range.js';
+import { getLiveFormat, buildRecordingArgs, getSegmentBasePath, recoverRecordingFiles } from '../src/core/live-recorder.js';
+import { getNextRunTime, RUN_AT_PATTERN } from '../src/core/schedule-manager.js';
+import { JsonStore } from '../src/core/json-store.js';
+import { createProgressNotifier } from '../src/utils/progress-notifier.js';
+import { isSeen } from '../src/core/subscription-manager.js';
+import { normalizeFilters, getFilterMismatch, needsFilterInfo } from '../src/core/video-filters.js';
+import { parseCron, isValidCron, getNextCronTime } from '../src/utils/cron.js';
+import { isPlaylistURL, normalizePlaylistURL, normalizeDate, parsePlaylistJSON } from '../src/core/playlist.js';
+import { summarizeBatch, getBatchStatus, prepareBatchEntries } from '../src/core/batch-manager.js';
+import { HistoryStore } from '../src/core/history-store.js';
+import { SqliteHistoryStore } from '../src/core/history-sqlite.js';
+import { writeFileAtomic, findPartialFiles, findOutputFile, generateUniqueFilename } from '../src/core/file-manager.js';
+import { inspectInterruptedDownload, describeInterruption } from '../src/core/recovery.js';
+import { classifyError, getRetryDelay, extractErrorMessage } from '../src/core/error-classifier.js';
+import { extractVideoKey, parseArchive } from '../src/core/download-archive.js';
+import { parseVideoInfo, toRecordMetadata, fallbackVideoInfo, UNKNOWN_TITLE } from '../src/core/video-info.js';
+import { getOutputTemplate, getTemplateOverrides, validateTemplate, templateUsesField, buildTemplateFields, renderTemplate } from '../src/core/filename-template.js';
 import { logger } from '../src/utils/logger.js';
 
 // 测试用例
@@ -182,6 +209,1045 @@ function testValidators() {
   return passed === total;
 }
 
+/**
+ * 测试下载调度器
+ */
+async function testDownloadScheduler() {
+  console.log('\n🧪 Testing Download Scheduler...');
+  
+  let passed = 0;
+  let total = 0;
+  
+  const check = (condition, message) => {
+    total++;
+    if (condition) {
+      console.log(`✅ ${message}`);
+      passed++;
+    } else {
+      console.log(`❌ ${message}`);
+    }
+  };
+  
+  const limits = parsePlatformLimits('youtube=2, bilibili=1,bad=x');
+  check(limits.youtube === 2 && limits.bilibili === 1 && !('bad' in limits), 'Platform limits parsed');
+  
+  const scheduler = new DownloadScheduler({ maxConcurrent: 2, platformLimits: { youtube: 1 } });
+  const started = [];
+  const releases = {};
+  const addJob = (id, platform, priority = 0) => scheduler.enqueue({
+    id,
+    platform,
+    priority,
+    task: () => new Promise(resolve => {
+      started.push(id);
+      releases[id] = resolve;
+    })
+  });
+  
+  const jobs = [
+    addJob('yt1', 'youtube'),
+    addJob('yt2', 'youtube'),
+    addJob('bili1', 'bilibili'),
+    addJob('low', 'bilibili', -1),
+    addJob('high', 'vimeo', 5)
+  ];
+  await new Promise(resolve => setImmediate(resolve));
+  
+  check(started.join(',') === 'yt1,bili1', 'Platform limit skips saturated platform');
+  check(scheduler.getQueue().queued.map(job => job.id).join(',') === 'high,yt2,low', 'Queue ordered by priority');
+  
+  scheduler.move('low', 'front');
+  check(scheduler.getQueue().queued[0].id === 'low', 'Job moved to front of queue');
+  
+  scheduler.setPriority('yt2', 10);
+  check(scheduler.getQueue().queued[0].id === 'yt2', 'Priority bump reorders queue');
+  
+  releases.yt1();
+  await new Promise(resolve => setImmediate(resolve));
+  check(started[2] === 'yt2', 'Next job starts when a slot frees up');
+  
+  Object.keys(releases).forEach(id => releases[id]());
+  await new Promise(resolve => setImmediate(resolve));
+  Object.keys(releases).forEach(id => releases[id]());
+  await Promise.all(jobs);
+  check(started.length === 5, 'All queued jobs eventually run');
+  
+  const lateStarted = [];
+  const lateScheduler = new DownloadScheduler({ maxConcurrent: 1 });
+  const lateReleases = [];
+  const lateJobs = ['a', 'b'].map(id => lateScheduler.enqueue({
+    id,
+    task: () => new Promise(resolve => {
+      lateStarted.push(id);
+      lateReleases.push(resolve);
+    })
+  }));
+  lateScheduler.configure({ maxConcurrent: 2 });
+  await new Promise(resolve => setImmediate(resolve));
+  check(lateStarted.length === 2, 'Raising the limit via configure starts queued jobs');
+  lateReleases.forEach(release => release());
+  await Promise.all(lateJobs);
+  
+  console.log(`\n📊 Download Scheduler: ${passed}/${total} tests passed`);
+  return passed === total;
+}
+
+/**
+ * 测试下载记录存储
+ */
+async function testHistoryStore() {
+  console.log('\n🧪 Testing History Store...');
+  
+  let passed = 0;
+  let total = 0;
+  
+  const check = (condition, message) => {
+    total++;
+    if (condition) {
+      console.log(`✅ ${message}`);
+      passed++;
+    } else {
+      console.log(`❌ ${message}`);
+    }
+  };
+  
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dewa-history-'));
+  const file = path.join(dir, 'downloads.json');
+  
+  try {
+    await writeFileAtomic(path.join(dir, 'atomic.json'), '[]');
+    check(fs.readdirSync(dir).join(',') === 'atomic.json', 'Atomic write leaves no temp file');
+    
+    const store = new HistoryStore(file, { compactThreshold: 100, progressInterval: 60000 });
+    await store.insert({ id: 'a', status: 'pending', started_at: new Date(0) });
+    await store.insert({ id: 'b', status: 'pending' });
+    await Promise.all([
+      store.update('a', { status: 'completed' }),
+      store.update('b', { status: 'failed' })
+    ]);
+    check(!fs.existsSync(file) && fs.readFileSync(`${file}.journal`, 'utf8').trim().split('\n').length === 4,
+      'Changes appended to journal');
+    check((await store.get('a')).started_at === new Date(0).toISOString(), 'Dates stored as strings');
+    
+    await store.update('b', { progress: '50%' }, { throttle: true });
+    check((await store.get('b')).progress === '50%', 'Throttled update visible in memory');
+    check(fs.readFileSync(`${file}.journal`, 'utf8').trim().split('\n').length === 4, 'Throttled update not yet written');
+    
+    fs.appendFileSync(`${file}.journal`, '{"op":"update","id":"a","data":{"sta');
+    const replayed = new HistoryStore(file);
+    check((await replayed.get('a')).status === 'completed' && (await replayed.get('b')).status === 'failed',
+      'Journal replayed on load, truncated entry skipped');
+    check(fs.existsSync(file) && !fs.existsSync(`${file}.journal`), 'Journal compacted into snapshot after replay');
+    
+    await store.flush();
+    const flushed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    check(flushed.find(record => record.id === 'b').progress === '50%', 'Flush writes pending progress');
+    check(JSON.parse(fs.readFileSync(`${file}.bak`, 'utf8')).length === 2, 'Previous snapshot kept as backup');
+    
+    await store.remove(['a']);
+    await store.flush();
+    fs.writeFileSync(file, '[{"id": "b",');
+    const restored = new HistoryStore(file);
+    const records = await restored.getAll();
+    check(records.length === 2 && records.some(record => record.id === 'a'), 'Corrupted file restored from backup');
+    check(fs.readdirSync(dir).some(name => name.startsWith('downloads.json.corrupt-')), 'Corrupted file kept for inspection');
+    
+    // 两种后端的查询结果应一致
+    const backends = [['json', new HistoryStore(path.join(dir, 'query.json'))]];
+    try {
+      await import('node:sqlite');
+      backends.push(['sqlite', new SqliteHistoryStore(path.join(dir, 'query.db'))]);
+    } catch {
+      console.log('⏭️  node:sqlite not available, skipping SQLite backend');
+    }
+    
+    for (const [name, backend] of backends) {
+      const seed = [
+        { id: 'q1', status: 'completed', platform: 'youtube', title: 'B', file_size: '10.00 MB', metadata: { uploader: 'Alice' }, created_at: '2024-01-01T00:00:00.000Z' },
+        { id: 'q2', status: 'failed', platform: 'bilibili', title: 'A', media_type: 'audio', created_at: '2024-02-01T00:00:00.000Z' },
+        { id: 'q3', status: 'completed', platform: 'youtube', title: 'C', file_size: '2.50 MB', batch_id: 'q9', video_key: 'youtube abcdefghijk', metadata: { uploader: 'alice' }, created_at: '2024-03-01T00:00:00.000Z' },
+        { id: 'q4', type: 'chapter', status: 'completed', platform: 'youtube', title: 'D', parent_id: 'q1', created_at: '2024-04-01T00:00:00.000Z' }
+      ];
+      for (const record of seed) {
+        await backend.insert(record);
+      }
+      await backend.update('q1', { progress: '100%' });
+      
+      const ids = records => records.map(record => record.id).join(',');
+      check(ids(await backend.getAll()) === 'q1,q2,q3,q4', `${name}: records kept in creation order`);
+      check(ids(await backend.query({ status: 'completed', platform: 'youtube' })) === 'q1,q3,q4', `${name}: status and platform filters`);
+      check(ids(await backend.query({ media_type: 'video', top_level: true })) === 'q1', `${name}: media type and top-level filters`);
+      check(ids(await backend.query({ uploader: 'ALICE', sort_by: 'size', sort_order: 'desc' })) === 'q1,q3', `${name}: uploader filter sorted by size`);
+      check(ids(await backend.query({ created_after: '2024-01-15', created_before: '2024-03-01', sort_by: 'name', sort_order: 'asc' })) === 'q2',
+        `${name}: date range filter`);
+      check(ids(await backend.query({ sort_by: 'date', limit: 2 })) === 'q4,q3', `${name}: newest first with limit`);
+      check(ids(await backend.query({ parent_id: 'q1' })) === 'q4', `${name}: chapter files by parent`);
+      check(ids(await backend.query({ video_key: 'youtube abcdefghijk', status: 'completed' })) === 'q3', `${name}: video key filter`);
+      check(await backend.remove(['q2', 'missing']) === 1 && (await backend.get('q2')) === null, `${name}: records removed by id`);
+    }
+    
+    if (backends.length > 1) {
+      const migrated = new SqliteHistoryStore(path.join(dir, 'import.db'), { legacyFile: file });
+      check((await migrated.get('b'))?.status === 'failed', 'sqlite: existing JSON history imported');
+      
+      // v1 数据库没有 video_key 列，打开时自动升级
+      const { DatabaseSync } = await import('node:sqlite');
+      const legacyDb = new DatabaseSync(path.join(dir, 'v1.db'));
+      legacyDb.exec(`CREATE TABLE downloads (id TEXT PRIMARY KEY, type TEXT, status TEXT, platform TEXT, media_type TEXT NOT NULL DEFAULT 'video',
+        batch_id TEXT, uploader TEXT, title TEXT, size_mb REAL, created_at TEXT, updated_at TEXT, completed_at TEXT, data TEXT NOT NULL);
+        CREATE TABLE meta (key TEXT PRIMARY KEY, value TEXT);
+        INSERT INTO meta VALUES ('schema_version', '1');
+        INSERT INTO downloads (id, status, data) VALUES ('old', 'completed', '{"id":"old","status":"completed"}');`);
+      legacyDb.close();
+      const upgraded = new SqliteHistoryStore(path.join(dir, 'v1.db'));
+      await upgraded.insert({ id: 'new', status: 'completed', video_key: 'youtube abcdefghijk', parent_id: 'old' });
+      check((await upgraded.get('old'))?.status === 'completed' && (await upgraded.query({ video_key: 'youtube abcdefghijk' })).length === 1,
+        'sqlite: version 1 database upgraded with video key column');
+      const upgradedIds = async filters => (await upgraded.query(filters)).map(record => record.id).join(',');
+      check(await upgradedIds({ parent_id: 'old' }) === 'new' && await upgradedIds({ top_level: true }) === 'old',
+        'sqlite: version 1 database upgraded with parent column');
+    }
+    
+    let storeFile = path.join(dir, 'missing.json');
+    const jsonStore = new JsonStore({ key: 'items', name: 'item', getFilePath: () => storeFile });
+    storeFile = path.join(dir, 'items.json');
+    (await jsonStore.load()).set('x', { id: 'x' });
+    await jsonStore.save();
+    const reloaded = await new JsonStore({ key: 'items', name: 'item', getFilePath: () => storeFile }).load();
+    check(reloaded.get('x')?.id === 'x', 'JSON store resolves its path on first use and round-trips items');
+    fs.writeFileSync(storeFile, '{bad');
+    const recovered = await new JsonStore({ key: 'items', name: 'item', getFilePath: () => storeFile }).load();
+    check(recovered.size === 0 && fs.readdirSync(dir).some(name => name.startsWith('items.json.corrupt-')), 'Corrupted JSON store kept aside');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  
+  console.log(`\n📊 History Store: ${passed}/${total} tests passed`);
+  return passed === total;
+}
+
+/**
+ * 测试中断下载的检查
+ */
+function testRecovery() {
+  console.log('\n🧪 Testing Interrupted Download Recovery...');
+  
+  let passed = 0;
+  let total = 0;
+  
+  const check = (condition, message) => {
+    total++;
+    if (condition) {
+      console.log(`✅ ${message}`);
+      passed++;
+    } else {
+      console.log(`❌ ${message}`);
+    }
+  };
+  
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dewa-recovery-'));
+  
+  try {
+    ['Song.mp4.part', 'Song.f137.mp4.part', 'Song.f140.m4a', 'Song.mp4.ytdl', 'Song (2).mp4.part', 'Other.mp4.part', 'Song.srt']
+      .forEach(name => fs.writeFileSync(path.join(dir, name), 'x'));
+    
+    const partial = findPartialFiles(path.join(dir, 'Song.mp4')).map(file => path.basename(file)).sort();
+    check(partial.join(',') === 'Song.f137.mp4.part,Song.f140.m4a,Song.mp4.part,Song.mp4.ytdl', 'Partial files matched by output name');
+    check(findPartialFiles(path.join(dir, 'missing', 'Song.mp4')).length === 0, 'Missing directory has no partial files');
+    
+    const running = { status: 'in_progress', output_path: path.join(dir, 'Song.mp4') };
+    const files = inspectInterruptedDownload(running);
+    check(!files.outputExists && files.partialFiles.length === 4, 'Interrupted download inspected');
+    check(describeInterruption(running, files).includes('4 个部分文件'), 'Reason mentions partial files');
+    
+    fs.writeFileSync(path.join(dir, 'Song.mp4'), 'x');
+    check(describeInterruption(running, inspectInterruptedDownload(running)).includes('目标文件已写出'), 'Reason mentions finished output');
+    
+    const fresh = { status: 'in_progress', output_path: path.join(dir, 'New.mp4') };
+    check(describeInterruption(fresh, inspectInterruptedDownload(fresh)).includes('没有找到'), 'Reason mentions missing partial files');
+    
+    const queued = { status: 'pending' };
+    check(describeInterruption(queued, inspectInterruptedDownload(queued)).includes('排队'), 'Queued job reported as not started');
+    
+    fs.writeFileSync(path.join(dir, 'Clip.f137.mp4'), 'x');
+    fs.writeFileSync(path.join(dir, 'Clip.en.srt'), 'x');
+    check(findOutputFile(path.join(dir, 'Clip.mp4')) === null, 'Format and subtitle files are not the output');
+    fs.writeFileSync(path.join(dir, 'Clip.webm'), 'x');
+    check(findOutputFile(path.join(dir, 'Clip.mp4')) === path.join(dir, 'Clip.webm'), 'Output found with a different container');
+    check(findOutputFile(path.join(dir, 'Song.mp4')) === path.join(dir, 'Song.mp4'), 'Exact output path preferred');
+    
+    const unique = generateUniqueFilename(path.join(dir, 'Clip.mp4'), file => Boolean(findOutputFile(file)));
+    check(path.basename(unique) === 'Clip (1).mp4', 'Unique filename ignores the extension');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  
+  console.log(`\n📊 Interrupted Download Recovery: ${passed}/${total} tests passed`);
+  return passed === total;
+}
+
+/**
+ * 测试下载错误归类
+ */
+function testErrorClassifier() {
+  console.log('\n🧪 Testing Error Classifier...');
+  
+  let passed = 0;
+  let total = 0;
+  
+  const check = (condition, message) => {
+    total++;
+    if (condition) {
+      console.log(`✅ ${message}`);
+      passed++;
+    } else {
+      console.log(`❌ ${message}`);
+    }
+  };
+  
+  const samples = {
+    GEO_BLOCKED: 'ERROR: [youtube] abc: The uploader has not made this video available in your country',
+    VIDEO_UNAVAILABLE: 'ERROR: [youtube] abc: Private video. Sign in if you\'ve been granted access to this video',
+    AGE_RESTRICTED: 'ERROR: [youtube] abc: Sign in to confirm your age. This video may be inappropriate for some users.',
+    LOGIN_REQUIRED: 'ERROR: [youtube] abc: Join this channel to get access to members-only content like this video',
+    RATE_LIMITED: 'ERROR: [BiliBili] BV1xx: Unable to download JSON metadata: HTTP Error 429: Too Many Requests',
+    NETWORK_ERROR: 'ERROR: [youtube] abc: Unable to download webpage: <urlopen error [Errno -3] Temporary failure in name resolution>',
+    DISK_FULL: 'ERROR: unable to write data: [Errno 28] No space left on device',
+    UNSUPPORTED_URL: 'ERROR: Unsupported URL: https://example.com/',
+    LIVE_STREAM: 'ERROR: [youtube] abc: This live event will begin in 3 hours.',
+    FFMPEG_MISSING: 'ERROR: Postprocessing: ffprobe and ffmpeg not found. Please install or provide the path using --ffmpeg-location',
+    YTDLP_MISSING: 'Process error: spawn yt-dlp ENOENT',
+    DOWNLOAD_FAILED: 'ERROR: something unexpected happened'
+  };
+  
+  Object.entries(samples).forEach(([code, output]) => {
+    check(classifyError(output).code === code, `${code} classified`);
+  });
+  
+  const mixed = 'WARNING: [youtube] Read timed out, retrying\nERROR: [youtube] abc: Video unavailable';
+  check(classifyError(mixed).code === 'VIDEO_UNAVAILABLE', 'ERROR lines take precedence over warnings');
+  check(classifyError(samples.RATE_LIMITED).retryable && !classifyError(samples.GEO_BLOCKED).retryable, 'Only transient errors are retryable');
+  check(classifyError('ERROR: [BiliBili] BV1xx: 抱歉您所在地区不可观看！').code === 'GEO_BLOCKED' && classifyError('ERROR: [youtube] abc: <urlopen error [SSL: UNEXPECTED_EOF_WHILE_READING] EOF occurred>').code === 'NETWORK_ERROR', 'Chinese region and SSL errors classified');
+  check(classifyError('ERROR: unable to open for writing: [Errno 13] Permission denied: 地区新闻 - SSL入门.mp4.part').code === 'DOWNLOAD_FAILED', 'Region and SSL words in file names not misclassified');
+  check(classifyError('ERROR: [youtube] abc: Sign in to confirm you’re not a bot. Use --cookies-from-browser or --cookies for the authentication.').code === 'RATE_LIMITED' &&
+    classifyError('ERROR: [BiliBili] BV1xx: HTTP Error 412: Precondition Failed. Use --cookies-from-browser or --cookies for the authentication').retryable, 'Cookies hint alone does not mean login required');
+  check(classifyError('ERROR: Postprocessing: directory does not exist: /downloads/x').code === 'DOWNLOAD_FAILED' &&
+    classifyError('ERROR: [youtube:tab] UCxx: This channel does not exist.').code === 'VIDEO_UNAVAILABLE', 'Only missing videos and channels count as unavailable');
+  
+  const delays = [1, 2, 3, 4].map(attempt => getRetryDelay('NETWORK_ERROR', attempt));
+  check(delays.join(',') === '5000,10000,20000,', 'Exponential backoff stops after the retry limit');
+  check(getRetryDelay('GEO_BLOCKED', 1) === null, 'Permanent errors are not retried');
+  
+  check(extractErrorMessage(mixed) === '[youtube] abc: Video unavailable', 'Last ERROR line used as message');
+  check(extractErrorMessage('') === null, 'Empty output has no message');
+  
+  console.log(`\n📊 Error Classifier: ${passed}/${total} tests passed`);
+  return passed === total;
+}
+
+/**
+ * 测试视频去重键
+ */
+function testVideoKeys() {
+  console.log('\n🧪 Testing Video Keys...');
+  
+  let passed = 0;
+  let total = 0;
+  
+  const check = (condition, message) => {
+    total++;
+    if (condition) {
+      console.log(`✅ ${message}`);
+      passed++;
+    } else {
+      console.log(`❌ ${message}`);
+    }
+  };
+  
+  const sameVideo = [
+    'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+    'https://youtu.be/dQw4w9WgXcQ?t=42',
+    'https://m.youtube.com/watch?feature=share&v=dQw4w9WgXcQ&t=1m',
+    'https://www.youtube.com/shorts/dQw4w9WgXcQ',
+    'https://music.youtube.com/watch?v=dQw4w9WgXcQ&list=RD1'
+  ];
+  check(sameVideo.every(url => extractVideoKey(url) === 'youtube dQw4w9WgXcQ'), 'YouTube link variants share one key');
+  
+  check(extractVideoKey('https://www.bilibili.com/video/BV1xx411c7mu?spm_id_from=333') === 'bilibili BV1xx411c7mu', 'Bilibili BV key');
+  check(extractVideoKey('https://www.bilibili.com/video/BV1xx411c7mu?p=3') === 'bilibili BV1xx411c7mu_p3', 'Bilibili part suffix');
+  check(extractVideoKey('https://www.bilibili.com/video/BV1xx411c7mu?p=1') === 'bilibili BV1xx411c7mu', 'First Bilibili part has no suffix');
+  check(extractVideoKey('https://vimeo.com/123456') === null, 'Unknown sites need video info');
+  check(extractVideoKey('https://vimeo.com/123456', { extractor_key: 'Vimeo', id: '123456' }) === 'vimeo 123456', 'Key from yt-dlp extractor and id');
+  
+  const archive = parseArchive('youtube dQw4w9WgXcQ\r\n\nbilibili BV1xx411c7mu\n');
+  check(archive.size === 2 && archive.has('bilibili BV1xx411c7mu'), 'Archive file parsed');
+  
+  console.log(`\n📊 Video Keys: ${passed}/${total} tests passed`);
+  return passed === total;
+}
+
+/**
+ * 测试视频信息解析
+ */
+function testVideoInfo() {
+  console.log('\n🧪 Testing Video Info...');
+  
+  let passed = 0;
+  let total = 0;
+  
+  const check = (condition, message) => {
+    total++;
+    if (condition) {
+      console.log(`✅ ${message}`);
+      passed++;
+    } else {
+      console.log(`❌ ${message}`);
+    }
+  };
+  
+  const json = JSON.stringify({
+    id: 'dQw4w9WgXcQ',
+    extractor: 'youtube',
+    extractor_key: 'Youtube',
+    title: 'Never Gonna Give You Up',
+    description: 'The official video',
+    uploader: '',
+    channel: 'Rick Astley',
+    channel_id: 'UCuAXFkgsw1L7xaCfnd5JJOw',
+    duration: 212.4,
+    upload_date: '20091025',
+    tags: ['rick astley', 'music'],
+    categories: ['Music'],
+    chapters: [{ start_time: 0, end_time: 100, title: 'Intro' }, { start_time: 100, end_time: 212, title: 'Chorus' }],
+    thumbnail: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/maxresdefault.jpg',
+    thumbnails: [{ url: 'https://i.ytimg.com/a.jpg', width: 120, height: 90 }, { id: 'broken' }],
+    formats: [
+      { format_id: 'sb0', ext: 'mhtml', vcodec: 'none', acodec: 'none' },
+      { format_id: '140', ext: 'm4a', vcodec: 'none', acodec: 'mp4a.40.2', tbr: 129.5, filesize: 3433000 },
+      { format_id: '137', ext: 'mp4', vcodec: 'avc1.640028', acodec: 'none', width: 1920, height: 1080, filesize_approx: 80000000 }
+    ],
+    live_status: 'was_live'
+  });
+  
+  const info = parseVideoInfo(json, 'https://youtu.be/dQw4w9WgXcQ');
+  check(info.id === 'dQw4w9WgXcQ' && info.extractor_key === 'Youtube', 'ID and extractor parsed');
+  check(info.uploader === 'Rick Astley' && info.channel_id === 'UCuAXFkgsw1L7xaCfnd5JJOw', 'Blank uploader falls back to channel');
+  check(info.duration === 212 && info.upload_date === '20091025', 'Duration in seconds and upload date');
+  check(info.view_count === null && info.tags.length === 2 && info.categories[0] === 'Music', 'Missing view count does not shift other fields');
+  check(info.chapters.length === 2 && info.chapters[1].start_time === 100, 'Chapters parsed');
+  check(info.thumbnails.length === 1, 'Thumbnails without URL dropped');
+  check(info.formats.length === 2 && info.formats[0].acodec === 'mp4a.40.2' && info.formats[0].vcodec === null, 'Storyboards dropped and codecs normalized');
+  check(info.formats[1].filesize === 80000000 && info.formats[1].filesize_approx, 'Approximate file size kept');
+  check(parseVideoInfo({ duration: 100, formats: [{ format_id: '18', tbr: 800 }] }).formats[0].filesize === 10000000, 'Size estimated from bitrate and duration');
+  check(info.live_status === 'was_live' && !info.is_live, 'Live status parsed');
+  
+  const minimal = parseVideoInfo('{"id":"123"}', 'https://vimeo.com/123');
+  check(minimal.title === UNKNOWN_TITLE && minimal.webpage_url === 'https://vimeo.com/123' && minimal.formats.length === 0, 'Minimal output uses defaults');
+  
+  const metadata = toRecordMetadata(info);
+  check(!('formats' in metadata) && !('description' in metadata) && metadata.chapters.length === 2, 'Record metadata drops bulky fields');
+  check(fallbackVideoInfo('https://x.test/v', { title: 'Playlist Entry' }).title === 'Playlist Entry', 'Fallback keeps known metadata');
+  
+  let threw = false;
+  try {
+    parseVideoInfo('ERROR: not json');
+  } catch {
+    threw = true;
+  }
+  check(threw, 'Invalid output throws instead of returning defaults');
+  
+  console.log(`\n📊 Video Info: ${passed}/${total} tests passed`);
+  return passed === total;
+}
+
+/**
+ * 测试文件名模板
+ */
+function testFilenameTemplates() {
+  console.log('\n🧪 Testing Filename Templates...');
+  
+  let passed = 0;
+  let total = 0;
+  
+  const check = (condition, message) => {
+    total++;
+    if (condition) {
+      console.log(`✅ ${message}`);
+      passed++;
+    } else {
+      console.log(`❌ ${message}`);
+    }
+  };
+  
+  const youtube = detectPlatform('https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+  const bilibili = detectPlatform('https://www.bilibili.com/video/BV1xx411c7mu');
+  const info = { title: 'Song: Live', uploader: 'Artist', id: 'dQw4w9WgXcQ', upload_date: '20240315' };
+  const render = (template, overrides = {}) => renderTemplate(template, buildTemplateFields({ platform: youtube, ext: 'mp4', ...overrides }))
+    .split(path.sep).join('/');
+  
+  const defaults = { overrides: {} };
+  check(render(getOutputTemplate(youtube, defaults), { videoInfo: info }) === 'youtube/Song- Live - Artist.mp4', 'Default YouTube layout unchanged');
+  check(renderTemplate(getOutputTemplate(bilibili, defaults), buildTemplateFields({ platform: bilibili, ext: 'mp4', videoInfo: info })) ===
+    path.join('bilibili', 'B站-Song- Live - Artist.mp4'), 'Default Bilibili prefix kept');
+  check(render(getOutputTemplate(youtube, { ...defaults, playlist: true }), { videoInfo: info, playlist: 'Mix/2024' }) === 'youtube/Mix-2024/Song- Live - Artist.mp4',
+    'Playlist items default to a playlist directory');
+  check(getOutputTemplate(youtube, { overrides: { default: '{title}.{ext}', youtube: '{id}.{ext}' } }) === '{id}.{ext}', 'Platform template overrides global template');
+  
+  check(render('{uploader}/{upload_date:%Y}/{upload_date:%m-%d} {title}.{ext}', { videoInfo: info }) === 'Artist/2024/03-15 Song- Live.mp4',
+    'Nested directories and date formats');
+  check(render('{playlist_index} {title}', { videoInfo: info, playlistIndex: 7 }) === '07 Song- Live.mp4' &&
+    render('{playlist_index:03}', { videoInfo: info, playlistIndex: 7 }) === '007.mp4', 'Playlist index padding and automatic extension');
+  check(render('{title} {upload_date}', { videoInfo: { id: 'abc', title: 'Unknown Video', upload_date: 'NA' } }) === 'abc NA.mp4', 'Missing title falls back to video id');
+  check(render('{title}', { videoInfo: {}, videoKey: 'youtube dQw4w9WgXcQ' }) === 'dQw4w9WgXcQ.mp4', 'Video id taken from the video key');
+  const first = render('{title}', { videoInfo: {}, url: 'https://example.com/a' });
+  check(first !== render('{title}', { videoInfo: {}, url: 'https://example.com/b' }) && first.startsWith('video-'), 'Videos without id or title get distinct names');
+  
+  const long = render('{title}', { videoInfo: { ...info, title: '长'.repeat(200) } });
+  check(Buffer.byteLength(long) <= 240 && long.endsWith('.mp4'), 'Long titles truncated by bytes');
+  
+  check(validateTemplate('{uploader}/{title}.{ext}') === null, 'Valid template accepted');
+  check(['{name}.{ext}', '/abs/{title}', '../{title}', '{title:%Y}', '{title', '{playlist_index:x}'].every(template => validateTemplate(template)),
+    'Invalid templates rejected');
+  
+  const overrides = getTemplateOverrides({ OUTPUT_TEMPLATE: '{title}', OUTPUT_TEMPLATE_BILIBILI: '{uploader}/{title}', OUTPUT_TEMPLATE_YOUTUBE: ' ' });
+  check(overrides.default === '{title}' && overrides.bilibili === '{uploader}/{title}' && !('youtube' in overrides), 'Templates read from environment');
+  
+  console.log(`\n📊 Filename Templates: ${passed}/${total} tests passed`);
+  return passed === total;
+}
+
+/**
+ * 测试进度解析
+ */
+async function testProgressParser() {
+  console.log('\n🧪 Testing Progress Parser...');
+  
+  let passed = 0;
+  let total = 0;
+  
+  const check = (condition, message) => {
+    total++;
+    if (condition) {
+      console.log(`✅ ${message}`);
+      passed++;
+    } else {
+      console.log(`❌ ${message}`);
+    }
+  };
+  
+  const templated = parseProgressLine('[dewa-progress] downloading|1048576|4194304|NA|524288.5|6|3|12|137');
+  check(templated.downloaded_bytes === 1048576 && templated.total_bytes === 4194304, 'Template bytes parsed');
+  check(templated.speed === 524288.5 && templated.eta === 6, 'Template speed and ETA parsed');
+  check(templated.fragment_index === 3 && templated.fragment_count === 12 && templated.format_id === '137', 'Template fragments and format parsed');
+  check(mergeProgress(null, templated).percent === 25, 'Percent derived from bytes');
+  
+  const estimated = parseProgressLine('[dewa-progress] downloading|100|NA|400|NA|NA|NA|NA|NA');
+  check(estimated.total_bytes === 400 && estimated.total_is_estimate && estimated.speed === null, 'Estimated total and missing fields handled');
+  
+  const legacy = parseProgressLine('[download]  42.1% of ~ 10.00MiB at  1.50MiB/s ETA 01:05 (frag 3/20)');
+  check(legacy.percent === 42.1 && legacy.total_is_estimate, 'Default progress line parsed');
+  check(legacy.eta === 65 && legacy.fragment_count === 20 && Math.round(legacy.speed) === 1572864, 'Default line speed, ETA and fragments parsed');
+  
+  check(parseProgressLine('[Merger] Merging formats into "a.mp4"').phase === 'merging', 'Merge phase detected');
+  check(parseProgressLine('[ExtractAudio] Destination: a.mp3').phase === 'post_processing', 'Post-processing phase detected');
+  check(parseProgressLine('[youtube] abc: Downloading webpage') === null, 'Unrelated lines ignored');
+  
+  const sent = [];
+  const notify = createProgressNotifier(progress => sent.push(progress.progress), { minInterval: 0 });
+  notify({ phase: 'downloading', percent: 40 });
+  notify({ phase: 'downloading', percent: 5 });
+  notify({ phase: 'merging', percent: 40 }, { force: true });
+  notify({ phase: 'downloading', percent: 60 });
+  await new Promise(resolve => setImmediate(resolve));
+  check(sent.join(',') === '40,60', 'Progress notifications strictly increase');
+  
+  console.log(`\n📊 Progress Parser: ${passed}/${total} tests passed`);
+  return passed === total;
+}
+
+/**
+ * 测试格式选择引擎
+ */
+function testFormatSelection() {
+  console.log('\n🧪 Testing Format Selection...');
+  
+  let passed = 0;
+  let total = 0;
+  
+  const check = (condition, message) => {
+    total++;
+    if (condition) {
+      console.log(`✅ ${message}`);
+      passed++;
+    } else {
+      console.log(`❌ ${message}`);
+    }
+  };
+  
+  const youtubeBest = buildFormatSelection({ quality: 'best' }, 'youtube');
+  check(youtubeBest.format === 'bv*[height<=?1080]+ba/b[height<=?1080]', 'YouTube best capped at 1080p');
+  
+  const bilibiliBest = buildFormatSelection({ quality: 'best' }, 'bilibili');
+  check(bilibiliBest.format === 'bv*+ba/b' && bilibiliBest.sort.length === 0, 'Unrestricted best for other platforms');
+  
+  const detailed = buildFormatSelection({
+    quality: '720p',
+    maxHeight: 1440,
+    videoCodec: 'av1',
+    audioCodec: 'opus',
+    container: 'mkv',
+    fps: 30,
+    hdr: 'sdr',
+    maxFilesize: 500
+  }, 'youtube');
+  check(detailed.format.includes('[height<=?1440]') && detailed.format.includes('[filesize<=?500M]'), 'Hard limits in format filter');
+  check(detailed.sort.join(',') === 'res:1440,fps:30,hdr:sdr,vcodec:av01,acodec:opus', 'Preferences in sort order');
+  
+  const args = formatSelectionArgs(detailed);
+  check(args.includes('--merge-output-format') && args.includes('--max-filesize'), 'Container and size limit passed to yt-dlp');
+  
+  check(buildFormatSelection({ quality: 'worst' }, 'youtube').format === 'wv*+wa/w', 'Worst quality selector');
+  check(buildFormatSelection({ container: 'webm' }).remuxVideo === null, 'No forced remux into webm');
+  check(parseFileSize('2G') === '2G' && parseFileSize('1.5 GiB') === '1.5G' && parseFileSize('abc') === null, 'File size limits parsed');
+  
+  const audio = buildFormatSelection({ mediaType: 'audio', audioFormat: 'opus', audioBitrate: '128K', container: 'mkv' }, 'youtube');
+  const audioArgs = formatSelectionArgs(audio);
+  check(audio.format === 'ba/b' && audio.sort.join(',') === 'acodec:opus', 'Audio mode selects best audio, preferring matching codec');
+  check(audioArgs.join(' ').includes('--extract-audio --audio-format opus --audio-quality 128K') && !audioArgs.includes('--merge-output-format'), 'Audio extraction args without video options');
+  check(getOutputExtension({ mediaType: 'audio', audioFormat: 'flac' }) === 'flac' && getOutputExtension({ container: 'mkv' }) === 'mkv' && getOutputExtension() === 'mp4', 'Output extension follows media type');
+  
+  const exact = buildFormatSelection({ formatId: '137', quality: '720p', videoCodec: 'av1', container: 'mkv' }, 'youtube');
+  check(exact.format === '137+ba/137' && exact.sort.length === 0 && exact.mergeOutputFormat === 'mkv', 'Format ID overrides quality and preferences');
+  const exactAudio = buildFormatSelection({ formatId: '251', mediaType: 'audio', audioFormat: 'mp3' }, 'youtube');
+  check(exactAudio.format === '251' && exactAudio.extractAudio.format === 'mp3', 'Audio extracted from the requested format');
+  check(buildFormatSelection({ formatId: '137/22' }, 'youtube').format === '137+ba/137/22+ba/22' && buildFormatSelection({ formatId: '137+140' }, 'youtube').format === '137+140', 'Format ID fallbacks merged with audio, explicit merges kept');
+  
+  const ids = ['18', '22', '137', '140', 'hls-1080p'];
+  check(getMissingFormatIds('137+140', ids).length === 0 && getMissingFormatIds('bv*+ba', ids).length === 0 && getMissingFormatIds('99/18', ids).length === 0, 'Merged, generic and fallback selectors accepted');
+  check(getMissingFormatIds('137+251', ids).join(',') === '251' && getMissingFormatIds('99/98', ids).join(',') === '99,98', 'Missing format IDs reported');
+  
+  console.log(`\n📊 Format Selection: ${passed}/${total} tests passed`);
+  return passed === total;
+}
+
+/**
+ * 测试字幕参数
+ */
+function testSubtitleOptions() {
+  console.log('\n🧪 Testing Subtitle Options...');
+  
+  let passed = 0;
+  let total = 0;
+  
+  const check = (condition, message) => {
+    total++;
+    if (condition) {
+      console.log(`✅ ${message}`);
+      passed++;
+    } else {
+      console.log(`❌ ${message}`);
+    }
+  };
+  
+  check(buildSubtitleArgs({}).length === 0, 'No subtitle args without languages');
+  
+  const both = buildSubtitleArgs({ subtitleLanguages: ['en', 'zh-Hans'], embedSubtitles: true }).join(' ');
+  check(both.includes('--write-subs --write-auto-subs'), 'Manual and auto subtitles by default');
+  check(both.includes('--sub-langs en,zh-Hans,-danmaku,-live_chat'), 'Danmaku and live chat excluded');
+  check(both.includes('--convert-subs srt') && both.includes('--embed-subs'), 'Converted to SRT and embedded');
+  
+  const autoOnly = buildSubtitleArgs({ subtitleLanguages: ['en'], subtitleSource: 'auto', subtitleFormat: 'vtt', embedSubtitles: true, mediaType: 'audio' });
+  check(!autoOnly.includes('--write-subs') && autoOnly.includes('vtt') && !autoOnly.includes('--embed-subs'), 'Auto captions only, no embedding into audio');
+  
+  const files = collectSubtitleFiles({ en: { ext: 'srt', filepath: '/nonexistent/video.en.srt' } }, { embedded: true });
+  check(files.length === 1 && files[0].embedded && files[0].path === null, 'Embedded subtitles recorded without sidecar path');
+  check(parseProgressLine('[dewa-progress] downloading|10|44|NA|NA|NA|NA|NA|NA|vtt') === null, 'Subtitle download progress ignored');
+  
+  console.log(`\n📊 Subtitle Options: ${passed}/${total} tests passed`);
+  return passed === total;
+}
+
+/**
+ * 测试附属文件和元数据嵌入
+ */
+function testSidecarFiles() {
+  console.log('\n🧪 Testing Sidecar Files...');
+  
+  let passed = 0;
+  let total = 0;
+  
+  const check = (condition, message) => {
+    total++;
+    if (condition) {
+      console.log(`✅ ${message}`);
+      passed++;
+    } else {
+      console.log(`❌ ${message}`);
+    }
+  };
+  
+  check(buildSidecarArgs().length === 0, 'No sidecar args by default');
+  
+  const all = buildSidecarArgs({ writeThumbnail: true, writeInfoJson: true, writeDescription: true, embedMetadata: true }).join(' ');
+  check(all.includes('--write-thumbnail') && all.includes('--convert-thumbnails jpg'), 'Thumbnail saved as JPG');
+  check(all.includes('--write-info-json --clean-info-json') && all.includes('--write-description'), 'Sanitized info.json and description');
+  check(all.includes('--embed-metadata --embed-chapters') && all.includes('--embed-thumbnail'), 'Metadata, chapters and cover embedded');
+  
+  const webm = buildSidecarArgs({ embedMetadata: true, container: 'webm' });
+  check(!webm.includes('--embed-thumbnail') && !webm.includes('--convert-thumbnails'), 'No cover art for webm');
+  check(buildSidecarArgs({ embedMetadata: true, container: 'webm', mediaType: 'audio' }).includes('--embed-thumbnail'), 'Audio files get cover art');
+  
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dewa-sidecars-'));
+  try {
+    ['Clip.mkv', 'Clip.jpg', 'Clip.info.json', 'Clip.description', 'Clip.en.srt', 'Other.jpg']
+      .forEach(name => fs.writeFileSync(path.join(dir, name), 'x'));
+    
+    const files = collectSidecarFiles(path.join(dir, 'Clip.mkv'), [
+      { language: 'en', path: path.join(dir, 'Clip.en.srt') },
+      { language: 'de', path: null, embedded: true }
+    ]);
+    check(files.map(file => file.type).join(',') === 'thumbnail,info_json,description,subtitle', 'Sidecar files collected with subtitles');
+    check(files[0].path === path.join(dir, 'Clip.jpg'), 'Sidecar paths recorded');
+    
+    removeSidecarFiles(path.join(dir, 'Clip.mp4'));
+    check(fs.readdirSync(dir).sort().join(',') === 'Clip.en.srt,Clip.mkv,Other.jpg', 'Sidecars of a cancelled download removed');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  
+  console.log(`\n📊 Sidecar Files: ${passed}/${total} tests passed`);
+  return passed === total;
+}
+
+/**
+ * 测试按章节切分的章节整理和命名
+ */
+function testChapterSplitting() {
+  console.log('\n🧪 Testing Chapter Splitting...');
+  
+  let passed = 0;
+  let total = 0;
+  
+  const check = (condition, message) => {
+    total++;
+    if (condition) {
+      console.log(`✅ ${message}`);
+      passed++;
+    } else {
+      console.log(`❌ ${message}`);
+    }
+  };
+  
+  check(normalizeChapters(null).length === 0 && normalizeChapters([]).length === 0, 'No chapters without metadata');
+  
+  const chapters = normalizeChapters([
+    { title: 'Encore', start_time: 300 },
+    { title: 'Intro', start_time: 0, end_time: 65 },
+    { title: '', start_time: 60, end_time: 300 }
+  ], 420.5);
+  check(chapters.map(chapter => chapter.index).join(',') === '1,2,3', 'Chapters sorted and numbered');
+  check(chapters[0].end_time === 60 && chapters[2].end_time === 420.5, 'Overlaps trimmed, last chapter ends at duration');
+  check(chapters[1].title === 'Chapter 2', 'Untitled chapter gets a default title');
+  
+  const probed = normalizeChapters([
+    { start_time: '0.000000', end_time: '95.500000', tags: { title: 'Opening' } },
+    { start_time: '95.500000', end_time: '95.500000', tags: { title: 'Empty' } }
+  ]);
+  check(probed.length === 1 && probed[0].title === 'Opening' && probed[0].end_time === 95.5, 'ffprobe chapters parsed, empty chapters dropped');
+  check(normalizeChapters([{ title: 'Live', start_time: 10 }])[0].end_time === null, 'Last chapter without duration runs to the end');
+  
+  check(getChapterFilename({ index: 3, title: 'Encore: "Finale"' }, 12, '.mp4') === '03 - Encore- -Finale.mp4', 'Chapter filename sanitized and zero padded');
+  check(getChapterFilename({ index: 7, title: 'Track' }, 120, '.mp3') === '007 - Track.mp3', 'Index padded to the chapter count');
+  
+  check(describeChapterSplit({ chapter_count: 2, directory: '/dl/Show' }) === '2 个章节 → /dl/Show', 'Split result described');
+  check(describeChapterSplit({ error: 'No chapters found' }).includes('No chapters found'), 'Split failure described');
+  
+  console.log(`\n📊 Chapter Splitting: ${passed}/${total} tests passed`);
+  return passed === total;
+}
+
+/**
+ * 测试时间段解析、文件名和 yt-dlp 参数
+ */
+function testTimeRanges() {
+  console.log('\n🧪 Testing Time Ranges...');
+  
+  let passed = 0;
+  let total = 0;
+  
+  const check = (condition, message) => {
+    total++;
+    if (condition) {
+      console.log(`✅ ${message}`);
+      passed++;
+    } else {
+      console.log(`❌ ${message}`);
+    }
+  };
+  
+  check(parseTimestamp(90) === 90 && parseTimestamp('90.5') === 90.5, 'Seconds accepted as number or string');
+  check(parseTimestamp('1:30') === 90 && parseTimestamp('01:02:03.5') === 3723.5, 'MM:SS and HH:MM:SS parsed');
+  const invalid = ['1:75', '1:60:00', 'abc', -5].filter(value => {
+    try {
+      parseTimestamp(value);
+      return false;
+    } catch (error) {
+      return true;
+    }
+  });
+  check(invalid.length === 4, 'Invalid times rejected');
+  
+  check(normalizeTimeRanges({}).length === 0, 'No range by default');
+  const single = normalizeTimeRanges({ startTime: '1:00:00', endTime: '1:02:00' });
+  check(single.length === 1 && single[0].start_time === 3600 && single[0].end_time === 3720, 'Single range from start/end time');
+  check(normalizeTimeRanges({ endTime: 30 })[0].start_time === 0 && normalizeTimeRanges({ startTime: 30 })[0].end_time === null,
+    'Open ranges start at 0 or run to the end');
+  const sections = normalizeTimeRanges({ sections: [{ start_time: '2:00', end_time: '3:00' }, { start_time: 10, end_time: 20 }, { start_time: '0:10', end_time: '0:20' }] });
+  check(sections.map(getTimeRangeKey).join(',') === '10-20,120-180', 'Sections sorted and deduplicated');
+  
+  let rejected = 0;
+  for (const request of [{ startTime: 60, endTime: 30 }, { startTime: 10, sections: [{ start_time: 20 }] }]) {
+    try {
+      normalizeTimeRanges(request);
+    } catch (error) {
+      rejected++;
+    }
+  }
+  check(rejected === 2, 'Reversed range and mixed arguments rejected');
+  
+  check(buildSectionArgs(null).length === 0, 'No section args without a range');
+  check(buildSectionArgs({ start_time: 45, end_time: null }).join(' ') === '--download-sections *45-inf', 'Open range runs to inf');
+  check(buildSectionArgs(single[0], { preciseCuts: true }).includes('--force-keyframes-at-cuts'), 'Precise cuts force keyframes');
+  
+  check(withTimeRangeLabel('Show - Band.mp4', single[0], 'mp4') === 'Show - Band [1h00m00s-1h02m00s].mp4', 'Range in filename');
+  check(withTimeRangeLabel('Clip v1.5', { start_time: 5.5, end_time: null }, 'mp4') === 'Clip v1.5 [5.5s-end]', 'Custom filename without extension');
+  check(getTimeRangeKey(null) === null && getTimeRangeKey({ start_time: 5, end_time: null }) === '5-end', 'Range keys separate clips from full downloads');
+  check(formatTimeRange({ start_time: 3723.5, end_time: null }) === '1:02:03.5-结尾', 'Range displayed as clock time');
+  
+  console.log(`\n📊 Time Ranges: ${passed}/${total} tests passed`);
+  return passed === total;
+}
+
+/**
+ * 测试直播录制的参数和分段命名
+ */
+function testLiveRecording() {
+  console.log('\n🧪 Testing Live Recording...');
+  
+  let passed = 0;
+  let total = 0;
+  
+  const check = (condition, message) => {
+    total++;
+    if (condition) {
+      console.log(`✅ ${message}`);
+      passed++;
+    } else {
+      console.log(`❌ ${message}`);
+    }
+  };
+  
+  check(getLiveFormat() === 'b' && getLiveFormat({ quality: '720p' }) === 'b[height<=720]/b', 'Live format uses combined HLS streams');
+  check(getLiveFormat({ quality: '1080p', fromStart: true }).startsWith('bv*[height<=1080]+ba'), 'Recording from start merges DASH streams');
+  
+  const live = buildRecordingArgs({ url: 'https://www.twitch.tv/somechannel', outputTemplate: '/d/Stream.%(ext)s', format: 'b/b', waitForStream: true });
+  check(live.includes('--hls-use-mpegts') && live[live.indexOf('--downloader') + 1] === 'ffmpeg', 'Live recording written as MPEG-TS by ffmpeg');
+  check(live.includes('--wait-for-video') && !live.includes('--live-from-start'), 'Waits for upcoming streams');
+  check(live[live.length - 1] === 'https://www.twitch.tv/somechannel' && live[live.indexOf('--output') + 1] === '/d/Stream.%(ext)s', 'URL and output template passed');
+  
+  const fromStart = buildRecordingArgs({ url: 'https://www.youtube.com/watch?v=live', outputTemplate: 'x', format: 'f', fromStart: true });
+  check(fromStart.includes('--live-from-start') && fromStart.includes('--no-wait-for-video') && !fromStart.includes('--downloader'), 'From-start recording uses native fragments');
+  
+  check(getSegmentBasePath('/d/Stream', 1, false) === '/d/Stream', 'Single file keeps the base name');
+  check(getSegmentBasePath('/d/Stream', 12, true) === '/d/Stream - part 012', 'Segments numbered with three digits');
+  
+  check(classifyError('ERROR: [twitch:stream] somechannel: The channel is not currently live').code === 'LIVE_STREAM', 'Offline channel classified as live stream error');
+  
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dewa-live-'));
+  try {
+    const basePath = path.join(dir, 'Stream');
+    fs.writeFileSync(`${basePath}.mp4.part`, 'data');
+    const first = recoverRecordingFiles({ output_path: basePath, recording: { segments: [] } });
+    check(fs.existsSync(`${basePath}.mp4`) && first.segments[0].file_path === `${basePath}.mp4` && first.segments[0].partial, 'Interrupted recording part file renamed and recorded');
+    
+    fs.writeFileSync(`${basePath} - part 002.mp4.part`, 'more');
+    const second = recoverRecordingFiles({ output_path: basePath, recording: first });
+    check(second.segments.length === 2 && second.segments[1].index === 2 && second.total_bytes === 8, 'Resumed recording segment recovered by its part name');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  
+  console.log(`\n📊 Live Recording: ${passed}/${total} tests passed`);
+  return passed === total;
+}
+
+/**
+ * 测试 cron 表达式和定时任务的运行时间
+ */
+function testSchedules() {
+  console.log('\n🧪 Testing Schedules...');
+  
+  let passed = 0;
+  let total = 0;
+  
+  const check = (condition, message) => {
+    total++;
+    if (condition) {
+      console.log(`✅ ${message}`);
+      passed++;
+    } else {
+      console.log(`❌ ${message}`);
+    }
+  };
+  
+  // 本地时间 2026-01-14 (周三) 10:07:30
+  const now = new Date(2026, 0, 14, 10, 7, 30);
+  const at = (...parts) => new Date(2026, ...parts).getTime();
+  
+  check(getNextCronTime('0 2 * * *', now).getTime() === at(0, 15, 2, 0), 'Nightly schedule runs next at 02:00');
+  check(getNextCronTime('*/15 * * * *', now).getTime() === at(0, 14, 10, 15), 'Step runs at the next quarter hour');
+  check(getNextCronTime('30 18 * * FRI', now).getTime() === at(0, 16, 18, 30), 'Weekday names supported');
+  check(getNextCronTime('@monthly', now).getTime() === at(1, 1, 0, 0), 'Aliases supported');
+  check(getNextCronTime('7 10 * * *', now).getTime() === at(0, 15, 10, 7), 'Current minute is not repeated');
+  check(getNextCronTime('0 0 13 * 5', now).getTime() === at(0, 16, 0, 0), 'Day of month and day of week match either');
+  check(parseCron('0 0 * * 7').daysOfWeek.has(0) && parseCron('0 9-17/4 * * *').hours.size === 3, 'Sunday as 7 and stepped ranges');
+  
+  check(!isValidCron('61 * * * *') && !isValidCron('0 2 * *') && !isValidCron('0 0 * * MONDAY') && !isValidCron('5-1 * * * *'), 'Invalid expressions rejected');
+  check(!isValidCron('0 0 30 2 *'), 'Expression that never matches rejected');
+  
+  const once = { cron: null, run_at: '2026-02-01T02:00:00.000Z', run_count: 0 };
+  check(getNextRunTime(once, now).toISOString() === once.run_at, 'One-off schedule runs at run_at');
+  check(getNextRunTime({ ...once, run_count: 1 }, now) === null, 'One-off schedule finished after running');
+  check(getNextRunTime({ cron: '@daily', run_count: 3 }, now).getTime() === at(0, 15, 0, 0), 'Recurring schedule follows cron');
+  check(RUN_AT_PATTERN.test('2026-11-01T02:00') && !RUN_AT_PATTERN.test('2026-11-01'), 'run_at requires a time, date-only would be UTC midnight');
+  
+  console.log(`\n📊 Schedules: ${passed}/${total} tests passed`);
+  return passed === total;
+}
+
+/**
+ * 测试订阅的过滤条件和已处理视频的判断
+ */
+function testSubscriptions() {
+  console.log('\n🧪 Testing Subscriptions...');
+  
+  let passed = 0;
+  let total = 0;
+  
+  const check = (condition, message) => {
+    total++;
+    if (condition) {
+      console.log(`✅ ${message}`);
+      passed++;
+    } else {
+      console.log(`❌ ${message}`);
+    }
+  };
+  
+  const filters = normalizeFilters({ titlePattern: 'review|unboxing', minDuration: '2:00', maxDuration: 3600, skipShorts: true });
+  check(filters.min_duration === 120 && filters.max_duration === 3600 && filters.skip_shorts, 'Filters normalized to seconds');
+  check(normalizeFilters({}) === null, 'No filters when nothing is set');
+  
+  let rejected = 0;
+  for (const invalid of [{ titlePattern: '(' }, { minDuration: 'soon' }, { minDuration: 600, maxDuration: 60 }]) {
+    try {
+      normalizeFilters(invalid);
+    } catch (error) {
+      rejected++;
+    }
+  }
+  check(rejected === 3, 'Invalid regex, duration and range rejected');
+  
+  const video = { title: 'Phone REVIEW', duration: 900, url: 'https://www.youtube.com/watch?v=abcdefghijk' };
+  check(getFilterMismatch(video, filters) === null, 'Matching video accepted (case-insensitive title)');
+  check(getFilterMismatch({ ...video, title: 'Vlog' }, filters).startsWith('Title'), 'Title filter');
+  check(getFilterMismatch({ ...video, duration: 7200 }, filters).startsWith('Longer'), 'Max duration filter');
+  check(getFilterMismatch({ ...video, url: 'https://www.youtube.com/shorts/abcdefghijk', duration: null }, filters) === 'YouTube Shorts', 'Shorts link skipped');
+  check(getFilterMismatch({ ...video, duration: 45 }, filters) === 'YouTube Shorts', 'Very short video treated as Shorts');
+  check(getFilterMismatch({ ...video, duration: null }, filters) === null && needsFilterInfo({ ...video, duration: null }, filters), 'Unknown duration checked after fetching info');
+  check(!needsFilterInfo({ title: 'x' }, normalizeFilters({ titlePattern: 'x' })), 'Title filter needs no extra info');
+  
+  const key = 'youtube abcdefghijk';
+  check(!isSeen([], 'sub_1'), 'Video without records is new');
+  check(isSeen([{ video_key: key, status: 'skipped', subscription_id: 'sub_1' }], 'sub_1'), 'Own skipped record counts as seen');
+  check(isSeen([{ video_key: key, status: 'pending' }], 'sub_1'), 'Video queued elsewhere is not queued again');
+  check(!isSeen([{ video_key: key, status: 'skipped', subscription_id: 'sub_2' }, { video_key: key, status: 'failed' }], 'sub_1'), 'Skipped or failed elsewhere is still new');
+  check(!isSeen([{ video_key: key, status: 'failed', error_code: 'LIVE_STREAM', subscription_id: 'sub_1' }], 'sub_1'), 'Live stream retried after it ends');
+  
+  check(templateUsesField('{uploader}/{upload_date:%Y-%m}/{title}.{ext}', 'upload_date') && !templateUsesField('{title}.{ext}', 'upload_date'), 'Template fields detected');
+  
+  const upcoming = parsePlaylistJSON(JSON.stringify({
+    _type: 'playlist',
+    entries: [{ url: 'https://www.youtube.com/watch?v=abcdefghijk', id: 'abcdefghijk', live_status: 'is_upcoming' }]
+  }));
+  check(upcoming.entries[0].live_status === 'is_upcoming', 'Upcoming streams recognized in channel listings');
+  
+  console.log(`\n📊 Subscriptions: ${passed}/${total} tests passed`);
+  return passed === total;
+}
+
+/**
+ * 测试播放列表展开和批量任务状态
+ */
+function testPlaylistBatches() {
+  console.log('\n🧪 Testing Playlist Batches...');
+  
+  let passed = 0;
+  let total = 0;
+  
+  const check = (condition, message) => {
+    total++;
+    if (condition) {
+      console.log(`✅ ${message}`);
+      passed++;
+    } else {
+      console.log(`❌ ${message}`);
+    }
+  };
+  
+  check(isPlaylistURL('https://www.youtube.com/playlist?list=PL123') && isPlaylistURL('https://www.youtube.com/@someone/videos'), 'YouTube playlists and channels detected');
+  check(isPlaylistURL('https://space.bilibili.com/123456/channel/collectiondetail?sid=1') && isPlaylistURL('https://www.bilibili.com/list/123456'), 'Bilibili spaces and collections detected');
+  check(!isPlaylistURL('https://www.youtube.com/watch?v=abc&list=PL123') && !isPlaylistURL('https://www.bilibili.com/video/BV1xx411c7mu'), 'Single videos are not playlists');
+  check(normalizePlaylistURL('https://www.youtube.com/@someone') === 'https://www.youtube.com/@someone/videos', 'Channel root expands to videos tab');
+  check(normalizeDate('2024-03-05') === '20240305' && normalizeDate('bad') === null, 'Dates normalized for yt-dlp');
+  check(isDirectURL('https://space.bilibili.com/123456'), 'Bilibili space URLs accepted');
+  
+  const playlist = parsePlaylistJSON(JSON.stringify({
+    _type: 'playlist',
+    id: 'PL1',
+    title: 'Talks',
+    uploader: 'Channel',
+    requested_entries: [3, 5],
+    entries: [
+      { url: 'https://www.youtube.com/watch?v=a', id: 'a', title: 'A' },
+      { url: 'https://www.youtube.com/watch?v=b', id: 'b', title: 'B', upload_date: '20240101' }
+    ]
+  }));
+  check(playlist.entries.length === 2 && playlist.entries[1].playlist_index === 5, 'Playlist indices follow requested entries');
+  check(playlist.entries[0].uploader === 'Channel', 'Entry uploader falls back to playlist uploader');
+  
+  const summary = summarizeBatch([{ status: 'completed' }, { status: 'skipped' }, { status: 'failed' }, { status: 'pending' }]);
+  check(summary.finished === 3 && getBatchStatus(summary, 4) === 'in_progress', 'Batch in progress until all items finish');
+  check(getBatchStatus(summarizeBatch([{ status: 'completed' }, { status: 'failed' }]), 2) === 'partial', 'Mixed results mark batch partial');
+  check(getBatchStatus(summarizeBatch([{ status: 'cancelled' }]), 1) === 'cancelled', 'Fully cancelled batch');
+  
+  check(normalizeURL('https://youtu.be/abc?si=x') === normalizeURL('https://www.youtube.com/watch?v=abc&feature=share'), 'Short links and tracking params normalized');
+  check(normalizeURL('https://www.bilibili.com/video/BV1xx/?spm_id_from=333') === 'https://bilibili.com/video/BV1xx', 'Bilibili share params removed');
+  
+  const { accepted, rejected } = prepareBatchEntries([
+    'https://www.youtube.com/watch?v=abc',
+    'https://youtu.be/abc',
+    'not a url',
+    'https://example.com/page',
+    'https://www.bilibili.com/video/BV1xx411c7mu'
+  ]);
+  check(accepted.length === 2 && accepted[1].position === 5, 'Valid unique URLs accepted');
+  check(rejected.length === 3 && rejected[0].reason.includes('1'), 'Duplicates, invalid and unsupported URLs rejected with reasons');
+  
+  console.log(`\n📊 Playlist Batches: ${passed}/${total} tests passed`);
+  return passed === total;
+}
+
 /**
  * 测试MCP工具定义
  */
@@ -207,6 +1273,55 @@ function testMCPToolDefinitions() {
       console.log(`❌ Failed to load list_downloads tool: ${err.message}`);
     });
     
+    import('../src/tools/get-download-status.js').then(({ getDownloadStatusTool }) => {
+      console.log(`✅ get_download_status tool loaded`);
+      console.log(`   Name: ${getDownloadStatusTool.name}`);
+    }).catch(err => {
+      console.log(`❌ Failed to load get_download_status tool: ${err.message}`);
+    });
+    
+    import('../src/tools/get-video-info.js').then(({ getVideoInfoTool }) => {
+      console.log(`✅ get_video_info tool loaded`);
+      console.log(`   Name: ${getVideoInfoTool.name}`);
+    }).catch(err => {
+      console.log(`❌ Failed to load get_video_info tool: ${err.message}`);
+    });
+    
+    import('../src/tools/list-formats.js').then(({ listFormatsTool }) => {
+      console.log(`✅ list_formats tool loaded`);
+      console.log(`   Name: ${listFormatsTool.name}`);
+    }).catch(err => {
+      console.log(`❌ Failed to load list_formats tool: ${err.message}`);
+    });
+    
+    import('../src/tools/split-chapters.js').then(({ splitChaptersTool }) => {
+      console.log(`✅ split_chapters tool loaded`);
+      console.log(`   Name: ${splitChaptersTool.name}`);
+    }).catch(err => {
+      console.log(`❌ Failed to load split_chapters tool: ${err.message}`);
+    });
+    
+    import('../src/tools/record-live.js').then(({ recordLiveTool, stopRecordingTool }) => {
+      console.log(`✅ record_live / stop_recording tools loaded`);
+      console.log(`   Required params: ${recordLiveTool.inputSchema.required.join(', ')} / ${stopRecordingTool.inputSchema.required.join(', ')}`);
+    }).catch(err => {
+      console.log(`❌ Failed to load record_live tools: ${err.message}`);
+    });
+    
+    import('../src/tools/schedule-download.js').then(({ scheduleDownloadTool, listSchedulesTool, cancelScheduleTool }) => {
+      console.log(`✅ schedule_download / list_schedules / cancel_schedule tools loaded`);
+      console.log(`   Names: ${[scheduleDownloadTool, listSchedulesTool, cancelScheduleTool].map(tool => tool.name).join(', ')}`);
+    }).catch(err => {
+      console.log(`❌ Failed to load schedule tools: ${err.message}`);
+    });
+    
+    import('../src/tools/subscribe.js').then(({ subscribeTool, unsubscribeTool, listSubscriptionsTool }) => {
+      console.log(`✅ subscribe / unsubscribe / list_subscriptions tools loaded`);
+      console.log(`   Names: ${[subscribeTool, unsubscribeTool, listSubscriptionsTool].map(tool => tool.name).join(', ')}`);
+    }).catch(err => {
+      console.log(`❌ Failed to load subscription tools: ${err.message}`);
+    });
+    
     return true;
   } catch (error) {
     console.log(`❌ Tool definition test failed: ${error.message}`);
@@ -268,6 +1383,23 @@ async function runAllTests() {
   testResults.push(testPlatformDetection());
   testResults.push(await testConfigSystem());
   testResults.push(testValidators());
+  testResults.push(await testDownloadScheduler());
+  testResults.push(await testHistoryStore());
+  testResults.push(testRecovery());
+  testResults.push(testErrorClassifier());
+  testResults.push(testVideoKeys());
+  testResults.push(testVideoInfo());
+  testResults.push(testFilenameTemplates());
+  testResults.push(await testProgressParser());
+  testResults.push(testFormatSelection());
+  testResults.push(testSubtitleOptions());
+  testResults.push(testSidecarFiles());
+  testResults.push(testChapterSplitting());
+  testResults.push(testTimeRanges());
+  testResults.push(testLiveRecording());
+  testResults.push(testSchedules());
+  testResults.push(testSubscriptions());
+  testResults.push(testPlaylistBatches());
   testResults.push(testMCPToolDefinitions());
   testResults.push(await testMCPToolCalls());
   